@@ -6,7 +6,12 @@ const morgan = require('morgan');
 const logger = require('./utils/logger');
 const whatsappService = require('./services/whatsapp.service');
 const instanceManager = require('./services/whatsappInstanceManager.service');
+const webhookDeliveryQueue = require('./services/webhookDeliveryQueue.service');
+const outboundQueue = require('./services/outboundQueue.service');
+const messageScheduler = require('./services/messageScheduler.service');
+const campaignRunner = require('./services/campaignRunner.service');
 const modeConfig = require('./config/mode.config');
+const mediaConfig = require('./config/media.config');
 const routes = require('./routes');
 
 require('dotenv').config();
@@ -14,9 +19,23 @@ require('dotenv').config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Endpoints that accept base64 media in a JSON body
+const MEDIA_BODY_ROUTES = {
+    post: [
+        '/api/v1/instances/:phone/send-media',
+        '/api/v1/instances/:phone/scheduled-messages',
+        '/api/v1/instances/:phone/campaigns'
+    ],
+    put: ['/api/v1/instances/:phone/scheduled-messages/:id']
+};
+
 // Handle graceful shutdown
 process.on('SIGINT', () => {
     logger.info('👋 Shutting down gracefully...');
+    webhookDeliveryQueue.stop();
+    outboundQueue.stop();
+    messageScheduler.stop();
+    campaignRunner.stop();
     process.exit(0);
 });
 
@@ -41,6 +60,11 @@ app.use(
     })
 );
 app.use(cors());
+// Routes that take media as base64 accept larger bodies (see MEDIA_MAX_UPLOAD_BYTES),
+// they are parsed here so the default limit below does not reject them
+const mediaJsonBody = express.json({ limit: mediaConfig.getJsonBodyLimit() });
+app.post(MEDIA_BODY_ROUTES.post, mediaJsonBody);
+app.put(MEDIA_BODY_ROUTES.put, mediaJsonBody);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -99,6 +123,18 @@ const initializeServices = async () => {
             logger.info('🔄 Initializing multi-instance manager...');
             await instanceManager.initialize();
             logger.info('✅ Multi-instance manager initialized');
+
+            // Resume pending webhook deliveries and retries
+            webhookDeliveryQueue.start();
+
+            // Resume queued outgoing messages (OUTBOUND_QUEUE_ENABLED)
+            await outboundQueue.start(instanceManager);
+
+            // Resume scheduled messages
+            await messageScheduler.start(instanceManager);
+
+            // Continue running broadcast campaigns
+            await campaignRunner.start(instanceManager);
         } else {
             logger.info('⏭️  Multi-instance manager disabled');
         }
@@ -0,0 +1,41 @@
+/**
+ * Campaign Configuration
+ * Pace and size limits of bulk broadcast campaigns
+ */
+
+const { readInt } = require('../utils/env');
+
+const CAMPAIGN_STATUSES = ['running', 'paused', 'completed', 'cancelled'];
+
+// In the order a message moves through them, receipts never move a recipient back
+const RECIPIENT_STATUSES = ['queued', 'sending', 'sent', 'delivered', 'read', 'failed', 'cancelled'];
+
+/**
+ * Get campaign settings from environment
+ * @returns {Object} Campaign settings
+ */
+const getCampaignConfig = () => ({
+    // Default pace of a campaign, a campaign may ask for a slower or faster one up to maxRatePerMinute
+    ratePerMinute: Math.max(1, readInt('CAMPAIGN_RATE_PER_MINUTE', 20)),
+    maxRatePerMinute: Math.max(1, readInt('CAMPAIGN_MAX_RATE_PER_MINUTE', 60)),
+    jitterMs: readInt('CAMPAIGN_JITTER_MS', 3000),
+    maxRecipients: Math.max(1, readInt('CAMPAIGN_MAX_RECIPIENTS', 10000)),
+    pollIntervalMs: Math.max(250, readInt('CAMPAIGN_POLL_INTERVAL_MS', 1000))
+});
+
+/**
+ * Get the delay before the next message of a campaign
+ * @param {number} ratePerMinute - Pace of the campaign
+ * @returns {number} Delay in milliseconds
+ */
+const getSendDelay = (ratePerMinute) => {
+    const { jitterMs } = getCampaignConfig();
+    return Math.round(60000 / ratePerMinute + Math.random() * jitterMs);
+};
+
+module.exports = {
+    CAMPAIGN_STATUSES,
+    RECIPIENT_STATUSES,
+    getCampaignConfig,
+    getSendDelay
+};
@@ -0,0 +1,78 @@
+/**
+ * Webhook Event Configuration
+ * Registry of the events a webhook can subscribe to and pattern matching for subscriptions
+ */
+
+// Events delivered to webhooks
+const EVENTS = {
+    MESSAGE_RECEIVED: 'message.received',     // Incoming message
+    MESSAGE_SENT: 'message.sent',             // Message sent through the API
+    MESSAGE_STATUS: 'message.status',         // An outgoing message was delivered or read
+    MESSAGE_EDITED: 'message.edited',         // A message was edited
+    MESSAGE_REVOKED: 'message.revoked',       // A message was deleted for everyone
+    CONNECTION_UPDATE: 'connection.update',   // QR code, connected, reconnecting, logged out
+    WEBHOOK_DISABLED: 'webhook.disabled',     // A webhook was disabled by its circuit breaker
+    SCHEDULED_FAILED: 'scheduled.failed'      // A scheduled message could not be sent
+};
+
+const WILDCARD = '*';
+
+/**
+ * Check whether a subscription pattern is valid
+ * Accepts a known event name, "*" for every event, or "<group>.*" for a known event group
+ * @param {string} pattern - Event name or pattern
+ * @returns {boolean}
+ */
+const isValidEventPattern = (pattern) => {
+    if (typeof pattern !== 'string') return false;
+    if (pattern === WILDCARD) return true;
+
+    const events = Object.values(EVENTS);
+    if (pattern.endsWith('.*')) {
+        const prefix = pattern.slice(0, -1);
+        return events.some(event => event.startsWith(prefix));
+    }
+
+    return events.includes(pattern);
+};
+
+/**
+ * Check whether an event matches a subscription pattern
+ * @param {string} pattern - Event name, "*" or "<group>.*"
+ * @param {string} event - Emitted event name
+ * @returns {boolean}
+ */
+const matchesEvent = (pattern, event) => {
+    if (pattern === WILDCARD) return true;
+    if (pattern.endsWith('.*')) return event.startsWith(pattern.slice(0, -1));
+    return pattern === event;
+};
+
+/**
+ * Get the subscription patterns of a webhook
+ * Webhooks created before multi-event subscriptions only have the single "event" field
+ * @param {Object} webhook - Webhook record
+ * @returns {string[]}
+ */
+const getSubscribedEvents = (webhook) => {
+    if (Array.isArray(webhook.events) && webhook.events.length > 0) return webhook.events;
+    return webhook.event ? [webhook.event] : [];
+};
+
+/**
+ * Check whether a webhook is subscribed to an event
+ * @param {Object} webhook - Webhook record
+ * @param {string} event - Emitted event name
+ * @returns {boolean}
+ */
+const isSubscribed = (webhook, event) =>
+    getSubscribedEvents(webhook).some(pattern => matchesEvent(pattern, event));
+
+module.exports = {
+    EVENTS,
+    WILDCARD,
+    isValidEventPattern,
+    matchesEvent,
+    getSubscribedEvents,
+    isSubscribed
+};
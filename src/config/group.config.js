@@ -0,0 +1,21 @@
+/**
+ * Group Configuration
+ * Expiry of the group metadata cache and of its stored snapshots
+ */
+
+const { readInt } = require('../utils/env');
+
+/**
+ * Get the group metadata cache settings
+ * @returns {{ cacheTtlMs: number, snapshotMaxAgeMs: number }}
+ */
+const getGroupMetadataConfig = () => ({
+    // Cached metadata is fetched again after this time, group events keep it current meanwhile
+    cacheTtlMs: readInt('GROUP_METADATA_CACHE_TTL_MS', 60 * 60 * 1000, 1000),
+    // Stored snapshots older than this are not restored on start
+    snapshotMaxAgeMs: readInt('GROUP_METADATA_SNAPSHOT_MAX_AGE_MS', 24 * 60 * 60 * 1000, 0)
+});
+
+module.exports = {
+    getGroupMetadataConfig
+};
@@ -0,0 +1,64 @@
+/**
+ * Media Configuration
+ * Handles automatic download of incoming media, upload limits of sent media and the store media is saved to
+ */
+
+const path = require('path');
+const { readInt } = require('../utils/env');
+
+const MEDIA_STORES = ['local', 's3'];
+
+/**
+ * Get media download and storage settings from environment
+ * @returns {Object} Media settings
+ */
+const getMediaConfig = () => {
+    const store = (process.env.MEDIA_STORE || 'local').toLowerCase();
+
+    return {
+        downloadEnabled: process.env.MEDIA_DOWNLOAD_ENABLED?.toLowerCase() !== 'false',
+        store: MEDIA_STORES.includes(store) ? store : 'local',
+        maxDownloadBytes: readInt('MEDIA_MAX_DOWNLOAD_BYTES', 50 * 1024 * 1024),
+        maxUploadBytes: Math.max(1024, readInt('MEDIA_MAX_UPLOAD_BYTES', 16 * 1024 * 1024)),
+        localPath: path.resolve(process.env.MEDIA_LOCAL_PATH || './media'),
+        publicBaseUrl: (process.env.MEDIA_PUBLIC_BASE_URL || '').replace(/\/+$/, ''),
+        s3: {
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint: process.env.S3_ENDPOINT || undefined,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE?.toLowerCase() === 'true',
+            prefix: (process.env.S3_PREFIX || '').replace(/^\/+|\/+$/g, '')
+        }
+    };
+};
+
+/**
+ * Get the JSON body size limit in bytes
+ * Large enough for a base64 encoded file of MEDIA_MAX_UPLOAD_BYTES plus the rest of the request
+ * @returns {number}
+ */
+const getJsonBodyLimit = () => {
+    const { maxUploadBytes } = getMediaConfig();
+    return Math.ceil(maxUploadBytes * 4 / 3) + 64 * 1024;
+};
+
+/**
+ * Build the API URL of a stored media file
+ * Relative to the server unless MEDIA_PUBLIC_BASE_URL is set
+ * @param {string} phone - Instance phone number
+ * @param {string} messageId - WhatsApp message ID
+ * @returns {string}
+ */
+const getMediaUrl = (phone, messageId) => {
+    const { publicBaseUrl } = getMediaConfig();
+    return `${publicBaseUrl}/api/v1/instances/${encodeURIComponent(phone)}/media/${encodeURIComponent(messageId)}`;
+};
+
+module.exports = {
+    MEDIA_STORES,
+    getMediaConfig,
+    getJsonBodyLimit,
+    getMediaUrl
+};
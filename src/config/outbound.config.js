@@ -0,0 +1,53 @@
+/**
+ * Outbound Queue Configuration
+ * Pacing of outgoing messages per instance: rate, jitter, daily cap and priorities
+ */
+
+const { readInt } = require('../utils/env');
+
+// Lower numbers are sent first
+const PRIORITIES = {
+    high: 0,
+    normal: 1,
+    low: 2
+};
+
+/**
+ * Get outbound queue settings from environment
+ * @returns {Object} Queue settings
+ */
+const getOutboundConfig = () => ({
+    enabled: process.env.OUTBOUND_QUEUE_ENABLED === 'true',
+    ratePerMinute: Math.max(1, readInt('OUTBOUND_RATE_PER_MINUTE', 20)),
+    jitterMs: readInt('OUTBOUND_JITTER_MS', 3000),
+    // 0 = no daily cap
+    dailyCap: readInt('OUTBOUND_DAILY_CAP', 0),
+    pollIntervalMs: Math.max(250, readInt('OUTBOUND_QUEUE_POLL_INTERVAL_MS', 1000))
+});
+
+/**
+ * Get the delay before the next message of an instance
+ * The minimum interval follows from the rate, a random jitter makes the traffic look less automated
+ * @returns {number} Delay in milliseconds
+ */
+const getSendDelay = () => {
+    const { ratePerMinute, jitterMs } = getOutboundConfig();
+    return Math.round(60000 / ratePerMinute + Math.random() * jitterMs);
+};
+
+/**
+ * Map a priority name to its sort value
+ * @param {string} [name] - "high", "normal" or "low", defaults to "normal"
+ * @returns {number|null} Sort value, or null for unknown names
+ */
+const getPriority = (name) => {
+    if (name === undefined || name === null || name === '') return PRIORITIES.normal;
+    return PRIORITIES[String(name).toLowerCase()] ?? null;
+};
+
+module.exports = {
+    PRIORITIES,
+    getOutboundConfig,
+    getSendDelay,
+    getPriority
+};
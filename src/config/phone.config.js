@@ -0,0 +1,34 @@
+/**
+ * Phone Number Configuration
+ * Country code used for national numbers (leading 0) when the instance has none configured,
+ * and settings of the WhatsApp registration check of recipients
+ */
+
+const { readInt } = require('../utils/env');
+
+/**
+ * Get the default country code from DEFAULT_COUNTRY_CODE
+ * @returns {string|null} Country code digits, or null when national numbers are not accepted
+ */
+const getDefaultCountryCode = () => {
+    const value = (process.env.DEFAULT_COUNTRY_CODE ?? '62').replace(/[^\d]/g, '');
+    return value || null;
+};
+
+/**
+ * Get the recipient check settings
+ * @returns {{ checkOnSend: boolean, cacheTtlMs: number, notFoundCacheTtlMs: number, batchLimit: number }}
+ */
+const getRecipientCheckConfig = () => ({
+    // Check that recipients are registered on WhatsApp before sending
+    checkOnSend: process.env.RECIPIENT_CHECK_ON_SEND === 'true',
+    cacheTtlMs: readInt('RECIPIENT_CHECK_CACHE_TTL_MS', 24 * 60 * 60 * 1000, 0),
+    // Unregistered numbers are cached for less time, they may sign up
+    notFoundCacheTtlMs: readInt('RECIPIENT_CHECK_NOT_FOUND_TTL_MS', 60 * 60 * 1000, 0),
+    batchLimit: readInt('RECIPIENT_CHECK_BATCH_LIMIT', 50, 1)
+});
+
+module.exports = {
+    getDefaultCountryCode,
+    getRecipientCheckConfig
+};
@@ -0,0 +1,21 @@
+/**
+ * Message Scheduler Configuration
+ * How often scheduled messages are checked and how late a run may start
+ */
+
+const { readInt } = require('../utils/env');
+
+/**
+ * Get message scheduler settings from environment
+ * @returns {Object} Scheduler settings
+ */
+const getSchedulerConfig = () => ({
+    pollIntervalMs: Math.max(1000, readInt('SCHEDULED_POLL_INTERVAL_MS', 5000)),
+    batchSize: Math.max(1, readInt('SCHEDULED_BATCH_SIZE', 50)),
+    // A run that cannot start this long after its time (instance disconnected) fails, 0 = wait indefinitely
+    maxDelayMs: readInt('SCHEDULED_MAX_DELAY_MS', 60 * 60 * 1000)
+});
+
+module.exports = {
+    getSchedulerConfig
+};
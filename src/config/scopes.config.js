@@ -0,0 +1,65 @@
+/**
+ * API Key Scope Configuration
+ * Defines the permission scopes that can be granted to API keys
+ */
+
+// Available scopes
+const SCOPES = {
+    ALL: '*',                               // Full access, including key management
+    INSTANCES_READ: 'instances:read',       // List instances, status, QR code, logs, plugins
+    INSTANCES_WRITE: 'instances:write',     // Create, update, delete, restart, pair instances and plugin config
+    MESSAGES_READ: 'messages:read',         // Read stored messages, downloaded media, contacts and chats
+    MESSAGES_SEND: 'messages:send',         // Send text, group and media messages
+    GROUPS_READ: 'groups:read',             // List groups, group details and invite links
+    GROUPS_WRITE: 'groups:write',           // Create, change, join and leave groups, manage participants
+    WEBHOOKS_READ: 'webhooks:read',         // List webhooks and webhook history
+    WEBHOOKS_WRITE: 'webhooks:write',       // Create, update, delete webhooks and clean up history
+    KEYS_MANAGE: 'keys:manage'              // Create, rotate and revoke API keys
+};
+
+/**
+ * Check whether a scope name is known
+ * @param {string} scope - Scope name
+ * @returns {boolean}
+ */
+const isValidScope = (scope) => Object.values(SCOPES).includes(scope);
+
+/**
+ * Check whether a set of granted scopes satisfies a required scope
+ * @param {string[]} grantedScopes - Scopes granted to the API key
+ * @param {string} requiredScope - Scope required by the route
+ * @returns {boolean}
+ */
+const hasScope = (grantedScopes = [], requiredScope) => {
+    if (grantedScopes.includes(SCOPES.ALL)) return true;
+    if (!requiredScope) return true;
+    return grantedScopes.includes(requiredScope);
+};
+
+/**
+ * Get the requested scopes an API key may not grant to another key
+ * Keys only grant scopes they hold themselves, "*" and keys:manage only keys holding "*"
+ * @param {string[]} grantedScopes - Scopes of the API key making the request
+ * @param {string[]} requestedScopes - Scopes to grant
+ * @returns {string[]} Scopes that cannot be granted, empty when all can
+ */
+const getUngrantableScopes = (grantedScopes = [], requestedScopes = []) => {
+    if (grantedScopes.includes(SCOPES.ALL)) return [];
+    return requestedScopes.filter(scope =>
+        scope === SCOPES.ALL || scope === SCOPES.KEYS_MANAGE || !grantedScopes.includes(scope));
+};
+
+/**
+ * Check whether API key authentication is enabled
+ * Enabled by default, set API_AUTH_ENABLED=false to disable (local development only)
+ * @returns {boolean}
+ */
+const isAuthEnabled = () => process.env.API_AUTH_ENABLED?.toLowerCase() !== 'false';
+
+module.exports = {
+    SCOPES,
+    isValidScope,
+    hasScope,
+    getUngrantableScopes,
+    isAuthEnabled
+};
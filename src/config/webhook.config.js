@@ -0,0 +1,87 @@
+/**
+ * Webhook Delivery Configuration
+ * Handles timeouts, retry limits and backoff for webhook deliveries
+ */
+
+const { readInt } = require('../utils/env');
+
+// Headers set by the server on every delivery, which custom webhook headers cannot override
+const RESERVED_HEADERS = [
+    'Content-Type',
+    'Content-Length',
+    'Host',
+    'User-Agent',
+    'X-Whisper-Delivery',
+    'X-Whisper-Signature',
+    'X-Whisper-Timestamp'
+];
+
+/**
+ * Get webhook delivery settings from environment
+ * @returns {Object} Delivery settings
+ */
+const getDeliveryConfig = () => ({
+    timeoutMs: readInt('WEBHOOK_TIMEOUT_MS', 5000),
+    maxAttempts: Math.max(1, readInt('WEBHOOK_MAX_ATTEMPTS', 5)),
+    retryBaseDelayMs: readInt('WEBHOOK_RETRY_BASE_DELAY_MS', 10000),
+    retryMaxDelayMs: readInt('WEBHOOK_RETRY_MAX_DELAY_MS', 60 * 60 * 1000),
+    pollIntervalMs: Math.max(1000, readInt('WEBHOOK_QUEUE_POLL_INTERVAL_MS', 5000)),
+    batchSize: Math.max(1, readInt('WEBHOOK_QUEUE_BATCH_SIZE', 50))
+});
+
+/**
+ * Get webhook dispatch concurrency settings from environment
+ * @returns {Object} Dispatch settings
+ */
+const getDispatchConfig = () => ({
+    concurrencyPerInstance: Math.max(1, readInt('WEBHOOK_CONCURRENCY_PER_INSTANCE', 10)),
+    concurrencyPerEndpoint: Math.max(1, readInt('WEBHOOK_CONCURRENCY_PER_ENDPOINT', 2)),
+    maxPending: Math.max(1, readInt('WEBHOOK_DISPATCH_QUEUE_LIMIT', 1000))
+});
+
+/**
+ * Get webhook circuit breaker settings from environment
+ * A failure threshold of 0 disables the breaker, 0 probes disables auto-disable
+ * @returns {Object} Circuit breaker settings
+ */
+const getCircuitBreakerConfig = () => ({
+    failureThreshold: readInt('WEBHOOK_CIRCUIT_FAILURE_THRESHOLD', 10),
+    probeIntervalMs: Math.max(1000, readInt('WEBHOOK_CIRCUIT_PROBE_INTERVAL_MS', 60000)),
+    autoDisableAfterProbes: readInt('WEBHOOK_CIRCUIT_AUTO_DISABLE_PROBES', 0)
+});
+
+/**
+ * Calculate the exponential backoff delay before the next retry
+ * Delay doubles with every retry, capped at retryMaxDelayMs, with up to 20% jitter
+ * @param {number} retryCount - Number of the retry being scheduled (1 = first retry)
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (retryCount) => {
+    const { retryBaseDelayMs, retryMaxDelayMs } = getDeliveryConfig();
+    const exponential = retryBaseDelayMs * Math.pow(2, Math.max(0, retryCount - 1));
+    const delay = Math.min(exponential, retryMaxDelayMs);
+    const jitter = delay * 0.2 * Math.random();
+    return Math.round(delay + jitter);
+};
+
+/**
+ * Check whether a failed delivery should be retried
+ * Network errors, timeouts, 408, 429 and 5xx responses are retried;
+ * other 4xx responses mean the receiver rejected the payload
+ * @param {number|null} httpStatusCode - HTTP status code of the response, if any
+ * @returns {boolean}
+ */
+const isRetryable = (httpStatusCode) => {
+    if (!httpStatusCode) return true;
+    if (httpStatusCode === 408 || httpStatusCode === 429) return true;
+    return httpStatusCode >= 500;
+};
+
+module.exports = {
+    RESERVED_HEADERS,
+    getDeliveryConfig,
+    getDispatchConfig,
+    getCircuitBreakerConfig,
+    getRetryDelay,
+    isRetryable
+};
@@ -0,0 +1,341 @@
+const apiKeyService = require('../services/apiKeyService');
+const scopesConfig = require('../config/scopes.config');
+const logger = require('../utils/logger');
+
+/**
+ * Validate scopes, instance binding and expiration from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether fields are optional (update)
+ * @returns {string|null} Validation error message
+ */
+const validateKeyPayload = (body, partial = false) => {
+    const { name, scopes, instancePhones, expiresAt } = body;
+
+    if (!partial || name !== undefined) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            return 'name must be a non-empty string';
+        }
+    }
+
+    if (!partial || scopes !== undefined) {
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            return 'scopes must be a non-empty array';
+        }
+
+        const invalidScopes = scopes.filter(scope => !scopesConfig.isValidScope(scope));
+        if (invalidScopes.length > 0) {
+            return `Unknown scopes: ${invalidScopes.join(', ')}. Available scopes: ${Object.values(scopesConfig.SCOPES).join(', ')}`;
+        }
+    }
+
+    if (instancePhones !== undefined) {
+        if (!Array.isArray(instancePhones) || instancePhones.some(phone => typeof phone !== 'string')) {
+            return 'instancePhones must be an array of phone numbers';
+        }
+    }
+
+    if (expiresAt !== undefined && expiresAt !== null && isNaN(new Date(expiresAt).getTime())) {
+        return 'expiresAt must be a valid date';
+    }
+
+    return null;
+};
+
+/**
+ * Check that the API key making the request may grant the scopes and instance binding of a key
+ * A key cannot give more access than it has: no scopes it does not hold and no instances outside its binding
+ * @param {Object} [caller] - API key of the request, missing when authentication is disabled
+ * @param {string[]} scopes - Scopes the key will have
+ * @param {string[]} instancePhones - Instances the key will be bound to, empty for all instances
+ * @returns {string|null} Why the key cannot be granted
+ */
+const validateGrant = (caller, scopes, instancePhones) => {
+    if (!caller) return null;
+
+    const ungrantable = scopesConfig.getUngrantableScopes(caller.scopes, scopes);
+    if (ungrantable.length > 0) {
+        return `API key cannot grant scopes: ${ungrantable.join(', ')}. Keys only grant scopes they hold, and only keys with "*" grant "*" or keys:manage`;
+    }
+
+    const boundPhones = caller.instancePhones || [];
+    if (boundPhones.length > 0) {
+        if (instancePhones.length === 0) {
+            return 'API key is bound to specific instances and cannot grant access to all instances';
+        }
+
+        const outside = instancePhones.filter(phone => !boundPhones.includes(phone));
+        if (outside.length > 0) {
+            return `API key cannot grant access to instances: ${outside.join(', ')}`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Respond with 403 for a key that would get more access than the requesting key has
+ * @param {Object} res - Express response object
+ * @param {string} message - Why the key cannot be granted
+ */
+const forbiddenGrantResponse = (res, message) => res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    message
+});
+
+const apiKeyController = {
+    // Get all API keys
+    getApiKeys: async (req, res) => {
+        try {
+            logger.info('🔑 Get API keys request received');
+
+            const apiKeys = await apiKeyService.findAll();
+
+            res.status(200).json({
+                success: true,
+                data: apiKeys
+            });
+        } catch (error) {
+            logger.error('❌ Error getting API keys:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get API keys',
+                message: error.message
+            });
+        }
+    },
+
+    // Get a specific API key
+    getApiKey: async (req, res) => {
+        try {
+            const { id } = req.params;
+            logger.info(`🔑 Get API key request received for ${id}`);
+
+            const apiKey = await apiKeyService.findById(id);
+            if (!apiKey) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'API key not found',
+                    message: `API key with id ${id} not found`
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: apiKey
+            });
+        } catch (error) {
+            logger.error(`❌ Error getting API key ${req.params.id}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get API key',
+                message: error.message
+            });
+        }
+    },
+
+    // Create a new API key
+    createApiKey: async (req, res) => {
+        try {
+            const validationError = validateKeyPayload(req.body);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid API key data',
+                    message: validationError
+                });
+            }
+
+            const { name, scopes, instancePhones, expiresAt } = req.body;
+            logger.info(`🔑 Create API key request received for ${name}`);
+
+            const grantError = validateGrant(req.apiKey, scopes, instancePhones || []);
+            if (grantError) return forbiddenGrantResponse(res, grantError);
+
+            const { apiKey, key } = await apiKeyService.create({
+                name: name.trim(),
+                scopes,
+                instancePhones: instancePhones || [],
+                expiresAt: expiresAt ? new Date(expiresAt) : undefined
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'API key created successfully. Store the key now, it will not be shown again',
+                data: {
+                    ...apiKey,
+                    key
+                }
+            });
+        } catch (error) {
+            logger.error('❌ Error creating API key:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create API key',
+                message: error.message
+            });
+        }
+    },
+
+    // Update API key name, scopes, instance binding or expiration
+    updateApiKey: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const validationError = validateKeyPayload(req.body, true);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid API key data',
+                    message: validationError
+                });
+            }
+
+            logger.info(`🔑 Update API key request received for ${id}`);
+
+            const existing = await apiKeyService.findById(id);
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'API key not found',
+                    message: `API key with id ${id} not found`
+                });
+            }
+
+            const { name, scopes, instancePhones, expiresAt } = req.body;
+
+            // The key as it will be after the update, so keys with more access than the caller cannot be changed
+            const grantError = validateGrant(req.apiKey, scopes ?? existing.scopes, instancePhones ?? existing.instancePhones ?? []);
+            if (grantError) return forbiddenGrantResponse(res, grantError);
+
+            const updateData = {};
+            if (name !== undefined) updateData.name = name.trim();
+            if (scopes !== undefined) updateData.scopes = scopes;
+            if (instancePhones !== undefined) updateData.instancePhones = instancePhones;
+            if (expiresAt !== undefined) updateData.expiresAt = expiresAt ? new Date(expiresAt) : null;
+
+            const apiKey = await apiKeyService.update(id, updateData);
+
+            res.status(200).json({
+                success: true,
+                message: 'API key updated successfully',
+                data: apiKey
+            });
+        } catch (error) {
+            logger.error(`❌ Error updating API key ${req.params.id}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update API key',
+                message: error.message
+            });
+        }
+    },
+
+    // Rotate an API key, returning a new plaintext key
+    rotateApiKey: async (req, res) => {
+        try {
+            const { id } = req.params;
+            logger.info(`🔄 Rotate API key request received for ${id}`);
+
+            const existing = await apiKeyService.findById(id);
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'API key not found',
+                    message: `API key with id ${id} not found`
+                });
+            }
+
+            if (existing.revokedAt) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'API key revoked',
+                    message: `API key ${id} has been revoked and cannot be rotated`
+                });
+            }
+
+            const { apiKey, key } = await apiKeyService.rotate(id);
+
+            res.status(200).json({
+                success: true,
+                message: 'API key rotated successfully. Store the new key now, it will not be shown again',
+                data: {
+                    ...apiKey,
+                    key
+                }
+            });
+        } catch (error) {
+            logger.error(`❌ Error rotating API key ${req.params.id}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to rotate API key',
+                message: error.message
+            });
+        }
+    },
+
+    // Revoke an API key
+    revokeApiKey: async (req, res) => {
+        try {
+            const { id } = req.params;
+            logger.info(`🚫 Revoke API key request received for ${id}`);
+
+            const existing = await apiKeyService.findById(id);
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'API key not found',
+                    message: `API key with id ${id} not found`
+                });
+            }
+
+            const apiKey = await apiKeyService.revoke(id);
+
+            res.status(200).json({
+                success: true,
+                message: 'API key revoked successfully',
+                data: apiKey
+            });
+        } catch (error) {
+            logger.error(`❌ Error revoking API key ${req.params.id}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to revoke API key',
+                message: error.message
+            });
+        }
+    },
+
+    // Delete an API key
+    deleteApiKey: async (req, res) => {
+        try {
+            const { id } = req.params;
+            logger.info(`🗑️ Delete API key request received for ${id}`);
+
+            const existing = await apiKeyService.findById(id);
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'API key not found',
+                    message: `API key with id ${id} not found`
+                });
+            }
+
+            await apiKeyService.delete(id);
+
+            res.status(200).json({
+                success: true,
+                message: 'API key deleted successfully'
+            });
+        } catch (error) {
+            logger.error(`❌ Error deleting API key ${req.params.id}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete API key',
+                message: error.message
+            });
+        }
+    }
+};
+
+module.exports = apiKeyController;
@@ -0,0 +1,376 @@
+const logger = require('../utils/logger');
+const instanceManager = require('../services/whatsappInstanceManager.service');
+const campaignService = require('../services/campaignService');
+const campaignConfig = require('../config/campaign.config');
+const campaignRecipients = require('../utils/campaignRecipients');
+
+// Most recipient errors listed in a 400 response
+const MAX_REPORTED_ERRORS = 50;
+
+/**
+ * Respond with 404 for an unknown instance
+ * @param {Object} res - Express response object
+ * @param {string} phone - Instance phone number
+ */
+const instanceNotFoundResponse = (res, phone) => res.status(404).json({
+    success: false,
+    error: 'Instance not found',
+    message: `WhatsApp instance ${phone} not found`
+});
+
+/**
+ * Respond with 404 for an unknown campaign
+ * @param {Object} res - Express response object
+ * @param {string} id - Campaign ID
+ */
+const campaignNotFoundResponse = (res, id) => res.status(404).json({
+    success: false,
+    error: 'Campaign not found',
+    message: `Campaign ${id} not found`
+});
+
+/**
+ * Read the recipient rows of a new campaign
+ * The list is a JSON "recipients" array, or an uploaded CSV or JSON file in the "file" field
+ * @param {Object} req - Express request object
+ * @returns {{ rows?: Object[], error?: string }}
+ */
+const readRecipientRows = (req) => {
+    if (req.file) {
+        const isJson = req.file.mimetype === 'application/json' || /\.json$/i.test(req.file.originalname || '');
+        if (!isJson) return campaignRecipients.parseCsv(req.file.buffer);
+
+        try {
+            const rows = JSON.parse(req.file.buffer.toString('utf8'));
+            return Array.isArray(rows) ? { rows } : { error: 'The uploaded JSON file must hold an array of recipients' };
+        } catch (error) {
+            return { error: `Invalid JSON: ${error.message}` };
+        }
+    }
+
+    const { recipients } = req.body;
+    if (!Array.isArray(recipients)) {
+        return { error: 'Provide recipients as an array, or upload a CSV or JSON file' };
+    }
+    return { rows: recipients };
+};
+
+/**
+ * Move a campaign to another status and respond with it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string[]} from - Statuses the campaign may be in
+ * @param {Object} data - Update data, including the new status
+ * @param {string} action - Verb used in messages, e.g. "paused"
+ * @returns {Promise<Object|null>} Updated campaign, or null when a response was sent
+ */
+const changeStatus = async (req, res, from, data, action) => {
+    const { phone, id } = req.params;
+
+    const instance = instanceManager.getInstance(phone);
+    if (!instance) {
+        instanceNotFoundResponse(res, phone);
+        return null;
+    }
+
+    const campaign = await campaignService.findById(instance.instanceData.id, id);
+    if (!campaign) {
+        campaignNotFoundResponse(res, id);
+        return null;
+    }
+
+    const updated = await campaignService.transition(campaign.id, from, data);
+    if (!updated) {
+        res.status(409).json({
+            success: false,
+            error: 'Invalid campaign status',
+            message: `Campaign ${id} is ${campaign.status} and cannot be ${action}`
+        });
+        return null;
+    }
+
+    logger.info(`📣 Campaign ${id} of ${phone} ${action}`);
+    return updated;
+};
+
+const campaignController = {
+    // Create a campaign and start sending it
+    createCampaign: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { name, template, ratePerMinute } = req.body;
+            const config = campaignConfig.getCampaignConfig();
+
+            logger.info(`📣 Create campaign request received for instance ${phone}`);
+
+            if (typeof name !== 'string' || name.trim() === '' || typeof template !== 'string' || template.trim() === '') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required fields',
+                    message: 'name and template are required'
+                });
+            }
+
+            const rate = ratePerMinute === undefined || ratePerMinute === '' ? config.ratePerMinute : Number(ratePerMinute);
+            if (!Number.isInteger(rate) || rate < 1 || rate > config.maxRatePerMinute) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid rate',
+                    message: `ratePerMinute must be a whole number from 1 to ${config.maxRatePerMinute}`
+                });
+            }
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) return instanceNotFoundResponse(res, phone);
+
+            const { rows, error } = readRecipientRows(req);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid recipients',
+                    message: error
+                });
+            }
+
+            if (rows.length === 0 || rows.length > config.maxRecipients) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid recipients',
+                    message: `A campaign needs 1 to ${config.maxRecipients} recipients`
+                });
+            }
+
+            const { recipients, errors, duplicates } = campaignRecipients.prepare(rows, template, instance.getDefaultCountryCode());
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid recipients',
+                    message: `${errors.length} recipient(s) are invalid`,
+                    errors: errors.slice(0, MAX_REPORTED_ERRORS)
+                });
+            }
+
+            const campaign = await campaignService.create({
+                instanceId: instance.instanceData.id,
+                name: name.trim(),
+                template,
+                ratePerMinute: rate
+            }, recipients);
+
+            logger.info(`✅ Campaign ${campaign.id} of ${phone} created with ${recipients.length} recipients`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Campaign created',
+                data: {
+                    ...campaign,
+                    duplicatesSkipped: duplicates
+                }
+            });
+        } catch (error) {
+            logger.error(`❌ Error creating campaign for instance ${req.params.phone}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create campaign',
+                message: error.message
+            });
+        }
+    },
+
+    // List the campaigns of an instance
+    getCampaigns: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { status, limit = 50, skip = 0 } = req.query;
+
+            if (status && !campaignConfig.CAMPAIGN_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid status',
+                    message: `status must be one of: ${campaignConfig.CAMPAIGN_STATUSES.join(', ')}`
+                });
+            }
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) return instanceNotFoundResponse(res, phone);
+
+            const { records, total } = await campaignService.findByInstance(instance.instanceData.id, {
+                status,
+                take: parseInt(limit),
+                skip: parseInt(skip)
+            });
+
+            res.status(200).json({
+                success: true,
+                data: records,
+                meta: {
+                    count: records.length,
+                    total,
+                    limit: parseInt(limit),
+                    skip: parseInt(skip)
+                }
+            });
+        } catch (error) {
+            logger.error(`❌ Error getting campaigns for instance ${req.params.phone}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get campaigns',
+                message: error.message
+            });
+        }
+    },
+
+    // Get a campaign with its progress per recipient status
+    getCampaign: async (req, res) => {
+        try {
+            const { phone, id } = req.params;
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) return instanceNotFoundResponse(res, phone);
+
+            const campaign = await campaignService.findById(instance.instanceData.id, id);
+            if (!campaign) return campaignNotFoundResponse(res, id);
+
+            const progress = await campaignService.getProgress(campaign.id);
+            const pending = progress.queued + progress.sending;
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    ...campaign,
+                    progress: {
+                        ...progress,
+                        processed: campaign.totalRecipients - pending,
+                        percent: campaign.totalRecipients ? Math.round((campaign.totalRecipients - pending) / campaign.totalRecipients * 100) : 100
+                    }
+                }
+            });
+        } catch (error) {
+            logger.error(`❌ Error getting campaign ${req.params.id}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get campaign',
+                message: error.message
+            });
+        }
+    },
+
+    // List the recipients of a campaign with their status
+    getCampaignRecipients: async (req, res) => {
+        try {
+            const { phone, id } = req.params;
+            const { status, limit = 50, skip = 0 } = req.query;
+
+            if (status && !campaignConfig.RECIPIENT_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid status',
+                    message: `status must be one of: ${campaignConfig.RECIPIENT_STATUSES.join(', ')}`
+                });
+            }
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) return instanceNotFoundResponse(res, phone);
+
+            const campaign = await campaignService.findById(instance.instanceData.id, id);
+            if (!campaign) return campaignNotFoundResponse(res, id);
+
+            const { records, total } = await campaignService.findRecipients(campaign.id, {
+                status,
+                take: parseInt(limit),
+                skip: parseInt(skip)
+            });
+
+            res.status(200).json({
+                success: true,
+                data: records,
+                meta: {
+                    count: records.length,
+                    total,
+                    limit: parseInt(limit),
+                    skip: parseInt(skip)
+                }
+            });
+        } catch (error) {
+            logger.error(`❌ Error getting recipients of campaign ${req.params.id}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get campaign recipients',
+                message: error.message
+            });
+        }
+    },
+
+    // Stop sending a running campaign until it is resumed
+    pauseCampaign: async (req, res) => {
+        try {
+            const campaign = await changeStatus(req, res, ['running'], { status: 'paused' }, 'paused');
+            if (!campaign) return;
+
+            res.status(200).json({
+                success: true,
+                message: 'Campaign paused',
+                data: campaign
+            });
+        } catch (error) {
+            logger.error(`❌ Error pausing campaign ${req.params.id}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to pause campaign',
+                message: error.message
+            });
+        }
+    },
+
+    // Continue sending a paused campaign
+    resumeCampaign: async (req, res) => {
+        try {
+            const campaign = await changeStatus(req, res, ['paused'], { status: 'running' }, 'resumed');
+            if (!campaign) return;
+
+            res.status(200).json({
+                success: true,
+                message: 'Campaign resumed',
+                data: campaign
+            });
+        } catch (error) {
+            logger.error(`❌ Error resuming campaign ${req.params.id}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to resume campaign',
+                message: error.message
+            });
+        }
+    },
+
+    // Stop a campaign for good, recipients not sent to yet are cancelled
+    cancelCampaign: async (req, res) => {
+        try {
+            const campaign = await changeStatus(req, res, ['running', 'paused'], {
+                status: 'cancelled',
+                completedAt: new Date()
+            }, 'cancelled');
+            if (!campaign) return;
+
+            const cancelledRecipients = await campaignService.cancelQueuedRecipients(campaign.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Campaign cancelled',
+                data: {
+                    ...campaign,
+                    cancelledRecipients
+                }
+            });
+        } catch (error) {
+            logger.error(`❌ Error cancelling campaign ${req.params.id}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to cancel campaign',
+                message: error.message
+            });
+        }
+    }
+};
+
+module.exports = campaignController;
@@ -0,0 +1,259 @@
+const logger = require('../utils/logger');
+const instanceManager = require('../services/whatsappInstanceManager.service');
+const contactService = require('../services/contactService');
+const phoneConfig = require('../config/phone.config');
+const phoneNumber = require('../utils/phoneNumber');
+
+const MAX_LIMIT = 100;
+
+/**
+ * Respond with 404 for an unknown instance
+ * @param {Object} res - Express response object
+ * @param {string} phone - Instance phone number
+ */
+const instanceNotFoundResponse = (res, phone) => res.status(404).json({
+    success: false,
+    error: 'Instance not found',
+    message: `WhatsApp instance ${phone} not found`
+});
+
+/**
+ * Respond with 503 for an instance that cannot look anything up
+ * @param {Object} res - Express response object
+ * @param {Object} instance - WhatsApp instance
+ */
+const notConnectedResponse = (res, instance) => res.status(503).json({
+    success: false,
+    error: 'Instance not connected',
+    message: `WhatsApp instance ${instance.instanceData.phone} is not connected. Current status: ${instance.connectionStatus}`
+});
+
+/**
+ * Read the contact JID of the request
+ * @param {Object} instance - WhatsApp instance, for the country code of national numbers
+ * @param {string} jid - Phone number or JID from the path
+ * @param {string[]} kinds - Accepted JID kinds
+ * @returns {{ jid?: string, error?: string }}
+ */
+const readJid = (instance, jid, kinds) => {
+    const result = phoneNumber.normalize(jid, instance.getDefaultCountryCode());
+    if (!result.valid) return { error: result.error };
+    if (!kinds.includes(result.kind)) return { error: `${jid} is not a ${kinds.join(' or ')} JID` };
+    return { jid: result.jid };
+};
+
+/**
+ * Respond with 400 for an invalid contact
+ * @param {Object} res - Express response object
+ * @param {string} message - Validation error
+ */
+const invalidContactResponse = (res, message) => res.status(400).json({
+    success: false,
+    error: 'Invalid contact',
+    message
+});
+
+const contactController = {
+    // Check which numbers are registered on WhatsApp
+    checkContacts: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { numbers } = req.body;
+            const { batchLimit } = phoneConfig.getRecipientCheckConfig();
+
+            logger.info(`🔎 Contact check request received for instance ${phone}`);
+
+            if (!Array.isArray(numbers) || numbers.length === 0 ||
+                numbers.some(number => typeof number !== 'string' && typeof number !== 'number')) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid numbers',
+                    message: 'numbers must be a non-empty array of phone numbers or JIDs'
+                });
+            }
+
+            if (numbers.length > batchLimit) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Too many numbers',
+                    message: `At most ${batchLimit} numbers can be checked per request`
+                });
+            }
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `WhatsApp instance ${phone} not found`
+                });
+            }
+
+            if (!instance.isConnected) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Instance not connected',
+                    message: `WhatsApp instance ${phone} is not connected. Current status: ${instance.connectionStatus}`
+                });
+            }
+
+            const results = await instance.checkRecipients(numbers.map(String));
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    results,
+                    summary: {
+                        total: results.length,
+                        onWhatsApp: results.filter(result => result.exists === true).length,
+                        notOnWhatsApp: results.filter(result => result.valid && result.exists === false).length,
+                        invalid: results.filter(result => !result.valid).length,
+                        unchecked: results.filter(result => result.exists === null).length
+                    }
+                }
+            });
+        } catch (error) {
+            logger.error(`❌ Error checking contacts for instance ${req.params.phone}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to check contacts',
+                message: error.message
+            });
+        }
+    },
+
+    // List the stored contacts of an instance
+    getContacts: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { search, skip = 0 } = req.query;
+            const limit = Math.min(parseInt(req.query.limit) || 50, MAX_LIMIT);
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) return instanceNotFoundResponse(res, phone);
+
+            const { records, total } = await contactService.findByInstance(instance.instanceData.id, {
+                search,
+                take: limit,
+                skip: parseInt(skip)
+            });
+
+            res.status(200).json({
+                success: true,
+                data: records,
+                meta: {
+                    count: records.length,
+                    total,
+                    limit,
+                    skip: parseInt(skip)
+                }
+            });
+        } catch (error) {
+            logger.error(`❌ Error getting contacts for instance ${req.params.phone}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get contacts',
+                message: error.message
+            });
+        }
+    },
+
+    // Get a stored contact
+    getContact: async (req, res) => {
+        try {
+            const { phone } = req.params;
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) return instanceNotFoundResponse(res, phone);
+
+            const { jid, error } = readJid(instance, req.params.jid, ['user', 'lid']);
+            if (error) return invalidContactResponse(res, error);
+
+            const contact = await contactService.findByJid(instance.instanceData.id, jid);
+            if (!contact) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Contact not found',
+                    message: `Contact ${jid} not found`
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: contact
+            });
+        } catch (error) {
+            logger.error(`❌ Error getting contact ${req.params.jid} for instance ${req.params.phone}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get contact',
+                message: error.message
+            });
+        }
+    },
+
+    // Look up the profile picture URL of a contact or group
+    getProfilePicture: async (req, res) => {
+        try {
+            const { phone } = req.params;
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) return instanceNotFoundResponse(res, phone);
+            if (!instance.isConnected) return notConnectedResponse(res, instance);
+
+            const { jid, error } = readJid(instance, req.params.jid, ['user', 'lid', 'group']);
+            if (error) return invalidContactResponse(res, error);
+
+            const url = await instance.getProfilePicture(jid, req.query.type === 'image');
+
+            res.status(200).json({
+                success: true,
+                data: { jid, url }
+            });
+        } catch (error) {
+            logger.error(`❌ Error getting profile picture of ${req.params.jid} for instance ${req.params.phone}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get profile picture',
+                message: error.message
+            });
+        }
+    },
+
+    // Look up the business profile of a contact
+    getBusinessProfile: async (req, res) => {
+        try {
+            const { phone } = req.params;
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) return instanceNotFoundResponse(res, phone);
+            if (!instance.isConnected) return notConnectedResponse(res, instance);
+
+            const { jid, error } = readJid(instance, req.params.jid, ['user']);
+            if (error) return invalidContactResponse(res, error);
+
+            const profile = await instance.getBusinessProfile(jid);
+            if (!profile) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Business profile not found',
+                    message: `${jid} is not a business account`
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: profile
+            });
+        } catch (error) {
+            logger.error(`❌ Error getting business profile of ${req.params.jid} for instance ${req.params.phone}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get business profile',
+                message: error.message
+            });
+        }
+    }
+};
+
+module.exports = contactController;
@@ -0,0 +1,220 @@
+const logger = require('../utils/logger');
+const instanceManager = require('../services/whatsappInstanceManager.service');
+const messageService = require('../services/messageService');
+const chatService = require('../services/chatService');
+const phoneNumber = require('../utils/phoneNumber');
+
+const DIRECTIONS = ['incoming', 'outgoing'];
+const STATUSES = ['pending', 'queued', 'sending', 'sent', 'delivered', 'read', 'failed', 'received'];
+const MAX_LIMIT = 100;
+
+/**
+ * Respond with 404 for an unknown instance
+ * @param {Object} res - Express response object
+ * @param {string} phone - Instance phone number
+ */
+const instanceNotFoundResponse = (res, phone) => res.status(404).json({
+    success: false,
+    error: 'Instance not found',
+    message: `WhatsApp instance ${phone} not found`
+});
+
+/**
+ * Read a page size from the query, capped at MAX_LIMIT
+ * @param {string} [limit] - Query value
+ * @returns {number}
+ */
+const readLimit = (limit) => {
+    const value = parseInt(limit, 10);
+    return Number.isFinite(value) && value > 0 ? Math.min(value, MAX_LIMIT) : 50;
+};
+
+/**
+ * Read a page offset from the query
+ * @param {string} [skip] - Query value
+ * @returns {number|null} Null when it is not a non-negative integer
+ */
+const readSkip = (skip) => {
+    if (skip === undefined || skip === '') return 0;
+    return /^\d+$/.test(skip) ? parseInt(skip, 10) : null;
+};
+
+/**
+ * Invalid skip response
+ * @param {Object} res - Express response object
+ */
+const invalidSkipResponse = (res) => res.status(400).json({
+    success: false,
+    error: 'Invalid query',
+    message: 'skip must be a non-negative integer'
+});
+
+/**
+ * Read the message history filters from the query
+ * @param {Object} query - Request query
+ * @param {Object} instance - WhatsApp instance, for the country code of contact numbers
+ * @returns {{ filters?: Object, error?: string }}
+ */
+const readFilters = (query, instance) => {
+    const { direction, type, status, contact, dateFrom, dateTo, search } = query;
+    const filters = { type, search };
+
+    if (direction) {
+        if (!DIRECTIONS.includes(direction)) return { error: `direction must be one of: ${DIRECTIONS.join(', ')}` };
+        filters.direction = direction;
+    }
+
+    if (status) {
+        if (!STATUSES.includes(status)) return { error: `status must be one of: ${STATUSES.join(', ')}` };
+        filters.status = status;
+    }
+
+    if (contact) {
+        const chat = phoneNumber.normalize(contact, instance.getDefaultCountryCode());
+        if (!chat.valid) return { error: `Invalid contact: ${chat.error}` };
+        filters.chatId = chat.jid;
+    }
+
+    for (const [name, value] of [['dateFrom', dateFrom], ['dateTo', dateTo]]) {
+        if (!value) continue;
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) return { error: `${name} must be an ISO 8601 date` };
+        filters[name] = date;
+    }
+
+    return { filters };
+};
+
+const conversationController = {
+    // Search the message history of an instance
+    getMessages: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { cursor } = req.query;
+            const limit = readLimit(req.query.limit);
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) return instanceNotFoundResponse(res, phone);
+
+            const { filters, error } = readFilters(req.query, instance);
+            if (error || (cursor && !/^[a-f\d]{24}$/i.test(cursor))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid query',
+                    message: error || 'cursor must be the nextCursor of a previous page'
+                });
+            }
+
+            const { records, nextCursor } = await messageService.search(instance.instanceData.id, filters, {
+                take: limit,
+                cursor
+            });
+
+            res.status(200).json({
+                success: true,
+                data: records,
+                meta: {
+                    count: records.length,
+                    limit,
+                    nextCursor
+                }
+            });
+        } catch (error) {
+            logger.error(`❌ Error getting messages for instance ${req.params.phone}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get messages',
+                message: error.message
+            });
+        }
+    },
+
+    // List the chats of an instance with their last message and unread count
+    getConversations: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const skip = readSkip(req.query.skip);
+            const limit = readLimit(req.query.limit);
+
+            if (skip === null) return invalidSkipResponse(res);
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) return instanceNotFoundResponse(res, phone);
+
+            const [conversations, total] = await Promise.all([
+                messageService.getConversations(instance.instanceData.id, { take: limit, skip }),
+                messageService.countConversations(instance.instanceData.id)
+            ]);
+
+            res.status(200).json({
+                success: true,
+                data: conversations,
+                meta: {
+                    count: conversations.length,
+                    total,
+                    limit,
+                    skip
+                }
+            });
+        } catch (error) {
+            logger.error(`❌ Error getting conversations for instance ${req.params.phone}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get conversations',
+                message: error.message
+            });
+        }
+    },
+
+    // List the WhatsApp chat list of an instance, as synced from the phone
+    getChats: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { search, archived, unread, type } = req.query;
+            const skip = readSkip(req.query.skip);
+            const limit = readLimit(req.query.limit);
+
+            if (skip === null) return invalidSkipResponse(res);
+
+            if (type && !['private', 'group'].includes(type)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid query',
+                    message: 'type must be one of: private, group'
+                });
+            }
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) return instanceNotFoundResponse(res, phone);
+
+            const { records, total } = await chatService.findByInstance(instance.instanceData.id, {
+                search,
+                archived: archived === undefined ? undefined : archived === 'true',
+                unread: unread === 'true',
+                isGroup: type ? type === 'group' : undefined,
+                take: limit,
+                skip
+            });
+
+            res.status(200).json({
+                success: true,
+                data: records,
+                meta: {
+                    count: records.length,
+                    total,
+                    limit,
+                    skip
+                }
+            });
+        } catch (error) {
+            logger.error(`❌ Error getting chats for instance ${req.params.phone}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get chats',
+                message: error.message
+            });
+        }
+    }
+};
+
+module.exports = conversationController;
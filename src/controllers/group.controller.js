@@ -0,0 +1,290 @@
+const logger = require('../utils/logger');
+const instanceManager = require('../services/whatsappInstanceManager.service');
+const { readGroupId, readParticipants, groupErrorResponse } = require('../utils/groupRequest');
+const GroupManager = require('../core/group-manager.core');
+
+/**
+ * Get a connected instance, or respond with 404 or 503
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Instance, or null when a response was sent
+ */
+const getConnectedInstance = (req, res) => {
+    const { phone } = req.params;
+    const instance = instanceManager.getInstance(phone);
+
+    if (!instance) {
+        res.status(404).json({
+            success: false,
+            error: 'Instance not found',
+            message: `WhatsApp instance ${phone} not found`
+        });
+        return null;
+    }
+
+    if (!instance.isConnected) {
+        res.status(503).json({
+            success: false,
+            error: 'Instance not connected',
+            message: `WhatsApp instance ${phone} is not connected. Current status: ${instance.connectionStatus}`
+        });
+        return null;
+    }
+
+    return instance;
+};
+
+/**
+ * Respond with 400 for an invalid request
+ * @param {Object} res - Express response object
+ * @param {string} error - Error type
+ * @param {string} message - Validation error
+ */
+const badRequestResponse = (res, error, message) => res.status(400).json({
+    success: false,
+    error,
+    message
+});
+
+const groupController = {
+    // List the groups the instance is a member of
+    getGroups: async (req, res) => {
+        try {
+            const instance = getConnectedInstance(req, res);
+            if (!instance) return;
+
+            const groups = await instance.groupManager.listGroups(req.query.refresh === 'true');
+
+            res.status(200).json({
+                success: true,
+                data: groups,
+                meta: {
+                    count: groups.length
+                }
+            });
+        } catch (error) {
+            logger.error(`❌ Error getting groups of instance ${req.params.phone}:`, error);
+            groupErrorResponse(res, error, 'Failed to get groups');
+        }
+    },
+
+    // Get a group with its participants
+    getGroup: async (req, res) => {
+        try {
+            const groupId = readGroupId(req.params.groupId);
+            if (!groupId) return badRequestResponse(res, 'Invalid group ID', `Invalid group ID: ${req.params.groupId}`);
+
+            const instance = getConnectedInstance(req, res);
+            if (!instance) return;
+
+            const group = await instance.groupManager.getGroup(groupId, req.query.refresh === 'true');
+
+            res.status(200).json({
+                success: true,
+                data: group
+            });
+        } catch (error) {
+            logger.error(`❌ Error getting group ${req.params.groupId} of instance ${req.params.phone}:`, error);
+            groupErrorResponse(res, error, 'Failed to get group');
+        }
+    },
+
+    // Create a group with the given participants
+    createGroup: async (req, res) => {
+        try {
+            const { subject, participants } = req.body;
+            logger.info(`👥 Create group request received for instance ${req.params.phone}`);
+
+            if (typeof subject !== 'string' || subject.trim() === '') {
+                return badRequestResponse(res, 'Missing required fields', 'subject is required');
+            }
+
+            const instance = getConnectedInstance(req, res);
+            if (!instance) return;
+
+            const { jids, error } = readParticipants(instance, participants);
+            if (error) return badRequestResponse(res, 'Invalid participants', error);
+
+            const group = await instance.groupManager.createGroup(subject.trim(), jids);
+
+            res.status(201).json({
+                success: true,
+                message: 'Group created',
+                data: group
+            });
+        } catch (error) {
+            logger.error(`❌ Error creating group for instance ${req.params.phone}:`, error);
+            groupErrorResponse(res, error, 'Failed to create group');
+        }
+    },
+
+    // Change the subject, description or settings of a group
+    updateGroup: async (req, res) => {
+        try {
+            const groupId = readGroupId(req.params.groupId);
+            if (!groupId) return badRequestResponse(res, 'Invalid group ID', `Invalid group ID: ${req.params.groupId}`);
+
+            const changes = {};
+            const { subject, description, announce, restrict } = req.body;
+
+            if (subject !== undefined) {
+                if (typeof subject !== 'string' || subject.trim() === '') {
+                    return badRequestResponse(res, 'Invalid group update', 'subject must be a non-empty string');
+                }
+                changes.subject = subject.trim();
+            }
+            if (description !== undefined) {
+                if (typeof description !== 'string') {
+                    return badRequestResponse(res, 'Invalid group update', 'description must be a string, empty to remove it');
+                }
+                changes.description = description;
+            }
+            for (const [name, value] of [['announce', announce], ['restrict', restrict]]) {
+                if (value === undefined) continue;
+                if (typeof value !== 'boolean') {
+                    return badRequestResponse(res, 'Invalid group update', `${name} must be true or false`);
+                }
+                changes[name] = value;
+            }
+
+            if (Object.keys(changes).length === 0) {
+                return badRequestResponse(res, 'Invalid group update', 'Provide subject, description, announce or restrict');
+            }
+
+            const instance = getConnectedInstance(req, res);
+            if (!instance) return;
+
+            const group = await instance.groupManager.updateGroup(groupId, changes);
+
+            res.status(200).json({
+                success: true,
+                message: 'Group updated',
+                data: group
+            });
+        } catch (error) {
+            logger.error(`❌ Error updating group ${req.params.groupId} of instance ${req.params.phone}:`, error);
+            groupErrorResponse(res, error, 'Failed to update group');
+        }
+    },
+
+    // Add, remove, promote or demote participants of a group
+    updateParticipants: async (req, res) => {
+        try {
+            const groupId = readGroupId(req.params.groupId);
+            if (!groupId) return badRequestResponse(res, 'Invalid group ID', `Invalid group ID: ${req.params.groupId}`);
+
+            const { action, participants } = req.body;
+            if (!GroupManager.PARTICIPANT_ACTIONS.includes(action)) {
+                return badRequestResponse(res, 'Invalid action', `action must be one of: ${GroupManager.PARTICIPANT_ACTIONS.join(', ')}`);
+            }
+
+            const instance = getConnectedInstance(req, res);
+            if (!instance) return;
+
+            const { jids, error } = readParticipants(instance, participants);
+            if (error) return badRequestResponse(res, 'Invalid participants', error);
+
+            const results = await instance.groupManager.updateParticipants(groupId, jids, action);
+
+            res.status(200).json({
+                success: true,
+                message: `Participants ${action} request sent`,
+                data: results
+            });
+        } catch (error) {
+            logger.error(`❌ Error updating participants of group ${req.params.groupId} of instance ${req.params.phone}:`, error);
+            groupErrorResponse(res, error, 'Failed to update participants');
+        }
+    },
+
+    // Get the invite link of a group
+    getInviteLink: async (req, res) => {
+        try {
+            const groupId = readGroupId(req.params.groupId);
+            if (!groupId) return badRequestResponse(res, 'Invalid group ID', `Invalid group ID: ${req.params.groupId}`);
+
+            const instance = getConnectedInstance(req, res);
+            if (!instance) return;
+
+            const invite = await instance.groupManager.getInvite(groupId);
+
+            res.status(200).json({
+                success: true,
+                data: invite
+            });
+        } catch (error) {
+            logger.error(`❌ Error getting invite link of group ${req.params.groupId} of instance ${req.params.phone}:`, error);
+            groupErrorResponse(res, error, 'Failed to get invite link');
+        }
+    },
+
+    // Revoke the invite link of a group and get the new one
+    revokeInviteLink: async (req, res) => {
+        try {
+            const groupId = readGroupId(req.params.groupId);
+            if (!groupId) return badRequestResponse(res, 'Invalid group ID', `Invalid group ID: ${req.params.groupId}`);
+
+            const instance = getConnectedInstance(req, res);
+            if (!instance) return;
+
+            const invite = await instance.groupManager.getInvite(groupId, true);
+
+            res.status(200).json({
+                success: true,
+                message: 'Invite link revoked',
+                data: invite
+            });
+        } catch (error) {
+            logger.error(`❌ Error revoking invite link of group ${req.params.groupId} of instance ${req.params.phone}:`, error);
+            groupErrorResponse(res, error, 'Failed to revoke invite link');
+        }
+    },
+
+    // Join a group by invite code or link
+    joinGroup: async (req, res) => {
+        try {
+            const { invite } = req.body;
+            if (typeof invite !== 'string' || invite.trim() === '') {
+                return badRequestResponse(res, 'Missing required fields', 'invite must be an invite code or link');
+            }
+
+            const instance = getConnectedInstance(req, res);
+            if (!instance) return;
+
+            const groupId = await instance.groupManager.joinGroup(invite);
+
+            res.status(200).json({
+                success: true,
+                message: 'Joined group',
+                data: { id: groupId }
+            });
+        } catch (error) {
+            logger.error(`❌ Error joining group for instance ${req.params.phone}:`, error);
+            groupErrorResponse(res, error, 'Failed to join group');
+        }
+    },
+
+    // Leave a group
+    leaveGroup: async (req, res) => {
+        try {
+            const groupId = readGroupId(req.params.groupId);
+            if (!groupId) return badRequestResponse(res, 'Invalid group ID', `Invalid group ID: ${req.params.groupId}`);
+
+            const instance = getConnectedInstance(req, res);
+            if (!instance) return;
+
+            await instance.groupManager.leaveGroup(groupId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Left group',
+                data: { id: groupId }
+            });
+        } catch (error) {
+            logger.error(`❌ Error leaving group ${req.params.groupId} of instance ${req.params.phone}:`, error);
+            groupErrorResponse(res, error, 'Failed to leave group');
+        }
+    }
+};
+
+module.exports = groupController;
@@ -3,6 +3,308 @@ const instanceManager = require('../services/whatsappInstanceManager.service');
 const instanceService = require('../services/instanceService');
 const messageService = require('../services/messageService');
 const instanceLogService = require('../services/instanceLogService');
+const messageContent = require('../utils/messageContent');
+const mediaInput = require('../utils/mediaInput');
+const phoneNumber = require('../utils/phoneNumber');
+const outboundQueue = require('../services/outboundQueue.service');
+const outboundConfig = require('../config/outbound.config');
+
+/**
+ * Check a recipient phone number or JID against the instance's default country code
+ * @param {Object} instance - WhatsApp instance
+ * @param {string} to - Recipient
+ * @returns {Object} Result of phoneNumber.normalize
+ */
+const validateRecipient = (instance, to) => phoneNumber.normalize(to, instance.getDefaultCountryCode());
+
+/**
+ * Respond with 400 for a recipient that is not a valid phone number or JID
+ * @param {Object} res - Express response object
+ * @param {string} message - Validation error
+ */
+const invalidRecipientResponse = (res, message) => res.status(400).json({
+    success: false,
+    error: 'Invalid recipient',
+    message
+});
+
+/**
+ * Read send options from the request body
+ * checkRecipient overrides RECIPIENT_CHECK_ON_SEND, quotedMessageId replies to a stored message
+ * and mentions lists the phone numbers or JIDs to mention. Form fields arrive as strings,
+ * so mentions may also be a comma-separated list
+ * @param {Object} req - Express request object
+ * @returns {{ checkRecipient?: boolean, quotedMessageId?: string, mentions?: string[] }}
+ */
+const getSendOptions = (req) => {
+    const { checkRecipient, quotedMessageId, mentions } = req.body || {};
+    const options = {};
+
+    if (checkRecipient !== undefined && checkRecipient !== null && checkRecipient !== '') {
+        options.checkRecipient = checkRecipient === true || checkRecipient === 'true';
+    }
+    if (quotedMessageId !== undefined && quotedMessageId !== null && quotedMessageId !== '') {
+        options.quotedMessageId = quotedMessageId;
+    }
+    if (mentions !== undefined && mentions !== null && mentions !== '') {
+        options.mentions = typeof mentions === 'string' ? mentions.split(',').map(mention => mention.trim()).filter(Boolean) : mentions;
+    }
+
+    return options;
+};
+
+/**
+ * Validate the quote and mentions of a send request
+ * @param {Object} instance - WhatsApp instance, for the country code of mentioned numbers
+ * @param {Object} options - Send options from getSendOptions()
+ * @returns {string|null} Validation error, or null when valid
+ */
+const validateSendOptions = (instance, options) => {
+    if (options.quotedMessageId !== undefined && typeof options.quotedMessageId !== 'string') {
+        return 'quotedMessageId must be a string';
+    }
+
+    if (options.mentions !== undefined) {
+        if (!Array.isArray(options.mentions)) return 'mentions must be an array of phone numbers or JIDs';
+
+        for (const mention of options.mentions) {
+            const result = typeof mention === 'string' || typeof mention === 'number'
+                ? validateRecipient(instance, String(mention))
+                : { valid: false, error: 'must be a phone number or JID' };
+            if (!result.valid) return `Invalid mention ${mention}: ${result.error}`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Respond with 400 for an invalid quote or mention
+ * @param {Object} res - Express response object
+ * @param {string} message - Validation error
+ */
+const invalidSendOptionsResponse = (res, message) => res.status(400).json({
+    success: false,
+    error: 'Invalid send options',
+    message
+});
+
+/**
+ * Respond with 404 when a quoted, edited or deleted message is not stored
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the instance
+ */
+const messageNotFoundResponse = (res, error) => res.status(404).json({
+    success: false,
+    error: 'Message not found',
+    message: error.message
+});
+
+/**
+ * Respond with 422 when the recipient is not registered on WhatsApp
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the recipient check
+ */
+const recipientNotFoundResponse = (res, error) => res.status(422).json({
+    success: false,
+    error: 'Recipient not on WhatsApp',
+    message: error.message
+});
+
+/**
+ * Respond with 400 for an invalid default country code
+ * @param {Object} res - Express response object
+ */
+const invalidCountryCodeResponse = (res) => res.status(400).json({
+    success: false,
+    error: 'Invalid country code',
+    message: 'defaultCountryCode must be 1 to 3 digits without a leading 0 or +, e.g. "62" or "1"'
+});
+
+/**
+ * Queue a message on the outbound queue and respond with 202
+ * Used instead of sending when OUTBOUND_QUEUE_ENABLED is set
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} instance - WhatsApp instance
+ * @param {string} kind - Outbound message kind
+ * @param {string} recipient - Phone number, JID or group ID
+ * @param {Object} payload - Message payload
+ */
+const queueMessage = async (req, res, instance, kind, recipient, payload) => {
+    const priority = outboundConfig.getPriority(req.body.priority);
+    if (priority === null) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid priority',
+            message: `priority must be one of: ${Object.keys(outboundConfig.PRIORITIES).join(', ')}`
+        });
+    }
+
+    const record = await outboundQueue.enqueue(instance, kind, recipient, payload, { priority, ...getSendOptions(req) });
+
+    res.status(202).json({
+        success: true,
+        data: {
+            instancePhone: req.params.phone,
+            to: recipient,
+            queuedMessageId: record.id,
+            type: record.type,
+            priority: req.body.priority || 'normal',
+            status: 'queued',
+            timestamp: new Date().toISOString()
+        },
+        message: 'Message queued'
+    });
+};
+
+/**
+ * Send a prepared message through a connected instance and respond with the result
+ * Shared by the location, contact, poll and reaction endpoints
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} kind - Message kind used in logs and responses
+ * @param {Function} send - Sends the message, returns the instance manager result
+ * @param {Object} [queued] - { kind, payload } to put the message on the outbound queue when it is enabled
+ */
+const sendPrepared = async (req, res, kind, send, queued = null) => {
+    const { phone } = req.params;
+
+    try {
+        const instance = instanceManager.getInstance(phone);
+        if (!instance) {
+            return res.status(404).json({
+                success: false,
+                error: 'Instance not found',
+                message: `WhatsApp instance ${phone} not found`
+            });
+        }
+
+        if (!instance.isConnected) {
+            return res.status(503).json({
+                success: false,
+                error: 'Instance not connected',
+                message: `WhatsApp instance ${phone} is not connected. Current status: ${instance.connectionStatus}`
+            });
+        }
+
+        if (req.body.to) {
+            const recipient = validateRecipient(instance, req.body.to);
+            if (!recipient.valid) {
+                return invalidRecipientResponse(res, recipient.error);
+            }
+        }
+
+        const optionsError = validateSendOptions(instance, getSendOptions(req));
+        if (optionsError) {
+            return invalidSendOptionsResponse(res, optionsError);
+        }
+
+        if (queued && outboundQueue.isEnabled()) {
+            return await queueMessage(req, res, instance, queued.kind, req.body.to, queued.payload);
+        }
+
+        const result = await send();
+
+        logger.info(`✅ ${kind} message sent successfully from instance ${phone} to ${req.body.to || result.normalized.chatId}`);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                instancePhone: phone,
+                to: req.body.to || result.normalized.chatId,
+                type: result.type,
+                messageId: result.messageId,
+                message: result.normalized,
+                status: 'sent',
+                timestamp: new Date().toISOString()
+            },
+            message: `${kind} message sent successfully`
+        });
+    } catch (error) {
+        logger.error(`❌ Error sending ${kind} message from instance ${phone}:`, error);
+        if (error.code === 'RECIPIENT_NOT_ON_WHATSAPP') {
+            return recipientNotFoundResponse(res, error);
+        }
+        if (error.code === 'MESSAGE_NOT_FOUND') {
+            return messageNotFoundResponse(res, error);
+        }
+        res.status(500).json({
+            success: false,
+            error: `Failed to send ${kind} message`,
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Respond with 400 for an invalid send request
+ * @param {Object} res - Express response object
+ * @param {string[]} errors - Validation errors
+ */
+const invalidContentResponse = (res, errors) => res.status(400).json({
+    success: false,
+    error: 'Invalid message content',
+    message: errors.join('; '),
+    errors
+});
+
+/**
+ * Edit or delete a sent message through a connected instance and respond with the updated record
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} action - "edited" or "deleted", used in logs and responses
+ * @param {Function} change - Changes the message, returns the updated record
+ */
+const changeSentMessage = async (req, res, action, change) => {
+    const { phone, messageId } = req.params;
+
+    try {
+        const instance = instanceManager.getInstance(phone);
+        if (!instance) {
+            return res.status(404).json({
+                success: false,
+                error: 'Instance not found',
+                message: `WhatsApp instance ${phone} not found`
+            });
+        }
+
+        if (!instance.isConnected) {
+            return res.status(503).json({
+                success: false,
+                error: 'Instance not connected',
+                message: `WhatsApp instance ${phone} is not connected. Current status: ${instance.connectionStatus}`
+            });
+        }
+
+        const message = await change();
+
+        logger.info(`✅ Message ${messageId} of instance ${phone} ${action}`);
+
+        res.status(200).json({
+            success: true,
+            data: message,
+            message: `Message ${action}`
+        });
+    } catch (error) {
+        logger.error(`❌ Error changing message ${messageId} of instance ${phone}:`, error);
+        if (error.code === 'MESSAGE_NOT_FOUND') {
+            return messageNotFoundResponse(res, error);
+        }
+        if (error.code === 'MESSAGE_NOT_EDITABLE') {
+            return res.status(422).json({
+                success: false,
+                error: 'Message cannot be changed',
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            error: `Message could not be ${action}`,
+            message: error.message
+        });
+    }
+};
 
 const instanceController = {
 // Get logs for a specific instance
@@ -191,7 +493,7 @@ const instanceController = {
     // Create new instance
     createInstance: async (req, res) => {
         try {
-            const { phone, name, alias } = req.body;
+            const { phone, name, alias, defaultCountryCode } = req.body;
             
             if (!phone || !name) {
                 return res.status(400).json({
@@ -201,6 +503,10 @@ const instanceController = {
                 });
             }
             
+            if (defaultCountryCode && !phoneNumber.isValidCountryCode(defaultCountryCode)) {
+                return invalidCountryCodeResponse(res);
+            }
+            
             logger.info(`🆕 Create instance request received for ${phone}`);
             
             // Check if instance already exists
@@ -217,7 +523,8 @@ const instanceController = {
             const instanceData = {
                 phone: phone.replace(/[^\d]/g, ''), // Clean phone number
                 name,
-                alias: alias || null
+                alias: alias || null,
+                defaultCountryCode: defaultCountryCode ? String(defaultCountryCode) : null
             };
             
             const instance = await instanceManager.createInstance(instanceData);
@@ -242,10 +549,14 @@ const instanceController = {
     updateInstance: async (req, res) => {
         try {
             const { phone } = req.params;
-            const { name, alias } = req.body;
+            const { name, alias, defaultCountryCode } = req.body;
             
             logger.info(`🔄 Update instance request received for ${phone}`);
             
+            if (defaultCountryCode && !phoneNumber.isValidCountryCode(defaultCountryCode)) {
+                return invalidCountryCodeResponse(res);
+            }
+            
             const dbInstance = await instanceService.findByPhone(phone);
             if (!dbInstance) {
                 return res.status(404).json({
@@ -259,6 +570,7 @@ const instanceController = {
             const updateData = {};
             if (name !== undefined) updateData.name = name;
             if (alias !== undefined) updateData.alias = alias;
+            if (defaultCountryCode !== undefined) updateData.defaultCountryCode = defaultCountryCode ? String(defaultCountryCode) : null;
             
             const updatedInstance = await instanceService.update(dbInstance.id, updateData);
             
@@ -377,6 +689,49 @@ const instanceController = {
         }
     },
 
+    // Request a pairing code to link an instance without scanning the QR code
+    requestPairingCode: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            logger.info(`🔢 Pairing code request received for ${phone}`);
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `WhatsApp instance ${phone} not found`
+                });
+            }
+
+            const pairingCode = await instance.requestPairingCode();
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    pairingCode,
+                    connectionStatus: instance.connectionStatus,
+                    timestamp: new Date().toISOString()
+                },
+                message: 'Enter the pairing code on the phone under Linked devices > Link with phone number'
+            });
+        } catch (error) {
+            logger.error(`❌ Error requesting pairing code for ${req.params.phone}:`, error);
+            if (error.code === 'NOT_LINKABLE') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Pairing code not available',
+                    message: error.message
+                });
+            }
+            res.status(500).json({
+                success: false,
+                error: 'Failed to request pairing code',
+                message: error.message
+            });
+        }
+    },
+
     // Send message from specific instance
     sendMessage: async (req, res) => {
         try {
@@ -421,8 +776,22 @@ const instanceController = {
                 });
             }
             
+            const recipient = validateRecipient(instance, to);
+            if (!recipient.valid) {
+                return invalidRecipientResponse(res, recipient.error);
+            }
+
+            const optionsError = validateSendOptions(instance, getSendOptions(req));
+            if (optionsError) {
+                return invalidSendOptionsResponse(res, optionsError);
+            }
+            
+            if (outboundQueue.isEnabled()) {
+                return await queueMessage(req, res, instance, 'text', to, { text: message.trim() });
+            }
+            
             // Send message using instance manager
-            const result = await instanceManager.sendMessage(phone, to, message.trim());
+            const result = await instanceManager.sendMessage(phone, to, message.trim(), getSendOptions(req));
             
             logger.info(`✅ Message sent successfully from instance ${phone} to ${to}`);
             
@@ -441,6 +810,12 @@ const instanceController = {
             
         } catch (error) {
             logger.error(`❌ Error sending message from instance ${req.params.phone}:`, error);
+            if (error.code === 'RECIPIENT_NOT_ON_WHATSAPP') {
+                return recipientNotFoundResponse(res, error);
+            }
+            if (error.code === 'MESSAGE_NOT_FOUND') {
+                return messageNotFoundResponse(res, error);
+            }
             res.status(500).json({
                 success: false,
                 error: 'Failed to send message',
@@ -493,8 +868,17 @@ const instanceController = {
                 });
             }
             
+            const optionsError = validateSendOptions(instance, getSendOptions(req));
+            if (optionsError) {
+                return invalidSendOptionsResponse(res, optionsError);
+            }
+
+            if (outboundQueue.isEnabled()) {
+                return await queueMessage(req, res, instance, 'group', groupId, { text: message.trim() });
+            }
+            
             // Send group message using instance manager
-            const result = await instanceManager.sendGroupMessage(phone, groupId, message.trim());
+            const result = await instanceManager.sendGroupMessage(phone, groupId, message.trim(), getSendOptions(req));
             
             logger.info(`✅ Group message sent successfully from instance ${phone} to ${groupId}`);
             
@@ -513,6 +897,9 @@ const instanceController = {
             
         } catch (error) {
             logger.error(`❌ Error sending group message from instance ${req.params.phone}:`, error);
+            if (error.code === 'MESSAGE_NOT_FOUND') {
+                return messageNotFoundResponse(res, error);
+            }
             res.status(500).json({
                 success: false,
                 error: 'Failed to send group message',
@@ -525,12 +912,12 @@ const instanceController = {
     sendMediaMessage: async (req, res) => {
         try {
             const { phone } = req.params;
-            const { to, media } = req.body;
+            const { to } = req.body;
             
             logger.info(`📨 Send media message request received from instance ${phone} to ${to}`);
             
             // Validation
-            if (!to || !media) {
+            if (!to || (!req.body.media && !req.file && !req.body.type)) {
                 return res.status(400).json({
                     success: false,
                     error: 'Missing required fields',
@@ -538,21 +925,12 @@ const instanceController = {
                 });
             }
             
-            if (!media.type || !media.url) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Invalid media format',
-                    message: 'media.type and media.url are required'
-                });
-            }
-            
-            // Validate media type
-            const validTypes = ['image', 'video', 'audio', 'document'];
-            if (!validTypes.includes(media.type.toLowerCase())) {
-                return res.status(400).json({
+            const { media, status, error, message } = mediaInput.resolve(req);
+            if (!media) {
+                return res.status(status).json({
                     success: false,
-                    error: 'Invalid media type',
-                    message: `Unsupported media type: ${media.type}. Supported types: ${validTypes.join(', ')}`
+                    error,
+                    message
                 });
             }
             
@@ -575,8 +953,22 @@ const instanceController = {
                 });
             }
             
+            const recipient = validateRecipient(instance, to);
+            if (!recipient.valid) {
+                return invalidRecipientResponse(res, recipient.error);
+            }
+
+            const optionsError = validateSendOptions(instance, getSendOptions(req));
+            if (optionsError) {
+                return invalidSendOptionsResponse(res, optionsError);
+            }
+            
+            if (outboundQueue.isEnabled()) {
+                return await queueMessage(req, res, instance, 'media', to, media);
+            }
+            
             // Send media message using instance manager
-            const result = await instanceManager.sendMediaMessage(phone, to, media);
+            const result = await instanceManager.sendMediaMessage(phone, to, media, getSendOptions(req));
             
             logger.info(`✅ ${media.type} media sent successfully from instance ${phone} to ${to}`);
             
@@ -586,7 +978,9 @@ const instanceController = {
                     instancePhone: phone,
                     to,
                     mediaType: media.type,
-                    mediaUrl: media.url,
+                    mediaUrl: result.mediaUrl,
+                    mimetype: media.mimetype,
+                    size: media.size,
                     caption: media.caption,
                     filename: media.filename,
                     messageId: result.messageId,
@@ -598,6 +992,26 @@ const instanceController = {
             
         } catch (error) {
             logger.error(`❌ Error sending media message from instance ${req.params.phone}:`, error);
+            if (error.code === 'RECIPIENT_NOT_ON_WHATSAPP') {
+                return recipientNotFoundResponse(res, error);
+            }
+            if (error.code === 'MEDIA_DOWNLOAD_FAILED') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Failed to download media',
+                    message: error.message
+                });
+            }
+            if (error.code === 'UNSUPPORTED_MEDIA_CONTENT') {
+                return res.status(415).json({
+                    success: false,
+                    error: 'Unsupported media content',
+                    message: error.message
+                });
+            }
+            if (error.code === 'MESSAGE_NOT_FOUND') {
+                return messageNotFoundResponse(res, error);
+            }
             res.status(500).json({
                 success: false,
                 error: 'Failed to send media message',
@@ -606,6 +1020,89 @@ const instanceController = {
         }
     },
 
+    // Send a location pin from specific instance
+    sendLocationMessage: async (req, res) => {
+        const { to, location } = req.body;
+        logger.info(`📍 Send location request received from instance ${req.params.phone} to ${to}`);
+
+        if (!to) return invalidContentResponse(res, ['to is required']);
+
+        const { errors, content } = messageContent.location(location);
+        if (errors.length) return invalidContentResponse(res, errors);
+
+        await sendPrepared(req, res, 'location', () =>
+            instanceManager.sendLocationMessage(req.params.phone, to, content, getSendOptions(req)),
+            { kind: 'location', payload: content });
+    },
+
+    // Send one or more contact cards from specific instance
+    sendContactMessage: async (req, res) => {
+        const { to, contact } = req.body;
+        const contacts = req.body.contacts || (contact ? [contact] : null);
+        logger.info(`👤 Send contact request received from instance ${req.params.phone} to ${to}`);
+
+        if (!to) return invalidContentResponse(res, ['to is required']);
+
+        const { errors, content } = messageContent.contacts(contacts);
+        if (errors.length) return invalidContentResponse(res, errors);
+
+        await sendPrepared(req, res, 'contact', () =>
+            instanceManager.sendContactMessage(req.params.phone, to, content, getSendOptions(req)),
+            { kind: 'contact', payload: content });
+    },
+
+    // Send a poll from specific instance
+    sendPollMessage: async (req, res) => {
+        const { to, poll } = req.body;
+        logger.info(`📊 Send poll request received from instance ${req.params.phone} to ${to}`);
+
+        if (!to) return invalidContentResponse(res, ['to is required']);
+
+        const { errors, content } = messageContent.poll(poll);
+        if (errors.length) return invalidContentResponse(res, errors);
+
+        await sendPrepared(req, res, 'poll', () =>
+            instanceManager.sendPollMessage(req.params.phone, to, content, getSendOptions(req)),
+            { kind: 'poll', payload: content });
+    },
+
+    // React to a message from specific instance, an empty emoji removes the reaction
+    sendReaction: async (req, res) => {
+        const { to, messageId, emoji } = req.body;
+        logger.info(`👍 Send reaction request received from instance ${req.params.phone} for message ${messageId}`);
+
+        const errors = [];
+        if (typeof messageId !== 'string' || messageId.trim() === '') errors.push('messageId is required');
+        if (typeof emoji !== 'string') errors.push('emoji must be a string, empty to remove the reaction');
+        if (errors.length) return invalidContentResponse(res, errors);
+
+        await sendPrepared(req, res, 'reaction', () =>
+            instanceManager.sendReaction(req.params.phone, to || null, messageId, emoji));
+    },
+
+    // Edit the text of a message sent from specific instance
+    editMessage: async (req, res) => {
+        const { phone, messageId } = req.params;
+        const { message } = req.body;
+        logger.info(`✏️ Edit message request received from instance ${phone} for message ${messageId}`);
+
+        if (typeof message !== 'string' || message.trim() === '') {
+            return invalidContentResponse(res, ['message must be a non-empty string']);
+        }
+
+        await changeSentMessage(req, res, 'edited', () =>
+            instanceManager.editMessage(phone, messageId, message.trim()));
+    },
+
+    // Delete a message sent from specific instance for everyone
+    deleteMessage: async (req, res) => {
+        const { phone, messageId } = req.params;
+        logger.info(`🗑️ Delete message request received from instance ${phone} for message ${messageId}`);
+
+        await changeSentMessage(req, res, 'deleted', () =>
+            instanceManager.revokeMessage(phone, messageId));
+    },
+
     // Get plugin status for instance
     getInstancePluginStatus: async (req, res) => {
         try {
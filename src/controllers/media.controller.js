@@ -0,0 +1,99 @@
+const logger = require('../utils/logger');
+const instanceService = require('../services/instanceService');
+const messageService = require('../services/messageService');
+const mediaStoreService = require('../services/mediaStore.service');
+
+// Types shown in the browser, everything else is downloaded. SVG can run script, so it is downloaded too
+const INLINE_TYPES = /^(image|audio|video)\//;
+const ATTACHMENT_TYPES = ['image/svg+xml'];
+
+/**
+ * Choose how a stored file is served
+ * @param {string} contentType - Content type of the file
+ * @returns {string} "inline" or "attachment"
+ */
+const getDisposition = (contentType) => {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    return INLINE_TYPES.test(type) && !ATTACHMENT_TYPES.includes(type) ? 'inline' : 'attachment';
+};
+
+/**
+ * Build the Content-Disposition header of a stored file
+ * File names chosen by the sender may hold any character, so an ASCII fallback is sent along with
+ * the UTF-8 name in filename* (RFC 5987)
+ * @param {string} disposition - "inline" or "attachment"
+ * @param {string} fileName - File name
+ * @returns {string}
+ */
+const buildContentDisposition = (disposition, fileName) => {
+    const asciiName = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encodedName = encodeURIComponent(fileName).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+};
+
+const mediaController = {
+    // Stream the downloaded media of a message
+    getMessageMedia: async (req, res) => {
+        try {
+            const { phone, messageId } = req.params;
+            logger.info(`🖼️ Media request for message ${messageId} of instance ${phone}`);
+
+            const instance = await instanceService.findByPhone(phone);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Instance not found',
+                    message: `Instance with phone ${phone} not found`
+                });
+            }
+
+            const message = await messageService.findByMessageId(instance.id, messageId);
+            // Received media is described by the normalized message, sent media by the record itself
+            const media = message?.message?.normalized?.media || message?.message?.media;
+
+            if (!media?.storageKey) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Media not found',
+                    message: message
+                        ? `Message ${messageId} has no downloaded media`
+                        : `Message ${messageId} not found`
+                });
+            }
+
+            const file = await mediaStoreService.open(media.store, media.storageKey);
+            if (!file) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Media not found',
+                    message: `Media file of message ${messageId} is missing from the ${media.store} store`
+                });
+            }
+
+            const fileName = media.fileName || media.storageKey.split('/').pop();
+
+            const contentType = media.mimetype || file.contentType || 'application/octet-stream';
+
+            // The type comes from the sender, so the browser must not guess a different one
+            res.setHeader('Content-Type', contentType);
+            res.setHeader('X-Content-Type-Options', 'nosniff');
+            res.setHeader('Content-Disposition', buildContentDisposition(getDisposition(contentType), fileName));
+            if (file.size) res.setHeader('Content-Length', file.size);
+
+            file.stream.on('error', (error) => {
+                logger.error(`Error streaming media ${messageId}: ${error.message}`);
+                res.destroy(error);
+            });
+            file.stream.pipe(res);
+        } catch (error) {
+            logger.error('Error getting message media:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get message media',
+                message: error.message
+            });
+        }
+    }
+};
+
+module.exports = mediaController;
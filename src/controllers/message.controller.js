@@ -1,5 +1,7 @@
 const logger = require('../utils/logger');
 const whatsappService = require('../services/whatsapp.service');
+const phoneNumbers = require('../utils/phoneNumber');
+const phoneConfig = require('../config/phone.config');
 
 const messageController = {
     sendPersonalMessage: async (req, res) => {
@@ -27,6 +29,16 @@ const messageController = {
                 });
             }
 
+            const recipient = phoneNumbers.normalize(phoneNumber, phoneConfig.getDefaultCountryCode());
+            if (!recipient.valid) {
+                logger.warn(`❌ Invalid recipient: ${recipient.error}`);
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid recipient',
+                    message: recipient.error
+                });
+            }
+
             // Check if WhatsApp is connected
             if (!whatsappService.isConnected) {
                 logger.warn('❌ WhatsApp not connected');
@@ -0,0 +1,411 @@
+const logger = require('../utils/logger');
+const instanceManager = require('../services/whatsappInstanceManager.service');
+const scheduledMessageService = require('../services/scheduledMessageService');
+const mediaStoreService = require('../services/mediaStore.service');
+const messageScheduler = require('../services/messageScheduler.service');
+const schedule = require('../utils/schedule');
+const mediaInput = require('../utils/mediaInput');
+const phoneNumber = require('../utils/phoneNumber');
+
+const STATUSES = ['scheduled', 'processing', 'sent', 'failed', 'cancelled'];
+
+/**
+ * Respond with 404 for an unknown instance
+ * @param {Object} res - Express response object
+ * @param {string} phone - Instance phone number
+ */
+const instanceNotFoundResponse = (res, phone) => res.status(404).json({
+    success: false,
+    error: 'Instance not found',
+    message: `WhatsApp instance ${phone} not found`
+});
+
+/**
+ * Respond with 404 for an unknown scheduled message
+ * @param {Object} res - Express response object
+ * @param {string} id - Scheduled message ID
+ */
+const scheduledMessageNotFoundResponse = (res, id) => res.status(404).json({
+    success: false,
+    error: 'Scheduled message not found',
+    message: `Scheduled message ${id} not found`
+});
+
+/**
+ * Read the timing of a schedule from the request body
+ * Exactly one of sendAt (one-off) and cron (recurring) is accepted, both are read in timezone
+ * @param {Object} body - Request body
+ * @returns {{ error?: string, sendAt?: Date|null, cron?: string|null, timezone?: string, nextRunAt?: Date }}
+ */
+const parseTiming = ({ sendAt, cron, timezone = 'UTC' }) => {
+    if (!schedule.isValidTimezone(timezone)) {
+        return { error: `Unknown time zone: ${timezone}. Use an IANA name such as "Asia/Jakarta"` };
+    }
+
+    if ((sendAt && cron) || (!sendAt && !cron)) {
+        return { error: 'Provide either sendAt or cron' };
+    }
+
+    if (cron) {
+        const cronError = schedule.validateCron(cron, timezone);
+        if (cronError) return { error: cronError };
+
+        const nextRunAt = schedule.getNextRun(cron, timezone);
+        if (!nextRunAt) return { error: 'cron has no upcoming runs' };
+
+        return { sendAt: null, cron, timezone, nextRunAt };
+    }
+
+    const date = schedule.parseSendAt(sendAt, timezone);
+    if (!date) return { error: 'sendAt must be an ISO 8601 date-time' };
+    if (date.getTime() <= Date.now()) return { error: 'sendAt must be in the future' };
+
+    return { sendAt: date, cron: null, timezone, nextRunAt: date };
+};
+
+/**
+ * Read the message of a schedule from the request
+ * Text schedules use "message", media schedules take the same media fields as send-media
+ * @param {Object} req - Express request object
+ * @returns {{ kind?: string, payload?: Object, buffer?: Buffer, status?: number, error?: string, message?: string }}
+ */
+const parseMessage = (req) => {
+    const body = req.body || {};
+
+    if (req.file || body.media || body.type) {
+        const { media, status, error, message } = mediaInput.resolve(req);
+        if (!media) return { status, error, message };
+
+        const { buffer, size, ...payload } = media;
+        return { kind: 'media', payload, buffer };
+    }
+
+    if (typeof body.message !== 'string' || body.message.trim() === '') {
+        return { status: 400, error: 'Invalid message format', message: 'message must be a non-empty string, or send media' };
+    }
+
+    return { kind: 'text', payload: { text: body.message } };
+};
+
+const scheduledMessageController = {
+    // Schedule a text or media message
+    createScheduledMessage: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { to } = req.body;
+
+            logger.info(`⏰ Schedule message request received for instance ${phone} to ${to}`);
+
+            if (!to) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required fields',
+                    message: 'to is required'
+                });
+            }
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) return instanceNotFoundResponse(res, phone);
+
+            const recipient = phoneNumber.normalize(to, instance.getDefaultCountryCode());
+            if (!recipient.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid recipient',
+                    message: recipient.error
+                });
+            }
+
+            const timing = parseTiming(req.body);
+            if (timing.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid schedule',
+                    message: timing.error
+                });
+            }
+
+            const { kind, payload, buffer, status, error, message } = parseMessage(req);
+            if (!kind) {
+                return res.status(status).json({ success: false, error, message });
+            }
+
+            let record = await scheduledMessageService.create({
+                instanceId: instance.instanceData.id,
+                to: recipient.jid,
+                kind,
+                payload,
+                sendAt: timing.sendAt,
+                cron: timing.cron,
+                timezone: timing.timezone,
+                nextRunAt: timing.nextRunAt
+            });
+
+            // Uploaded files wait in the media store until the last run
+            if (buffer) {
+                const saved = await mediaStoreService.save(instance.instanceData.id, `scheduled-${record.id}`, buffer, {
+                    mimetype: payload.mimetype,
+                    fileName: payload.filename
+                });
+                record = await scheduledMessageService.update(record.id, {
+                    payload: { ...payload, store: saved.store, storageKey: saved.key }
+                });
+            }
+
+            logger.info(`✅ Scheduled ${kind} message ${record.id} of ${phone}, next run ${record.nextRunAt.toISOString()}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Message scheduled',
+                data: record
+            });
+        } catch (error) {
+            logger.error(`❌ Error scheduling message for instance ${req.params.phone}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to schedule message',
+                message: error.message
+            });
+        }
+    },
+
+    // List the scheduled messages of an instance
+    getScheduledMessages: async (req, res) => {
+        try {
+            const { phone } = req.params;
+            const { status, limit = 50, skip = 0 } = req.query;
+
+            if (status && !STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid status',
+                    message: `status must be one of: ${STATUSES.join(', ')}`
+                });
+            }
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) return instanceNotFoundResponse(res, phone);
+
+            const { records, total } = await scheduledMessageService.findByInstance(instance.instanceData.id, {
+                status,
+                take: parseInt(limit),
+                skip: parseInt(skip)
+            });
+
+            res.status(200).json({
+                success: true,
+                data: records,
+                meta: {
+                    count: records.length,
+                    total,
+                    limit: parseInt(limit),
+                    skip: parseInt(skip)
+                }
+            });
+        } catch (error) {
+            logger.error(`❌ Error getting scheduled messages for instance ${req.params.phone}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get scheduled messages',
+                message: error.message
+            });
+        }
+    },
+
+    // Get a scheduled message
+    getScheduledMessage: async (req, res) => {
+        try {
+            const { phone, id } = req.params;
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) return instanceNotFoundResponse(res, phone);
+
+            const record = await scheduledMessageService.findById(instance.instanceData.id, id);
+            if (!record) return scheduledMessageNotFoundResponse(res, id);
+
+            res.status(200).json({
+                success: true,
+                data: record
+            });
+        } catch (error) {
+            logger.error(`❌ Error getting scheduled message ${req.params.id}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get scheduled message',
+                message: error.message
+            });
+        }
+    },
+
+    // Change the recipient, text, caption, media file or timing of a pending scheduled message
+    updateScheduledMessage: async (req, res) => {
+        try {
+            const { phone, id } = req.params;
+            const { to, message, caption, sendAt, cron, timezone } = req.body;
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) return instanceNotFoundResponse(res, phone);
+
+            const record = await scheduledMessageService.findById(instance.instanceData.id, id);
+            if (!record) return scheduledMessageNotFoundResponse(res, id);
+
+            const data = {};
+
+            if (to !== undefined) {
+                const recipient = phoneNumber.normalize(to, instance.getDefaultCountryCode());
+                if (!recipient.valid) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid recipient',
+                        message: recipient.error
+                    });
+                }
+                data.to = recipient.jid;
+            }
+
+            if (message !== undefined) {
+                if (record.kind !== 'text' || typeof message !== 'string' || message.trim() === '') {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid message format',
+                        message: 'message must be a non-empty string and can only be changed on text schedules'
+                    });
+                }
+                data.payload = { ...record.payload, text: message };
+            }
+
+            if (caption !== undefined) {
+                if (record.kind !== 'media') {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid message format',
+                        message: 'caption can only be changed on media schedules'
+                    });
+                }
+                data.payload = { ...record.payload, caption };
+            }
+
+            // A new file replaces the one of a media schedule, given the same way as when it was created
+            let replacement = null;
+            if (req.file || req.body.media) {
+                if (record.kind !== 'media') {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid message format',
+                        message: 'media can only be changed on media schedules'
+                    });
+                }
+
+                const { media, status, error, message: mediaError } = mediaInput.resolve(req);
+                if (!media) return res.status(status).json({ success: false, error, message: mediaError });
+
+                const { buffer, size, ...payload } = media;
+                replacement = { buffer, payload: caption !== undefined ? { ...payload, caption } : payload };
+            }
+
+            // A new time zone alone re-reads the current cron in that zone, a stored sendAt is already exact
+            if (sendAt !== undefined || cron !== undefined || timezone !== undefined) {
+                const timing = parseTiming({
+                    sendAt: sendAt !== undefined ? sendAt : (cron === undefined && record.sendAt ? record.sendAt.toISOString() : undefined),
+                    cron: cron !== undefined ? cron : (sendAt === undefined ? record.cron : undefined),
+                    timezone: timezone !== undefined ? timezone : record.timezone
+                });
+                if (timing.error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid schedule',
+                        message: timing.error
+                    });
+                }
+                Object.assign(data, timing);
+            }
+
+            if (replacement) {
+                data.payload = replacement.payload;
+                if (replacement.buffer) {
+                    // A new key, so the current file stays readable until the record points to the new one
+                    const saved = await mediaStoreService.save(instance.instanceData.id, `scheduled-${record.id}-${Date.now()}`, replacement.buffer, {
+                        mimetype: replacement.payload.mimetype,
+                        fileName: replacement.payload.filename
+                    });
+                    data.payload = { ...replacement.payload, store: saved.store, storageKey: saved.key };
+                }
+            }
+
+            const updated = await scheduledMessageService.updateScheduled(record.id, data);
+
+            // Remove whichever file is no longer referenced
+            if (replacement) {
+                const unused = updated ? record.payload : data.payload;
+                if (unused?.storageKey) await mediaStoreService.remove(unused.store, unused.storageKey);
+            }
+
+            if (!updated) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Scheduled message not pending',
+                    message: `Scheduled message ${id} is ${record.status} and can no longer be changed`
+                });
+            }
+
+            logger.info(`✏️ Scheduled message ${id} of ${phone} updated`);
+
+            res.status(200).json({
+                success: true,
+                message: 'Scheduled message updated',
+                data: updated
+            });
+        } catch (error) {
+            logger.error(`❌ Error updating scheduled message ${req.params.id}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update scheduled message',
+                message: error.message
+            });
+        }
+    },
+
+    // Cancel a pending scheduled message
+    cancelScheduledMessage: async (req, res) => {
+        try {
+            const { phone, id } = req.params;
+
+            const instance = instanceManager.getInstance(phone);
+            if (!instance) return instanceNotFoundResponse(res, phone);
+
+            const record = await scheduledMessageService.findById(instance.instanceData.id, id);
+            if (!record) return scheduledMessageNotFoundResponse(res, id);
+
+            const cancelled = await scheduledMessageService.updateScheduled(record.id, {
+                status: 'cancelled',
+                nextRunAt: null
+            });
+            if (!cancelled) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Scheduled message not pending',
+                    message: `Scheduled message ${id} is ${record.status} and can no longer be cancelled`
+                });
+            }
+
+            await messageScheduler.removeMedia(cancelled);
+
+            logger.info(`🚫 Scheduled message ${id} of ${phone} cancelled`);
+
+            res.status(200).json({
+                success: true,
+                message: 'Scheduled message cancelled',
+                data: cancelled
+            });
+        } catch (error) {
+            logger.error(`❌ Error cancelling scheduled message ${req.params.id}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to cancel scheduled message',
+                message: error.message
+            });
+        }
+    }
+};
+
+module.exports = scheduledMessageController;
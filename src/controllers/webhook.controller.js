@@ -1,15 +1,143 @@
 const webhookService = require('../services/webhookService');
 const instanceService = require('../services/instanceService');
 const logger = require('../utils/logger');
+const { EVENTS, WILDCARD, isValidEventPattern } = require('../config/events.config');
+const webhookFilter = require('../utils/webhookFilter');
+const payloadTemplate = require('../utils/payloadTemplate');
+const { RESERVED_HEADERS } = require('../config/webhook.config');
+
+/**
+ * Hide the signing secret from webhook responses.
+ * The secret is only returned when a webhook is created or its secret is rotated.
+ * @param {Object} webhook - Webhook record
+ * @returns {Object} Webhook without its secret
+ */
+const hideSecret = (webhook) => {
+    if (!webhook) return webhook;
+    const { secret, ...rest } = webhook;
+    return { ...rest, hasSecret: Boolean(secret) };
+};
+
+/**
+ * Read the subscribed events from a request body.
+ * Accepts "events" as an array (or comma separated string) and the single "event" field.
+ * @param {Object} body - Request body
+ * @returns {{ events: string[], invalid: string[] }} Unique events and the ones not in the registry
+ */
+const parseEvents = (body) => {
+    let requested = body.events ?? body.event ?? [];
+    if (typeof requested === 'string') requested = requested.split(',');
+    if (!Array.isArray(requested)) requested = [requested];
+
+    const events = [...new Set(requested.map(event => String(event).trim()).filter(Boolean))];
+    return {
+        events,
+        invalid: events.filter(event => !isValidEventPattern(event))
+    };
+};
+
+/**
+ * Build the 400 response body for unknown events
+ * @param {string[]} invalid - Unknown events
+ * @returns {Object}
+ */
+const invalidEventsResponse = (invalid) => ({
+    success: false,
+    error: 'Invalid events',
+    message: `Unknown events: ${invalid.join(', ')}. Use GET /api/v1/webhooks/events for the supported events`
+});
+
+/**
+ * Validate the optional filters, custom headers and payload template of a webhook
+ * @param {Object} body - Request body
+ * @returns {string[]} Validation errors, empty when valid
+ */
+const validateSettings = (body) => [
+    ...webhookFilter.validate(body.filters),
+    ...payloadTemplate.validateHeaders(body.headers, RESERVED_HEADERS),
+    ...payloadTemplate.validate(body.payloadTemplate)
+];
+
+/**
+ * Build the 400 response body for invalid webhook settings
+ * @param {string[]} errors - Validation errors
+ * @returns {Object}
+ */
+const invalidSettingsResponse = (errors) => ({
+    success: false,
+    error: 'Invalid webhook settings',
+    message: errors.join('; ')
+});
+
+// Fields a webhook update may change, events are read separately. The secret is changed only by the
+// rotate-secret endpoint and the circuit breaker state only by deliveries and the toggle endpoint
+const UPDATABLE_FIELDS = ['url', 'type', 'filters', 'headers', 'payloadTemplate', 'isEnabled'];
+
+/**
+ * Find a webhook of the instance in the path, or respond with 404
+ * Webhooks of other instances are reported as not found
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Webhook, or null when a response was sent
+ */
+const findInstanceWebhook = async (req, res) => {
+    const { phone, id } = req.params;
+
+    const instance = await instanceService.findByPhone(phone);
+    if (!instance) {
+        res.status(404).json({
+            success: false,
+            error: 'Instance not found',
+            message: `Instance with phone ${phone} not found`
+        });
+        return null;
+    }
+
+    const webhook = await webhookService.findById(id);
+    if (!webhook || webhook.instanceId !== instance.id) {
+        res.status(404).json({
+            success: false,
+            error: 'Webhook not found',
+            message: `Webhook with id ${id} not found`
+        });
+        return null;
+    }
+
+    return webhook;
+};
 
 const webhookController = {
+    // List the events webhooks can subscribe to
+    getWebhookEvents: async (req, res) => {
+        const events = Object.values(EVENTS);
+        const groups = [...new Set(events.map(event => `${event.split('.')[0]}.*`))];
+
+        res.status(200).json({
+            success: true,
+            data: {
+                events,
+                patterns: [WILDCARD, ...groups]
+            }
+        });
+    },
+
     // Create a new webhook
     createWebhook: async (req, res) => {
         try {
             const data = req.body;
             logger.info('Creating a new webhook', data);
 
-            const webhook = await webhookService.create(data);
+            const { events, invalid } = parseEvents(data);
+            if (invalid.length > 0) {
+                return res.status(400).json(invalidEventsResponse(invalid));
+            }
+
+            const settingsErrors = validateSettings(data);
+            if (settingsErrors.length > 0) {
+                return res.status(400).json(invalidSettingsResponse(settingsErrors));
+            }
+
+            const webhook = await webhookService.create({ ...data, events });
 
             res.status(201).json({
                 success: true,
@@ -39,7 +167,7 @@ const webhookController = {
 
             res.status(200).json({
                 success: true,
-                data: webhooks
+                data: webhooks.map(hideSecret)
             });
         } catch (error) {
             logger.error('Error getting instance webhooks:', error);
@@ -55,16 +183,26 @@ const webhookController = {
     createInstanceWebhook: async (req, res) => {
         try {
             const { phone } = req.params;
-            const { type, event, url } = req.body;
+            const { type, url, filters, headers, payloadTemplate: template } = req.body;
+            const { events, invalid } = parseEvents(req.body);
             
             // Validation
-            if (!type || !event || !url) {
+            if (!type || events.length === 0 || !url) {
                 return res.status(400).json({
                     success: false,
                     error: 'Missing required fields',
-                    message: 'type, event, and url are required'
+                    message: 'type, events (or event), and url are required'
                 });
             }
+
+            if (invalid.length > 0) {
+                return res.status(400).json(invalidEventsResponse(invalid));
+            }
+
+            const settingsErrors = validateSettings(req.body);
+            if (settingsErrors.length > 0) {
+                return res.status(400).json(invalidSettingsResponse(settingsErrors));
+            }
             
             logger.info(`Creating webhook for instance ${phone}`);
 
@@ -80,8 +218,11 @@ const webhookController = {
             const webhook = await webhookService.create({
                 instanceId: instance.id,
                 type,
-                event,
-                url
+                events,
+                url,
+                filters,
+                headers,
+                payloadTemplate: template
             });
 
             res.status(201).json({
@@ -112,18 +253,43 @@ const webhookController = {
     updateInstanceWebhook: async (req, res) => {
         try {
             const { phone, id } = req.params;
-            const data = req.body;
+            const data = Object.fromEntries(
+                UPDATABLE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+            );
             logger.info(`Updating webhook ${id} for instance ${phone}`);
 
-            const instance = await instanceService.findByPhone(phone);
-            if (!instance) throw new Error(`Instance with phone ${phone} not found`);
+            if (req.body.events !== undefined || req.body.event !== undefined) {
+                const { events, invalid } = parseEvents(req.body);
+                if (events.length === 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Missing required fields',
+                        message: 'events must contain at least one event'
+                    });
+                }
+
+                if (invalid.length > 0) {
+                    return res.status(400).json(invalidEventsResponse(invalid));
+                }
+
+                // Subscriptions are stored in "events" only from now on
+                data.events = events;
+                data.event = null;
+            }
+
+            const settingsErrors = validateSettings(data);
+            if (settingsErrors.length > 0) {
+                return res.status(400).json(invalidSettingsResponse(settingsErrors));
+            }
+
+            if (!(await findInstanceWebhook(req, res))) return;
 
             const webhook = await webhookService.update(id, data);
 
             res.status(200).json({
                 success: true,
                 message: 'Webhook updated successfully',
-                data: webhook
+                data: hideSecret(webhook)
             });
         } catch (error) {
             logger.error('Error updating instance webhook:', error);
@@ -142,15 +308,14 @@ const webhookController = {
             const { isEnabled } = req.body;
             logger.info(`Toggling webhook ${id} status for instance ${phone}`);
 
-            const instance = await instanceService.findByPhone(phone);
-            if (!instance) throw new Error(`Instance with phone ${phone} not found`);
+            if (!(await findInstanceWebhook(req, res))) return;
 
             const webhook = await webhookService.toggleEnabled(id, isEnabled);
 
             res.status(200).json({
                 success: true,
                 message: 'Webhook status toggled successfully',
-                data: webhook
+                data: hideSecret(webhook)
             });
         } catch (error) {
             logger.error('Error toggling instance webhook:', error);
@@ -168,22 +333,12 @@ const webhookController = {
             const { phone, id } = req.params;
             logger.info(`Fetching webhook ${id} for instance ${phone}`);
 
-            const instance = await instanceService.findByPhone(phone);
-            if (!instance) throw new Error(`Instance with phone ${phone} not found`);
-
-            const webhook = await webhookService.findById(id);
+            const webhook = await findInstanceWebhook(req, res);
+            if (!webhook) return;
 
-            if (!webhook) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Webhook not found',
-                    message: `Webhook with id ${id} not found`
-                });
-            }
-            
             res.status(200).json({
                 success: true,
-                data: webhook
+                data: hideSecret(webhook)
             });
         } catch (error) {
             logger.error('Error fetching instance webhook:', error);
@@ -195,14 +350,38 @@ const webhookController = {
         }
     },
 
+    // Rotate the signing secret of a webhook for a specific instance
+    rotateInstanceWebhookSecret: async (req, res) => {
+        try {
+            const { phone, id } = req.params;
+            logger.info(`Rotating secret of webhook ${id} for instance ${phone}`);
+
+            if (!(await findInstanceWebhook(req, res))) return;
+
+            const webhook = await webhookService.rotateSecret(id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhook secret rotated successfully. Deliveries are signed with the new secret from now on',
+                data: webhook
+            });
+        } catch (error) {
+            logger.error('Error rotating instance webhook secret:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to rotate instance webhook secret',
+                message: error.message
+            });
+        }
+    },
+
     // Delete a webhook for a specific instance
     deleteInstanceWebhook: async (req, res) => {
         try {
             const { phone, id } = req.params;
             logger.info(`Deleting webhook ${id} for instance ${phone}`);
 
-            const instance = await instanceService.findByPhone(phone);
-            if (!instance) throw new Error(`Instance with phone ${phone} not found`);
+            if (!(await findInstanceWebhook(req, res))) return;
 
             await webhookService.delete(id);
 
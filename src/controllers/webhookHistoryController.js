@@ -1,5 +1,7 @@
 const webhookHistoryService = require('../services/webhookHistoryService');
 const instanceService = require('../services/instanceService');
+const webhookService = require('../services/webhookService');
+const webhookDeliveryQueue = require('../services/webhookDeliveryQueue.service');
 const { validationResult } = require('express-validator');
 
 class WebhookHistoryController {
@@ -210,9 +212,112 @@ class WebhookHistoryController {
         });
       }
 
+      const redeliveries = await webhookHistoryService.findRedeliveries(historyId);
+
       res.json({
         success: true,
-        data: history
+        data: {
+          ...history,
+          redeliveries
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Redeliver a webhook history record using its stored payload
+   */
+  async redeliver(req, res) {
+    try {
+      const { historyId } = req.params;
+
+      const original = await webhookHistoryService.findById(historyId);
+      if (!original) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook history record not found'
+        });
+      }
+
+      const webhook = await webhookService.findById(original.webhookId);
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+
+      if (!webhook.isEnabled) {
+        return res.status(400).json({
+          success: false,
+          error: `Webhook ${webhook.id} is disabled. Enable it before redelivering`
+        });
+      }
+
+      const redelivery = await webhookDeliveryQueue.redeliver(original, webhook);
+
+      res.json({
+        success: true,
+        message: `Webhook history ${historyId} redelivered`,
+        data: redelivery
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Redeliver recent webhook failures (same filters as getGlobalRecentFailures)
+   * Redeliveries are queued and sent in the background, failures that already have a redelivery are skipped
+   */
+  async redeliverFailures(req, res) {
+    try {
+      const { limit = 10, instanceId } = req.query;
+
+      const failures = await webhookHistoryService.getRecentFailures(
+        parseInt(limit),
+        instanceId
+      );
+
+      const queued = [];
+      const skipped = [];
+
+      for (const failure of failures) {
+        const existing = await webhookHistoryService.findRedeliveries(failure.id);
+        if (existing.length > 0) {
+          skipped.push({ id: failure.id, reason: 'Already redelivered' });
+          continue;
+        }
+
+        const webhook = await webhookService.findById(failure.webhookId);
+        if (!webhook || !webhook.isEnabled) {
+          skipped.push({ id: failure.id, reason: 'Webhook disabled or deleted' });
+          continue;
+        }
+
+        const redelivery = await webhookDeliveryQueue.queueRedelivery(failure, webhook);
+        queued.push({ id: failure.id, redeliveryId: redelivery.id });
+      }
+
+      res.status(202).json({
+        success: true,
+        message: `Queued ${queued.length} of ${failures.length} failed webhook deliveries for redelivery`,
+        data: {
+          queued,
+          skipped
+        },
+        meta: {
+          count: failures.length,
+          limit: parseInt(limit)
+        }
       });
     } catch (error) {
       res.status(500).json({
@@ -0,0 +1,207 @@
+const logger = require('../utils/logger');
+const instanceLogService = require('../services/instanceLogService');
+const groupConfig = require('../config/group.config');
+
+const INVITE_LINK_PREFIX = 'https://chat.whatsapp.com/';
+
+// Participant changes accepted by groupParticipantsUpdate
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+class GroupManager {
+    /**
+     * Group administration of one WhatsApp instance
+     * Metadata is kept in the instance's groupMetadataCache, which Baileys also reads through cachedGroupMetadata,
+     * and stored as snapshots through the instance
+     * @param {Object} instance - WhatsApp instance
+     */
+    constructor(instance) {
+        this.instance = instance;
+        // Time all groups were last fetched, the cache then holds every group until its entries expire
+        this.listedAt = 0;
+    }
+
+    get sock() {
+        return this.instance.sock;
+    }
+
+    get cache() {
+        return this.instance.groupMetadataCache;
+    }
+
+    /**
+     * Run a group operation, logging the outcome to the instance log
+     * @param {string} description - What is done, e.g. "Created group 1203...@g.us"
+     * @param {Function} operation - Operation, returns its result
+     * @returns {Promise<*>} Result of the operation
+     */
+    async run(description, operation) {
+        const { id, phone } = this.instance.instanceData;
+
+        try {
+            const result = await operation();
+
+            logger.info(`👥 ${description} (${phone})`);
+            await instanceLogService.create({ instanceId: id, level: 'info', message: description });
+
+            return result;
+        } catch (error) {
+            logger.error(`❌ ${description} failed for ${phone}: ${error.message}`);
+            await instanceLogService.create({ instanceId: id, level: 'error', message: `${description} failed: ${error.message}` });
+            throw error;
+        }
+    }
+
+    /**
+     * Shape group metadata for API responses
+     * @param {Object} metadata - Baileys group metadata
+     * @param {boolean} [withParticipants] - Include the participant list
+     * @returns {Object}
+     */
+    format(metadata, withParticipants = true) {
+        const ownJid = this.sock?.user?.id?.replace(/:\d+@/, '@');
+        const participants = metadata.participants || [];
+        const own = participants.find(participant => participant.id === ownJid || participant.phoneNumber === ownJid);
+
+        const group = {
+            id: metadata.id,
+            subject: metadata.subject,
+            description: metadata.desc || null,
+            owner: metadata.owner || null,
+            createdAt: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+            size: metadata.size || participants.length,
+            announce: Boolean(metadata.announce),
+            restrict: Boolean(metadata.restrict),
+            isAdmin: Boolean(own?.admin)
+        };
+
+        if (withParticipants) {
+            group.participants = participants.map(participant => ({
+                id: participant.id,
+                admin: participant.admin || null
+            }));
+        }
+
+        return group;
+    }
+
+    /**
+     * List the groups the instance is a member of
+     * All groups are fetched from WhatsApp once per cache TTL, in between group events keep the cached list current
+     * @param {boolean} [refresh] - Fetch from WhatsApp even when cached
+     * @returns {Promise<Object[]>} Groups without their participant lists
+     */
+    async listGroups(refresh = false) {
+        const { cacheTtlMs } = groupConfig.getGroupMetadataConfig();
+
+        if (refresh || Date.now() - this.listedAt >= cacheTtlMs) {
+            const groups = await this.run('Listed groups', () => this.sock.groupFetchAllParticipating());
+
+            this.cache.clear();
+            for (const metadata of Object.values(groups)) {
+                this.instance.cacheGroupMetadata(metadata);
+            }
+            this.listedAt = Date.now();
+        }
+
+        return this.cache.values().map(metadata => this.format(metadata, false));
+    }
+
+    /**
+     * Get a group with its participants
+     * @param {string} groupId - Group JID
+     * @param {boolean} [refresh] - Fetch from WhatsApp even when cached
+     * @returns {Promise<Object>}
+     */
+    async getGroup(groupId, refresh = false) {
+        let metadata = refresh ? null : this.cache.get(groupId);
+        if (!metadata) {
+            metadata = await this.run(`Fetched group ${groupId}`, () => this.sock.groupMetadata(groupId));
+            this.instance.cacheGroupMetadata(metadata);
+        }
+        return this.format(metadata);
+    }
+
+    /**
+     * Create a group
+     * @param {string} subject - Group name
+     * @param {string[]} participants - User JIDs to add
+     * @returns {Promise<Object>} Created group
+     */
+    async createGroup(subject, participants) {
+        const metadata = await this.run(`Created group "${subject}"`, () => this.sock.groupCreate(subject, participants));
+        this.instance.cacheGroupMetadata(metadata);
+        return this.format(metadata);
+    }
+
+    /**
+     * Add, remove, promote or demote participants
+     * @param {string} groupId - Group JID
+     * @param {string[]} participants - User JIDs
+     * @param {string} action - One of PARTICIPANT_ACTIONS
+     * @returns {Promise<Object[]>} { id, status } per participant, status "200" when it succeeded
+     */
+    async updateParticipants(groupId, participants, action) {
+        const results = await this.run(`Group ${groupId}: ${action} ${participants.join(', ')}`, () =>
+            this.sock.groupParticipantsUpdate(groupId, participants, action));
+
+        const changed = results.filter(result => String(result.status) === '200').map(result => result.jid);
+        this.instance.updateCachedParticipants({ id: groupId, participants: changed, action });
+
+        return results.map(result => ({ id: result.jid, status: result.status }));
+    }
+
+    /**
+     * Change the subject, description and settings of a group
+     * @param {string} groupId - Group JID
+     * @param {Object} changes - { subject, description, announce, restrict }, all optional
+     * @returns {Promise<Object>} Updated group
+     */
+    async updateGroup(groupId, changes) {
+        const { subject, description, announce, restrict } = changes;
+
+        await this.run(`Updated group ${groupId}: ${Object.keys(changes).join(', ')}`, async () => {
+            if (subject !== undefined) await this.sock.groupUpdateSubject(groupId, subject);
+            if (description !== undefined) await this.sock.groupUpdateDescription(groupId, description || undefined);
+            if (announce !== undefined) await this.sock.groupSettingUpdate(groupId, announce ? 'announcement' : 'not_announcement');
+            if (restrict !== undefined) await this.sock.groupSettingUpdate(groupId, restrict ? 'locked' : 'unlocked');
+        });
+
+        return await this.getGroup(groupId, true);
+    }
+
+    /**
+     * Get the invite link of a group
+     * @param {string} groupId - Group JID
+     * @param {boolean} [revoke] - Revoke the current link and return a new one
+     * @returns {Promise<{ code: string, link: string }>}
+     */
+    async getInvite(groupId, revoke = false) {
+        const code = revoke
+            ? await this.run(`Revoked invite link of group ${groupId}`, () => this.sock.groupRevokeInvite(groupId))
+            : await this.run(`Got invite link of group ${groupId}`, () => this.sock.groupInviteCode(groupId));
+        return { code, link: `${INVITE_LINK_PREFIX}${code}` };
+    }
+
+    /**
+     * Join a group by its invite code or link
+     * @param {string} invite - Invite code or https://chat.whatsapp.com/ link
+     * @returns {Promise<string>} JID of the joined group
+     */
+    async joinGroup(invite) {
+        const code = invite.trim().replace(INVITE_LINK_PREFIX, '');
+        return await this.run(`Joined group with invite ${code}`, () => this.sock.groupAcceptInvite(code));
+    }
+
+    /**
+     * Leave a group
+     * @param {string} groupId - Group JID
+     */
+    async leaveGroup(groupId) {
+        await this.run(`Left group ${groupId}`, () => this.sock.groupLeave(groupId));
+        this.instance.forgetGroupMetadata(groupId);
+    }
+}
+
+GroupManager.PARTICIPANT_ACTIONS = PARTICIPANT_ACTIONS;
+
+module.exports = GroupManager;
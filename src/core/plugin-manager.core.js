@@ -64,7 +64,13 @@ class PluginManager {
         }
     }
 
-    async executePlugins(sock, message) {
+    /**
+     * Run every plugin enabled for this instance
+     * @param {Object} sock - Baileys socket
+     * @param {Object} message - Raw Baileys message
+     * @param {Object} [normalized] - Normalized message (see utils/messageNormalizer)
+     */
+    async executePlugins(sock, message, normalized = null) {
         const promises = [];
 
         for (const [pluginName, plugin] of this.plugins) {
@@ -80,6 +86,7 @@ class PluginManager {
                         enabled: isEnabled,
                         sock,
                         message,
+                        normalized,
                         ...defaultConfig
                     }
                 }).catch(error => {
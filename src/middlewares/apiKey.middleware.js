@@ -0,0 +1,141 @@
+/**
+ * API Key Middleware
+ * Authenticates requests with an API key and enforces per-key scopes and instance binding
+ */
+
+const crypto = require('crypto');
+const apiKeyService = require('../services/apiKeyService');
+const scopesConfig = require('../config/scopes.config');
+const logger = require('../utils/logger');
+
+/**
+ * Extract the API key from the X-API-Key header or a Bearer token
+ * @param {Object} req - Express request object
+ * @returns {string|null}
+ */
+const extractKey = (req) => {
+    const headerKey = req.get('x-api-key');
+    if (headerKey) return headerKey.trim();
+
+    const authorization = req.get('authorization');
+    if (authorization && authorization.toLowerCase().startsWith('bearer ')) {
+        return authorization.substring(7).trim();
+    }
+
+    return null;
+};
+
+/**
+ * Compare a key against the ADMIN_API_KEY bootstrap key in constant time
+ * @param {string} key - Plaintext key from the request
+ * @returns {boolean}
+ */
+const isAdminKey = (key) => {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) return false;
+
+    const expected = Buffer.from(adminKey);
+    const actual = Buffer.from(key);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Authenticate the request and attach the API key to req.apiKey
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const authenticate = async (req, res, next) => {
+    if (!scopesConfig.isAuthEnabled()) {
+        return next();
+    }
+
+    try {
+        const key = extractKey(req);
+        if (!key) {
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized',
+                message: 'API key is required. Provide it in the X-API-Key header or as a Bearer token'
+            });
+        }
+
+        if (isAdminKey(key)) {
+            req.apiKey = {
+                id: 'admin',
+                name: 'admin',
+                scopes: [scopesConfig.SCOPES.ALL],
+                instancePhones: []
+            };
+            return next();
+        }
+
+        const apiKey = await apiKeyService.findActiveByKey(key);
+        if (!apiKey) {
+            logger.warn(`🔒 Rejected request with invalid API key: ${req.method} ${req.originalUrl}`);
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized',
+                message: 'API key is invalid, revoked or expired'
+            });
+        }
+
+        req.apiKey = apiKey;
+
+        apiKeyService.touch(apiKey.id).catch((error) => {
+            logger.warn(`Failed to record usage for API key ${apiKey.id}: ${error.message}`);
+        });
+
+        next();
+    } catch (error) {
+        logger.error('Error authenticating API key:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to authenticate API key',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Require a scope for the route. Keys bound to specific instances may only
+ * access routes whose :phone parameter is one of their bound instances.
+ * @param {string} scope - Required scope
+ * @returns {Function} Express middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+    if (!scopesConfig.isAuthEnabled()) {
+        return next();
+    }
+
+    const apiKey = req.apiKey;
+
+    if (!apiKey || !scopesConfig.hasScope(apiKey.scopes, scope)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Forbidden',
+            message: `API key is missing required scope: ${scope}`
+        });
+    }
+
+    if (apiKey.instancePhones && apiKey.instancePhones.length > 0) {
+        const { phone } = req.params;
+
+        if (!phone || !apiKey.instancePhones.includes(phone)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Forbidden',
+                message: phone
+                    ? `API key is not allowed to access instance ${phone}`
+                    : 'API key is restricted to specific instances and cannot access this route'
+            });
+        }
+    }
+
+    next();
+};
+
+module.exports = {
+    authenticate,
+    requireScope
+};
@@ -0,0 +1,43 @@
+/**
+ * Upload Middleware
+ * Parses multipart/form-data media uploads into memory, limited to MEDIA_MAX_UPLOAD_BYTES
+ */
+
+const multer = require('multer');
+const mediaConfig = require('../config/media.config');
+
+/**
+ * Accept a single file in the "file" field
+ * Requests that are not multipart pass through untouched
+ * @returns {Function} Express middleware
+ */
+const uploadMedia = () => (req, res, next) => {
+    const { maxUploadBytes } = mediaConfig.getMediaConfig();
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxUploadBytes, files: 1 }
+    }).single('file');
+
+    upload(req, res, (error) => {
+        if (!error) return next();
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                success: false,
+                error: 'File too large',
+                message: `Uploaded files are limited to ${maxUploadBytes} bytes`
+            });
+        }
+
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid upload',
+            message: error.message
+        });
+    });
+};
+
+module.exports = {
+    uploadMedia
+};
@@ -7,8 +7,18 @@ const instanceController = require('../controllers/instance.controller');
 const modeController = require('../controllers/mode.controller');
 const webhookController = require('../controllers/webhook.controller');
 const webhookHistoryController = require('../controllers/webhookHistoryController');
+const mediaController = require('../controllers/media.controller');
+const contactController = require('../controllers/contact.controller');
+const scheduledMessageController = require('../controllers/scheduledMessage.controller');
+const campaignController = require('../controllers/campaign.controller');
+const conversationController = require('../controllers/conversation.controller');
+const groupController = require('../controllers/group.controller');
+const apiKeyController = require('../controllers/apiKey.controller');
+const { authenticate, requireScope } = require('../middlewares/apiKey.middleware');
+const { uploadMedia } = require('../middlewares/upload.middleware');
 
 const modeConfig = require('../config/mode.config');
+const { SCOPES, isAuthEnabled } = require('../config/scopes.config');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -16,12 +26,34 @@ const router = express.Router();
 // Log active mode
 logger.info(`📍 Registering routes for ${modeConfig.getModeDescription()}`);
 
+// =====================================================
+// AUTHENTICATION (All routes below require an API key)
+// =====================================================
+if (isAuthEnabled()) {
+    logger.info('🔒 API key authentication enabled');
+    if (!process.env.ADMIN_API_KEY) {
+        logger.warn('⚠️  ADMIN_API_KEY is not set. Only API keys stored in the database will be accepted');
+    }
+} else {
+    logger.warn('⚠️  API key authentication disabled (API_AUTH_ENABLED=false). Do not expose this server publicly');
+}
+router.use(authenticate);
+
 // =====================================================
 // GLOBAL ROUTES (Available in all modes)
 // =====================================================
 // Mode information endpoint
 router.get('/mode', modeController.getModeInfo);
 
+// API key management endpoints
+router.get('/api-keys', requireScope(SCOPES.KEYS_MANAGE), apiKeyController.getApiKeys);
+router.post('/api-keys', requireScope(SCOPES.KEYS_MANAGE), apiKeyController.createApiKey);
+router.get('/api-keys/:id', requireScope(SCOPES.KEYS_MANAGE), apiKeyController.getApiKey);
+router.put('/api-keys/:id', requireScope(SCOPES.KEYS_MANAGE), apiKeyController.updateApiKey);
+router.delete('/api-keys/:id', requireScope(SCOPES.KEYS_MANAGE), apiKeyController.deleteApiKey);
+router.post('/api-keys/:id/rotate', requireScope(SCOPES.KEYS_MANAGE), apiKeyController.rotateApiKey);
+router.post('/api-keys/:id/revoke', requireScope(SCOPES.KEYS_MANAGE), apiKeyController.revokeApiKey);
+
 // =====================================================
 // SINGLE INSTANCE (LEGACY) ROUTES
 // =====================================================
@@ -29,17 +61,17 @@ if (modeConfig.isSingleModeEnabled()) {
     logger.info('📝 Registering single-instance (legacy) routes');
     
     // Health check / Ping endpoint
-    router.get('/ping', pingController.ping);
+    router.get('/ping', requireScope(SCOPES.INSTANCES_READ), pingController.ping);
     
     // Status check endpoint
-    router.get('/status', statusController.getStatus);
+    router.get('/status', requireScope(SCOPES.INSTANCES_READ), statusController.getStatus);
     
     // Message endpoints
-    router.post('/message', messageController.sendPersonalMessage);
-    router.post('/message/group', messageController.sendGroupMessage);
+    router.post('/message', requireScope(SCOPES.MESSAGES_SEND), messageController.sendPersonalMessage);
+    router.post('/message/group', requireScope(SCOPES.MESSAGES_SEND), messageController.sendGroupMessage);
     
     // Logs endpoint
-    router.get('/logs', logController.getLogs);
+    router.get('/logs', requireScope(SCOPES.INSTANCES_READ), logController.getLogs);
 } else {
     logger.info('⏭️  Single-instance (legacy) routes disabled');
 }
@@ -51,53 +83,110 @@ if (modeConfig.isMultiModeEnabled()) {
     logger.info('📝 Registering multi-instance routes');
     
     // Instance management endpoints
-    router.get('/instances', instanceController.getAllInstances);
-    router.get('/instances/:phone', instanceController.getInstance);
-    router.post('/instances', instanceController.createInstance);
-    router.put('/instances/:phone', instanceController.updateInstance);
-    router.delete('/instances/:phone', instanceController.deleteInstance);
-    router.post('/instances/:phone/restart', instanceController.restartInstance);
-    router.get('/instances/:phone/qr', instanceController.getQRCode);
+    router.get('/instances', requireScope(SCOPES.INSTANCES_READ), instanceController.getAllInstances);
+    router.get('/instances/:phone', requireScope(SCOPES.INSTANCES_READ), instanceController.getInstance);
+    router.post('/instances', requireScope(SCOPES.INSTANCES_WRITE), instanceController.createInstance);
+    router.put('/instances/:phone', requireScope(SCOPES.INSTANCES_WRITE), instanceController.updateInstance);
+    router.delete('/instances/:phone', requireScope(SCOPES.INSTANCES_WRITE), instanceController.deleteInstance);
+    router.post('/instances/:phone/restart', requireScope(SCOPES.INSTANCES_WRITE), instanceController.restartInstance);
+    router.get('/instances/:phone/qr', requireScope(SCOPES.INSTANCES_READ), instanceController.getQRCode);
+    router.post('/instances/:phone/pair', requireScope(SCOPES.INSTANCES_WRITE), instanceController.requestPairingCode);
     
     // Instance-specific monitoring endpoints
-    router.get('/instances/:phone/ping', instanceController.pingInstance);
-    router.get('/instances/:phone/status', instanceController.getInstanceStatus);
-    router.get('/instances/:phone/logs', instanceController.getInstanceLogs);
+    router.get('/instances/:phone/ping', requireScope(SCOPES.INSTANCES_READ), instanceController.pingInstance);
+    router.get('/instances/:phone/status', requireScope(SCOPES.INSTANCES_READ), instanceController.getInstanceStatus);
+    router.get('/instances/:phone/logs', requireScope(SCOPES.INSTANCES_READ), instanceController.getInstanceLogs);
     
     // Instance-specific messaging endpoints
-    router.post('/instances/:phone/send-message', instanceController.sendMessage);
-    router.post('/instances/:phone/send-group-message', instanceController.sendGroupMessage);
-    router.post('/instances/:phone/send-media', instanceController.sendMediaMessage);
+    router.post('/instances/:phone/send-message', requireScope(SCOPES.MESSAGES_SEND), instanceController.sendMessage);
+    router.post('/instances/:phone/send-group-message', requireScope(SCOPES.MESSAGES_SEND), instanceController.sendGroupMessage);
+    router.post('/instances/:phone/send-media', requireScope(SCOPES.MESSAGES_SEND), uploadMedia(), instanceController.sendMediaMessage);
+    router.post('/instances/:phone/send-location', requireScope(SCOPES.MESSAGES_SEND), instanceController.sendLocationMessage);
+    router.post('/instances/:phone/send-contact', requireScope(SCOPES.MESSAGES_SEND), instanceController.sendContactMessage);
+    router.post('/instances/:phone/send-poll', requireScope(SCOPES.MESSAGES_SEND), instanceController.sendPollMessage);
+    router.post('/instances/:phone/send-reaction', requireScope(SCOPES.MESSAGES_SEND), instanceController.sendReaction);
+    router.put('/instances/:phone/messages/:messageId', requireScope(SCOPES.MESSAGES_SEND), instanceController.editMessage);
+    router.delete('/instances/:phone/messages/:messageId', requireScope(SCOPES.MESSAGES_SEND), instanceController.deleteMessage);
+
+    // Scheduled messages
+    router.post('/instances/:phone/scheduled-messages', requireScope(SCOPES.MESSAGES_SEND), uploadMedia(), scheduledMessageController.createScheduledMessage);
+    router.get('/instances/:phone/scheduled-messages', requireScope(SCOPES.MESSAGES_READ), scheduledMessageController.getScheduledMessages);
+    router.get('/instances/:phone/scheduled-messages/:id', requireScope(SCOPES.MESSAGES_READ), scheduledMessageController.getScheduledMessage);
+    router.put('/instances/:phone/scheduled-messages/:id', requireScope(SCOPES.MESSAGES_SEND), uploadMedia(), scheduledMessageController.updateScheduledMessage);
+    router.delete('/instances/:phone/scheduled-messages/:id', requireScope(SCOPES.MESSAGES_SEND), scheduledMessageController.cancelScheduledMessage);
+
+    // Bulk broadcast campaigns
+    router.post('/instances/:phone/campaigns', requireScope(SCOPES.MESSAGES_SEND), uploadMedia(), campaignController.createCampaign);
+    router.get('/instances/:phone/campaigns', requireScope(SCOPES.MESSAGES_READ), campaignController.getCampaigns);
+    router.get('/instances/:phone/campaigns/:id', requireScope(SCOPES.MESSAGES_READ), campaignController.getCampaign);
+    router.get('/instances/:phone/campaigns/:id/recipients', requireScope(SCOPES.MESSAGES_READ), campaignController.getCampaignRecipients);
+    router.post('/instances/:phone/campaigns/:id/pause', requireScope(SCOPES.MESSAGES_SEND), campaignController.pauseCampaign);
+    router.post('/instances/:phone/campaigns/:id/resume', requireScope(SCOPES.MESSAGES_SEND), campaignController.resumeCampaign);
+    router.post('/instances/:phone/campaigns/:id/cancel', requireScope(SCOPES.MESSAGES_SEND), campaignController.cancelCampaign);
+
+    // WhatsApp registration check of recipients
+    router.post('/instances/:phone/contacts/check', requireScope(SCOPES.MESSAGES_SEND), contactController.checkContacts);
+
+    // Contacts and chat list synced from WhatsApp
+    router.get('/instances/:phone/contacts', requireScope(SCOPES.MESSAGES_READ), contactController.getContacts);
+    router.get('/instances/:phone/contacts/:jid', requireScope(SCOPES.MESSAGES_READ), contactController.getContact);
+    router.get('/instances/:phone/contacts/:jid/profile-picture', requireScope(SCOPES.MESSAGES_READ), contactController.getProfilePicture);
+    router.get('/instances/:phone/contacts/:jid/business-profile', requireScope(SCOPES.MESSAGES_READ), contactController.getBusinessProfile);
+    router.get('/instances/:phone/chats', requireScope(SCOPES.MESSAGES_READ), conversationController.getChats);
+
+    // Group management
+    router.get('/instances/:phone/groups', requireScope(SCOPES.GROUPS_READ), groupController.getGroups);
+    router.post('/instances/:phone/groups', requireScope(SCOPES.GROUPS_WRITE), groupController.createGroup);
+    router.post('/instances/:phone/groups/join', requireScope(SCOPES.GROUPS_WRITE), groupController.joinGroup);
+    router.get('/instances/:phone/groups/:groupId', requireScope(SCOPES.GROUPS_READ), groupController.getGroup);
+    router.put('/instances/:phone/groups/:groupId', requireScope(SCOPES.GROUPS_WRITE), groupController.updateGroup);
+    router.post('/instances/:phone/groups/:groupId/participants', requireScope(SCOPES.GROUPS_WRITE), groupController.updateParticipants);
+    router.get('/instances/:phone/groups/:groupId/invite', requireScope(SCOPES.GROUPS_READ), groupController.getInviteLink);
+    router.post('/instances/:phone/groups/:groupId/invite/revoke', requireScope(SCOPES.GROUPS_WRITE), groupController.revokeInviteLink);
+    router.post('/instances/:phone/groups/:groupId/leave', requireScope(SCOPES.GROUPS_WRITE), groupController.leaveGroup);
+
+    // Message history and chats
+    router.get('/instances/:phone/messages', requireScope(SCOPES.MESSAGES_READ), conversationController.getMessages);
+    router.get('/instances/:phone/conversations', requireScope(SCOPES.MESSAGES_READ), conversationController.getConversations);
+
+    // Downloaded media of incoming messages
+    router.get('/instances/:phone/media/:messageId', requireScope(SCOPES.MESSAGES_READ), mediaController.getMessageMedia);
     
+    // Webhook event registry
+    router.get('/webhooks/events', requireScope(SCOPES.WEBHOOKS_READ), webhookController.getWebhookEvents);
+
     // Instance-specific webhook management endpoints
-    router.get('/instances/:phone/webhooks', webhookController.getInstanceWebhooks);
-    router.post('/instances/:phone/webhooks', webhookController.createInstanceWebhook);
-    router.get('/instances/:phone/webhooks/:id', webhookController.getInstanceWebhook);
-    router.put('/instances/:phone/webhooks/:id', webhookController.updateInstanceWebhook);
-    router.delete('/instances/:phone/webhooks/:id', webhookController.deleteInstanceWebhook);
-    router.post('/instances/:phone/webhooks/:id/toggle', webhookController.toggleInstanceWebhook);
+    router.get('/instances/:phone/webhooks', requireScope(SCOPES.WEBHOOKS_READ), webhookController.getInstanceWebhooks);
+    router.post('/instances/:phone/webhooks', requireScope(SCOPES.WEBHOOKS_WRITE), webhookController.createInstanceWebhook);
+    router.get('/instances/:phone/webhooks/:id', requireScope(SCOPES.WEBHOOKS_READ), webhookController.getInstanceWebhook);
+    router.put('/instances/:phone/webhooks/:id', requireScope(SCOPES.WEBHOOKS_WRITE), webhookController.updateInstanceWebhook);
+    router.delete('/instances/:phone/webhooks/:id', requireScope(SCOPES.WEBHOOKS_WRITE), webhookController.deleteInstanceWebhook);
+    router.post('/instances/:phone/webhooks/:id/toggle', requireScope(SCOPES.WEBHOOKS_WRITE), webhookController.toggleInstanceWebhook);
+    router.post('/instances/:phone/webhooks/:id/rotate-secret', requireScope(SCOPES.WEBHOOKS_WRITE), webhookController.rotateInstanceWebhookSecret);
     
     // Instance-specific webhook history endpoints
-    router.get('/instances/:phone/webhooks/history', webhookHistoryController.getInstanceHistoryByPhone);
-    router.get('/instances/:phone/webhooks/history/stats', webhookHistoryController.getInstanceStatsByPhone);
-    router.get('/instances/:phone/webhooks/history/failures', webhookHistoryController.getInstanceFailuresByPhone);
-    router.get('/instances/:phone/webhooks/:webhookId/history', webhookHistoryController.getWebhookHistory);
+    router.get('/instances/:phone/webhooks/history', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getInstanceHistoryByPhone);
+    router.get('/instances/:phone/webhooks/history/stats', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getInstanceStatsByPhone);
+    router.get('/instances/:phone/webhooks/history/failures', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getInstanceFailuresByPhone);
+    router.get('/instances/:phone/webhooks/:webhookId/history', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getWebhookHistory);
     
     // Instance-specific plugin management endpoints
-    router.get('/instances/:phone/plugins', instanceController.getInstancePluginStatus);
-    router.post('/instances/:phone/plugins/:pluginName/enable', instanceController.enableInstancePlugin);
-    router.post('/instances/:phone/plugins/:pluginName/disable', instanceController.disableInstancePlugin);
-    router.put('/instances/:phone/plugins', instanceController.updateInstancePluginConfig);
-    router.post('/instances/:phone/plugins/sync', instanceController.syncInstancePluginConfig);
+    router.get('/instances/:phone/plugins', requireScope(SCOPES.INSTANCES_READ), instanceController.getInstancePluginStatus);
+    router.post('/instances/:phone/plugins/:pluginName/enable', requireScope(SCOPES.INSTANCES_WRITE), instanceController.enableInstancePlugin);
+    router.post('/instances/:phone/plugins/:pluginName/disable', requireScope(SCOPES.INSTANCES_WRITE), instanceController.disableInstancePlugin);
+    router.put('/instances/:phone/plugins', requireScope(SCOPES.INSTANCES_WRITE), instanceController.updateInstancePluginConfig);
+    router.post('/instances/:phone/plugins/sync', requireScope(SCOPES.INSTANCES_WRITE), instanceController.syncInstancePluginConfig);
     
     // Global webhook history endpoints (admin/monitoring)
-    router.get('/webhooks/history', webhookHistoryController.getGlobalHistory);
-    router.get('/webhooks/history/stats', webhookHistoryController.getGlobalStatistics);
-    router.get('/webhooks/history/failures', webhookHistoryController.getGlobalRecentFailures);
-    router.get('/webhooks/history/events/:event', webhookHistoryController.getByEvent);
-    router.get('/webhooks/history/statuses/:status', webhookHistoryController.getByStatus);
-    router.get('/webhooks/history/:historyId', webhookHistoryController.getHistoryById);
-    router.post('/webhooks/history/cleanup', webhookHistoryController.cleanup);
+    router.get('/webhooks/history', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getGlobalHistory);
+    router.get('/webhooks/history/stats', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getGlobalStatistics);
+    router.get('/webhooks/history/failures', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getGlobalRecentFailures);
+    router.get('/webhooks/history/events/:event', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getByEvent);
+    router.get('/webhooks/history/statuses/:status', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getByStatus);
+    router.get('/webhooks/history/:historyId', requireScope(SCOPES.WEBHOOKS_READ), webhookHistoryController.getHistoryById);
+    router.post('/webhooks/history/cleanup', requireScope(SCOPES.WEBHOOKS_WRITE), webhookHistoryController.cleanup);
+    router.post('/webhooks/history/failures/redeliver', requireScope(SCOPES.WEBHOOKS_WRITE), webhookHistoryController.redeliverFailures);
+    router.post('/webhooks/history/:historyId/redeliver', requireScope(SCOPES.WEBHOOKS_WRITE), webhookHistoryController.redeliver);
 } else {
     logger.info('⏭️  Multi-instance routes disabled');
 }
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const prisma = require('../database/prisma');
+
+const KEY_PREFIX = 'wsp_';
+
+class ApiKeyService {
+  /**
+   * Generate a new plaintext API key
+   * @returns {string} Plaintext API key
+   */
+  generateKey() {
+    return `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Hash a plaintext API key for storage and lookup
+   * @param {string} key - Plaintext API key
+   * @returns {string} SHA-256 hex digest
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Create a new API key
+   * The plaintext key is only returned here and is never stored
+   * @param {Object} data - API key data
+   * @param {string} data.name - Human readable name
+   * @param {string[]} data.scopes - Granted scopes
+   * @param {string[]} [data.instancePhones] - Instance phones the key is bound to
+   * @param {Date} [data.expiresAt] - Expiration date
+   * @returns {Promise<{apiKey: Object, key: string}>}
+   */
+  async create(data) {
+    const key = this.generateKey();
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        name: data.name,
+        keyHash: this.hashKey(key),
+        keyPrefix: key.substring(0, KEY_PREFIX.length + 8),
+        scopes: data.scopes,
+        instancePhones: data.instancePhones || [],
+        expiresAt: data.expiresAt,
+      },
+      omit: {
+        keyHash: true,
+      },
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Get all API keys
+   * @param {Object} options - Query options
+   */
+  async findAll(options = {}) {
+    return await prisma.apiKey.findMany({
+      take: options.take,
+      skip: options.skip,
+      omit: {
+        keyHash: true,
+      },
+      orderBy: {
+        createdAt: 'desc',
+      },
+    });
+  }
+
+  /**
+   * Find API key by ID
+   * @param {string} id - API key ID
+   */
+  async findById(id) {
+    return await prisma.apiKey.findUnique({
+      where: { id },
+      omit: {
+        keyHash: true,
+      },
+    });
+  }
+
+  /**
+   * Find a usable API key by its plaintext value
+   * Returns null for unknown, revoked, inactive or expired keys
+   * @param {string} key - Plaintext API key
+   */
+  async findActiveByKey(key) {
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { keyHash: this.hashKey(key) },
+      omit: {
+        keyHash: true,
+      },
+    });
+
+    if (!apiKey || !apiKey.isActive || apiKey.revokedAt) {
+      return null;
+    }
+
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      return null;
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Update API key metadata (name, scopes, instance binding, expiration)
+   * @param {string} id - API key ID
+   * @param {Object} data - Update data
+   */
+  async update(id, data) {
+    return await prisma.apiKey.update({
+      where: { id },
+      data,
+      omit: {
+        keyHash: true,
+      },
+    });
+  }
+
+  /**
+   * Rotate an API key, invalidating the previous plaintext key
+   * @param {string} id - API key ID
+   * @returns {Promise<{apiKey: Object, key: string}>}
+   */
+  async rotate(id) {
+    const key = this.generateKey();
+
+    const apiKey = await prisma.apiKey.update({
+      where: { id },
+      data: {
+        keyHash: this.hashKey(key),
+        keyPrefix: key.substring(0, KEY_PREFIX.length + 8),
+      },
+      omit: {
+        keyHash: true,
+      },
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} id - API key ID
+   */
+  async revoke(id) {
+    return await prisma.apiKey.update({
+      where: { id },
+      data: {
+        isActive: false,
+        revokedAt: new Date(),
+      },
+      omit: {
+        keyHash: true,
+      },
+    });
+  }
+
+  /**
+   * Record API key usage
+   * @param {string} id - API key ID
+   */
+  async touch(id) {
+    return await prisma.apiKey.update({
+      where: { id },
+      data: { lastUsedAt: new Date() },
+      select: { id: true },
+    });
+  }
+
+  /**
+   * Delete API key
+   * @param {string} id - API key ID
+   */
+  async delete(id) {
+    return await prisma.apiKey.delete({
+      where: { id },
+    });
+  }
+}
+
+module.exports = new ApiKeyService();
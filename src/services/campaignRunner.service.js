@@ -0,0 +1,159 @@
+const logger = require('../utils/logger');
+const campaignService = require('./campaignService');
+const campaignConfig = require('../config/campaign.config');
+const campaignRecipients = require('../utils/campaignRecipients');
+const outboundQueue = require('./outboundQueue.service');
+
+/**
+ * Sender of bulk broadcast campaigns
+ *
+ * Running campaigns are sent one recipient at a time through the instance's
+ * sendMessage, at the campaign's ratePerMinute plus a random jitter of up to
+ * CAMPAIGN_JITTER_MS. Campaigns of the same instance are sent one after another,
+ * oldest first. Sending waits while the instance is disconnected, and, with the
+ * outbound queue enabled, once the instance reached OUTBOUND_DAILY_CAP for the day.
+ *
+ * Recipients are stored with the campaign, so campaigns continue after a restart.
+ * Recipients interrupted while sending are marked failed and not sent again.
+ */
+class CampaignRunner {
+    constructor() {
+        this.pollTimer = null;
+        this.instanceManager = null;
+        this.states = new Map(); // instanceId -> { busy, nextSendAt }
+    }
+
+    /**
+     * Start sending running campaigns
+     * @param {Object} instanceManager - Manager the instances are taken from
+     */
+    async start(instanceManager) {
+        if (this.pollTimer) return;
+
+        this.instanceManager = instanceManager;
+
+        const interrupted = await campaignService.failInterruptedSends();
+        if (interrupted > 0) {
+            logger.warn(`⚠️ ${interrupted} campaign message(s) were interrupted while sending and marked as failed`);
+        }
+
+        const { pollIntervalMs } = campaignConfig.getCampaignConfig();
+        this.pollTimer = setInterval(() => this.processAll(), pollIntervalMs);
+        this.pollTimer.unref();
+
+        logger.info('📣 Campaign runner started');
+    }
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+            logger.info('📪 Campaign runner stopped');
+        }
+    }
+
+    getState(instanceId) {
+        if (!this.states.has(instanceId)) {
+            this.states.set(instanceId, { busy: false, nextSendAt: 0 });
+        }
+        return this.states.get(instanceId);
+    }
+
+    async processAll() {
+        if (!this.instanceManager) return;
+
+        try {
+            const campaigns = await campaignService.findRunning();
+            for (const campaign of campaigns) {
+                this.processCampaign(campaign);
+            }
+        } catch (error) {
+            logger.error(`Error processing campaigns: ${error.message}`);
+        }
+    }
+
+    /**
+     * Send to the next recipient of a campaign when its instance is free
+     * @param {Object} campaign - Running campaign
+     */
+    async processCampaign(campaign) {
+        const instance = this.instanceManager.getInstanceById(campaign.instanceId);
+        if (!instance || !instance.isConnected) return;
+
+        const state = this.getState(campaign.instanceId);
+        if (state.busy || Date.now() < state.nextSendAt) return;
+
+        state.busy = true;
+        try {
+            const capped = outboundQueue.isEnabled();
+            if (capped && !(await outboundQueue.hasDailyCapacity(instance))) return;
+
+            const recipient = await campaignService.claimNextRecipient(campaign.id);
+            if (!recipient) {
+                await this.complete(campaign);
+                return;
+            }
+
+            if (await this.send(instance, campaign, recipient) && capped) {
+                outboundQueue.recordSent(campaign.instanceId);
+            }
+            state.nextSendAt = Date.now() + campaignConfig.getSendDelay(campaign.ratePerMinute);
+        } catch (error) {
+            logger.error(`Error processing campaign ${campaign.id} of ${instance.instanceData.phone}: ${error.message}`);
+        } finally {
+            state.busy = false;
+        }
+    }
+
+    /**
+     * Send the campaign message to a claimed recipient
+     * Failed sends are marked "failed" and not retried
+     * @param {Object} instance - WhatsApp instance
+     * @param {Object} campaign - Campaign
+     * @param {Object} recipient - Claimed recipient
+     * @returns {Promise<boolean>} Whether the message was sent
+     */
+    async send(instance, campaign, recipient) {
+        try {
+            const text = campaignRecipients.render(campaign.template, recipient.variables);
+            const result = await instance.sendMessage(recipient.to, text);
+
+            await campaignService.updateRecipient(recipient.id, {
+                status: 'sent',
+                messageId: result.messageId,
+                sentAt: new Date()
+            });
+            return true;
+        } catch (error) {
+            logger.error(`❌ Campaign ${campaign.id} message to ${recipient.to} failed: ${error.message}`);
+            await campaignService.updateRecipient(recipient.id, {
+                status: 'failed',
+                errorMessage: error.message
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Mark a campaign completed once every recipient has been sent to
+     * @param {Object} campaign - Campaign without queued recipients
+     */
+    async complete(campaign) {
+        const progress = await campaignService.getProgress(campaign.id);
+        if (progress.sending > 0) return;
+
+        const completed = await campaignService.transition(campaign.id, ['running'], {
+            status: 'completed',
+            completedAt: new Date()
+        });
+
+        if (completed) {
+            logger.info(`🏁 Campaign ${campaign.id} completed: ${progress.sent + progress.delivered + progress.read} sent, ${progress.failed} failed`);
+        }
+    }
+}
+
+// Create singleton instance
+const campaignRunner = new CampaignRunner();
+
+module.exports = campaignRunner;
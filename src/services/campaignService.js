@@ -0,0 +1,219 @@
+const prisma = require('../database/prisma');
+const { RECIPIENT_STATUSES } = require('../config/campaign.config');
+
+class CampaignService {
+  /**
+   * Create a campaign with its recipients
+   * @param {Object} data - Campaign data
+   * @param {string} data.instanceId - Instance ID
+   * @param {string} data.name - Campaign name
+   * @param {string} data.template - Message template
+   * @param {number} data.ratePerMinute - Messages per minute
+   * @param {Object[]} recipients - { to, variables } in sending order
+   */
+  async create(data, recipients) {
+    const campaign = await prisma.campaign.create({
+      data: {
+        instanceId: data.instanceId,
+        name: data.name,
+        template: data.template,
+        ratePerMinute: data.ratePerMinute,
+        totalRecipients: recipients.length,
+      },
+    });
+
+    await prisma.campaignRecipient.createMany({
+      data: recipients.map((recipient, position) => ({
+        campaignId: campaign.id,
+        to: recipient.to,
+        variables: recipient.variables,
+        position,
+      })),
+    });
+
+    return campaign;
+  }
+
+  /**
+   * Get campaigns of an instance, newest first
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - Query options
+   * @param {string} [options.status] - Only this status
+   * @param {number} [options.take] - Number of records to take
+   * @param {number} [options.skip] - Number of records to skip
+   */
+  async findByInstance(instanceId, options = {}) {
+    const where = { instanceId };
+    if (options.status) where.status = options.status;
+
+    const [records, total] = await Promise.all([
+      prisma.campaign.findMany({
+        where,
+        take: options.take || 50,
+        skip: options.skip || 0,
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.campaign.count({ where }),
+    ]);
+
+    return { records, total };
+  }
+
+  /**
+   * Get a campaign of an instance
+   * @param {string} instanceId - Instance ID
+   * @param {string} id - Campaign ID
+   */
+  async findById(instanceId, id) {
+    return await prisma.campaign.findFirst({
+      where: { id, instanceId },
+    });
+  }
+
+  /**
+   * Get running campaigns, oldest first
+   */
+  async findRunning() {
+    return await prisma.campaign.findMany({
+      where: { status: 'running' },
+      orderBy: { startedAt: 'asc' },
+    });
+  }
+
+  /**
+   * Change the status of a campaign if it is in one of the given statuses
+   * @param {string} id - Campaign ID
+   * @param {string[]} from - Statuses the campaign may be in
+   * @param {Object} data - Update data, including the new status
+   * @returns {Promise<Object|null>} Updated campaign, or null when its status did not match
+   */
+  async transition(id, from, data) {
+    const { count } = await prisma.campaign.updateMany({
+      where: { id, status: { in: from } },
+      data,
+    });
+    return count === 1 ? await prisma.campaign.findUnique({ where: { id } }) : null;
+  }
+
+  /**
+   * Count the recipients of a campaign per status
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} Count of every recipient status
+   */
+  async getProgress(campaignId) {
+    const groups = await prisma.campaignRecipient.groupBy({
+      by: ['status'],
+      where: { campaignId },
+      _count: { _all: true },
+    });
+
+    const counts = Object.fromEntries(RECIPIENT_STATUSES.map(status => [status, 0]));
+    for (const group of groups) counts[group.status] = group._count._all;
+    return counts;
+  }
+
+  /**
+   * Get recipients of a campaign in sending order
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} options - Query options
+   * @param {string} [options.status] - Only this status
+   * @param {number} [options.take] - Number of records to take
+   * @param {number} [options.skip] - Number of records to skip
+   */
+  async findRecipients(campaignId, options = {}) {
+    const where = { campaignId };
+    if (options.status) where.status = options.status;
+
+    const [records, total] = await Promise.all([
+      prisma.campaignRecipient.findMany({
+        where,
+        take: options.take || 50,
+        skip: options.skip || 0,
+        orderBy: { position: 'asc' },
+      }),
+      prisma.campaignRecipient.count({ where }),
+    ]);
+
+    return { records, total };
+  }
+
+  /**
+   * Claim the next queued recipient of a campaign for sending
+   * Moves it from "queued" to "sending" in one conditional update, so no recipient is sent to twice
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object|null>} Claimed recipient, or null when none is queued
+   */
+  async claimNextRecipient(campaignId) {
+    const next = await prisma.campaignRecipient.findFirst({
+      where: { campaignId, status: 'queued' },
+      orderBy: { position: 'asc' },
+    });
+
+    if (!next) return null;
+
+    const { count } = await prisma.campaignRecipient.updateMany({
+      where: { id: next.id, status: 'queued' },
+      data: { status: 'sending' },
+    });
+
+    return count === 1 ? { ...next, status: 'sending' } : null;
+  }
+
+  /**
+   * Update a campaign recipient
+   * @param {string} id - Recipient ID
+   * @param {Object} data - Update data
+   */
+  async updateRecipient(id, data) {
+    return await prisma.campaignRecipient.update({
+      where: { id },
+      data,
+    });
+  }
+
+  /**
+   * Mark the recipients not yet sent to as cancelled
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<number>} Number of recipients cancelled
+   */
+  async cancelQueuedRecipients(campaignId) {
+    const { count } = await prisma.campaignRecipient.updateMany({
+      where: { campaignId, status: 'queued' },
+      data: { status: 'cancelled' },
+    });
+    return count;
+  }
+
+  /**
+   * Apply a delivery or read receipt to the campaign recipient of a sent message
+   * @param {string} messageId - WhatsApp message ID
+   * @param {string} status - "delivered" or "read"
+   * @param {Date} [at] - Time of the receipt
+   * @returns {Promise<number>} Number of recipients updated
+   */
+  async applyReceipt(messageId, status, at = new Date()) {
+    const rank = RECIPIENT_STATUSES.indexOf(status);
+    const data = status === 'read' ? { status, readAt: at } : { status, deliveredAt: at };
+
+    const { count } = await prisma.campaignRecipient.updateMany({
+      where: { messageId, status: { in: RECIPIENT_STATUSES.slice(1, rank) } },
+      data,
+    });
+    return count;
+  }
+
+  /**
+   * Fail recipients left in "sending" by a restart
+   * The message may or may not have gone out, so it is not sent again
+   * @returns {Promise<number>} Number of recipients failed
+   */
+  async failInterruptedSends() {
+    const { count } = await prisma.campaignRecipient.updateMany({
+      where: { status: 'sending' },
+      data: { status: 'failed', errorMessage: 'Interrupted by a restart while sending' },
+    });
+    return count;
+  }
+}
+
+module.exports = new CampaignService();
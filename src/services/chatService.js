@@ -0,0 +1,79 @@
+const prisma = require('../database/prisma');
+
+// Chats written in parallel during a sync
+const BATCH_SIZE = 50;
+
+class ChatService {
+  /**
+   * Create or update chats of an instance
+   * @param {string} instanceId - Instance ID
+   * @param {Object[]} chats - Chat fields with chatId, see syncRecords.fromChat()
+   *   unreadIncrement adds to the unread count instead of replacing it
+   * @returns {Promise<number>} Number of chats written
+   */
+  async upsertMany(instanceId, chats) {
+    for (let i = 0; i < chats.length; i += BATCH_SIZE) {
+      await Promise.all(chats.slice(i, i + BATCH_SIZE).map(({ chatId, unreadIncrement, ...fields }) => {
+        const update = unreadIncrement ? { ...fields, unreadCount: { increment: unreadIncrement } } : fields;
+        const create = unreadIncrement ? { ...fields, unreadCount: unreadIncrement } : fields;
+
+        return prisma.chat.upsert({
+          where: { instanceId_chatId: { instanceId, chatId } },
+          create: { instanceId, chatId, ...create },
+          update,
+        });
+      }));
+    }
+    return chats.length;
+  }
+
+  /**
+   * Delete chats of an instance
+   * @param {string} instanceId - Instance ID
+   * @param {string[]} chatIds - Chat JIDs
+   * @returns {Promise<number>} Number of chats deleted
+   */
+  async deleteMany(instanceId, chatIds) {
+    const { count } = await prisma.chat.deleteMany({
+      where: { instanceId, chatId: { in: chatIds } },
+    });
+    return count;
+  }
+
+  /**
+   * Get chats of an instance, pinned first, then by last message
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - Query options
+   * @param {string} [options.search] - Case-insensitive text to find in the name or chat JID
+   * @param {boolean} [options.archived] - Only archived or only unarchived chats
+   * @param {boolean} [options.unread] - Only chats with unread messages
+   * @param {boolean} [options.isGroup] - Only group or only private chats
+   * @param {number} [options.take] - Number of records to take
+   * @param {number} [options.skip] - Number of records to skip
+   */
+  async findByInstance(instanceId, options = {}) {
+    const where = { instanceId };
+    if (options.archived !== undefined) where.archived = options.archived;
+    if (options.isGroup !== undefined) where.isGroup = options.isGroup;
+    if (options.unread) where.unreadCount = { not: 0 };
+    if (options.search) {
+      where.OR = ['name', 'chatId'].map(field => ({
+        [field]: { contains: options.search, mode: 'insensitive' },
+      }));
+    }
+
+    const [records, total] = await Promise.all([
+      prisma.chat.findMany({
+        where,
+        take: options.take || 50,
+        skip: options.skip || 0,
+        orderBy: [{ pinned: 'desc' }, { lastMessageAt: 'desc' }],
+      }),
+      prisma.chat.count({ where }),
+    ]);
+
+    return { records, total };
+  }
+}
+
+module.exports = new ChatService();
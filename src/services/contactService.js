@@ -0,0 +1,67 @@
+const prisma = require('../database/prisma');
+
+// Contacts written in parallel during a sync
+const BATCH_SIZE = 50;
+
+class ContactService {
+  /**
+   * Create or update contacts of an instance
+   * @param {string} instanceId - Instance ID
+   * @param {Object[]} contacts - Contact fields with jid, see syncRecords.fromContact()
+   * @returns {Promise<number>} Number of contacts written
+   */
+  async upsertMany(instanceId, contacts) {
+    for (let i = 0; i < contacts.length; i += BATCH_SIZE) {
+      await Promise.all(contacts.slice(i, i + BATCH_SIZE).map(({ jid, ...fields }) =>
+        prisma.contact.upsert({
+          where: { instanceId_jid: { instanceId, jid } },
+          create: { instanceId, jid, ...fields },
+          update: fields,
+        })
+      ));
+    }
+    return contacts.length;
+  }
+
+  /**
+   * Get contacts of an instance, ordered by JID
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - Query options
+   * @param {string} [options.search] - Case-insensitive text to find in the names or phone number
+   * @param {number} [options.take] - Number of records to take
+   * @param {number} [options.skip] - Number of records to skip
+   */
+  async findByInstance(instanceId, options = {}) {
+    const where = { instanceId };
+    if (options.search) {
+      where.OR = ['name', 'notify', 'verifiedName', 'jid'].map(field => ({
+        [field]: { contains: options.search, mode: 'insensitive' },
+      }));
+    }
+
+    const [records, total] = await Promise.all([
+      prisma.contact.findMany({
+        where,
+        take: options.take || 50,
+        skip: options.skip || 0,
+        orderBy: { jid: 'asc' },
+      }),
+      prisma.contact.count({ where }),
+    ]);
+
+    return { records, total };
+  }
+
+  /**
+   * Get a contact of an instance
+   * @param {string} instanceId - Instance ID
+   * @param {string} jid - Contact JID
+   */
+  async findByJid(instanceId, jid) {
+    return await prisma.contact.findUnique({
+      where: { instanceId_jid: { instanceId, jid } },
+    });
+  }
+}
+
+module.exports = new ContactService();
@@ -0,0 +1,44 @@
+const prisma = require('../database/prisma');
+
+class GroupMetadataService {
+  /**
+   * Get the stored group metadata snapshots of an instance
+   * @param {string} instanceId - Instance ID
+   * @param {Date} [updatedAfter] - Only snapshots updated after this time
+   */
+  async findByInstance(instanceId, updatedAfter = null) {
+    const where = { instanceId };
+    if (updatedAfter) where.updatedAt = { gt: updatedAfter };
+
+    return await prisma.groupMetadata.findMany({ where });
+  }
+
+  /**
+   * Store the metadata snapshot of a group
+   * @param {string} instanceId - Instance ID
+   * @param {string} groupId - Group JID
+   * @param {Object} metadata - Baileys group metadata
+   */
+  async save(instanceId, groupId, metadata) {
+    return await prisma.groupMetadata.upsert({
+      where: { instanceId_groupId: { instanceId, groupId } },
+      create: { instanceId, groupId, metadata },
+      update: { metadata },
+    });
+  }
+
+  /**
+   * Delete the metadata snapshot of a group
+   * @param {string} instanceId - Instance ID
+   * @param {string} groupId - Group JID
+   * @returns {Promise<number>} Number of snapshots deleted
+   */
+  async delete(instanceId, groupId) {
+    const { count } = await prisma.groupMetadata.deleteMany({
+      where: { instanceId, groupId },
+    });
+    return count;
+  }
+}
+
+module.exports = new GroupMetadataService();
@@ -15,6 +15,7 @@ class InstanceService {
         phone: data.phone,
         name: data.name,
         alias: data.alias,
+        defaultCountryCode: data.defaultCountryCode,
         status: data.status || 'inactive',
         pluginConfig: data.pluginConfig || {},
       },
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const mediaConfig = require('../config/media.config');
+
+// File extensions for common WhatsApp media types
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/3gpp': '3gp',
+    'video/quicktime': 'mov',
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'application/pdf': 'pdf',
+    'application/zip': 'zip',
+    'text/plain': 'txt'
+};
+
+/**
+ * Stores media files on the local filesystem
+ */
+class LocalMediaStore {
+    constructor({ localPath }) {
+        this.name = 'local';
+        this.root = localPath;
+    }
+
+    /**
+     * Resolve a key to a path inside the store directory
+     * @param {string} key - Object key
+     * @returns {string} Absolute file path
+     */
+    resolve(key) {
+        const filePath = path.resolve(this.root, key);
+        if (!filePath.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid media key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async put(key, buffer) {
+        const filePath = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+        return { key, size: buffer.length };
+    }
+
+    async get(key) {
+        const filePath = this.resolve(key);
+        try {
+            const stat = await fs.promises.stat(filePath);
+            return { stream: fs.createReadStream(filePath), size: stat.size };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this.resolve(key), { force: true });
+    }
+}
+
+/**
+ * Stores media files in an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+ */
+class S3MediaStore {
+    constructor({ s3 }) {
+        if (!s3.bucket) {
+            throw new Error('S3_BUCKET is required when MEDIA_STORE=s3');
+        }
+
+        const { S3Client } = require('@aws-sdk/client-s3');
+
+        this.name = 's3';
+        this.bucket = s3.bucket;
+        this.prefix = s3.prefix;
+        this.client = new S3Client({
+            region: s3.region,
+            endpoint: s3.endpoint,
+            forcePathStyle: s3.forcePathStyle,
+            ...(s3.accessKeyId && {
+                credentials: {
+                    accessKeyId: s3.accessKeyId,
+                    secretAccessKey: s3.secretAccessKey
+                }
+            })
+        });
+    }
+
+    objectKey(key) {
+        return this.prefix ? `${this.prefix}/${key}` : key;
+    }
+
+    async put(key, buffer, { contentType } = {}) {
+        const { PutObjectCommand } = require('@aws-sdk/client-s3');
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key),
+            Body: buffer,
+            ContentType: contentType
+        }));
+        return { key, size: buffer.length };
+    }
+
+    async get(key) {
+        const { GetObjectCommand } = require('@aws-sdk/client-s3');
+        try {
+            const result = await this.client.send(new GetObjectCommand({
+                Bucket: this.bucket,
+                Key: this.objectKey(key)
+            }));
+            return { stream: result.Body, size: result.ContentLength, contentType: result.ContentType };
+        } catch (error) {
+            if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+        await this.client.send(new DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key)
+        }));
+    }
+}
+
+const STORES = {
+    local: LocalMediaStore,
+    s3: S3MediaStore
+};
+
+/**
+ * Media store
+ * Saves downloaded media under "<instanceId>/<messageId>.<ext>" in the store selected by MEDIA_STORE
+ */
+class MediaStoreService {
+    constructor() {
+        this.stores = new Map();
+    }
+
+    /**
+     * Get a store by name, creating it on first use
+     * @param {string} [name] - Store name, defaults to MEDIA_STORE
+     * @returns {LocalMediaStore|S3MediaStore}
+     */
+    getStore(name) {
+        const config = mediaConfig.getMediaConfig();
+        const storeName = name || config.store;
+
+        if (!this.stores.has(storeName)) {
+            const Store = STORES[storeName];
+            if (!Store) throw new Error(`Unknown media store: ${storeName}`);
+
+            this.stores.set(storeName, new Store(config));
+            logger.info(`🗄️ Media store "${storeName}" initialized`);
+        }
+
+        return this.stores.get(storeName);
+    }
+
+    /**
+     * Get a file extension for a media file
+     * @param {string} [mimetype] - MIME type
+     * @param {string} [fileName] - Original file name
+     * @returns {string}
+     */
+    getExtension(mimetype, fileName) {
+        const baseType = (mimetype || '').split(';')[0].trim().toLowerCase();
+        if (EXTENSIONS[baseType]) return EXTENSIONS[baseType];
+
+        const fromName = path.extname(fileName || '').slice(1).toLowerCase();
+        if (/^[a-z0-9]{1,8}$/.test(fromName)) return fromName;
+
+        return 'bin';
+    }
+
+    /**
+     * Save the media of a message
+     * @param {string} instanceId - Instance ID
+     * @param {string} messageId - WhatsApp message ID
+     * @param {Buffer} buffer - File content
+     * @param {Object} media - Media details of the normalized message
+     * @returns {Promise<Object>} Store name, key and size
+     */
+    async save(instanceId, messageId, buffer, media = {}) {
+        const store = this.getStore();
+        const safeId = messageId.replace(/[^\w-]/g, '_');
+        const key = `${instanceId}/${safeId}.${this.getExtension(media.mimetype, media.fileName)}`;
+
+        const result = await store.put(key, buffer, { contentType: media.mimetype });
+        return { store: store.name, ...result };
+    }
+
+    /**
+     * Open stored media for reading
+     * @param {string} storeName - Store the file was saved to
+     * @param {string} key - Object key
+     * @returns {Promise<Object|null>} Readable stream and size, or null if missing
+     */
+    async open(storeName, key) {
+        return await this.getStore(storeName).get(key);
+    }
+
+    /**
+     * Read stored media into memory
+     * @param {string} storeName - Store the file was saved to
+     * @param {string} key - Object key
+     * @returns {Promise<Buffer|null>} File content, or null if missing
+     */
+    async read(storeName, key) {
+        const file = await this.open(storeName, key);
+        if (!file) return null;
+
+        const chunks = [];
+        for await (const chunk of file.stream) chunks.push(chunk);
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Delete stored media
+     * @param {string} storeName - Store the file was saved to
+     * @param {string} key - Object key
+     */
+    async remove(storeName, key) {
+        await this.getStore(storeName).delete(key);
+    }
+}
+
+// Create singleton instance
+const mediaStoreService = new MediaStoreService();
+
+module.exports = mediaStoreService;
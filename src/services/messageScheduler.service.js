@@ -0,0 +1,223 @@
+const logger = require('../utils/logger');
+const schedule = require('../utils/schedule');
+const scheduledMessageService = require('./scheduledMessageService');
+const mediaStoreService = require('./mediaStore.service');
+const webhookDeliveryQueue = require('./webhookDeliveryQueue.service');
+const outboundQueue = require('./outboundQueue.service');
+const schedulerConfig = require('../config/scheduler.config');
+const { EVENTS } = require('../config/events.config');
+
+/**
+ * Scheduler of scheduled messages
+ *
+ * Schedules are stored in the scheduled_messages collection with the time of their
+ * next run, so they survive restarts. Every SCHEDULED_POLL_INTERVAL_MS the due
+ * schedules are claimed and sent through their instance, or handed to the outbound
+ * queue when it is enabled.
+ *
+ * A due schedule waits while its instance is disconnected. When it still cannot run
+ * SCHEDULED_MAX_DELAY_MS after its time, the run fails and "scheduled.failed" is sent
+ * to the instance's webhooks. Recurring schedules then move on to their next run.
+ */
+class MessageScheduler {
+    constructor() {
+        this.pollTimer = null;
+        this.instanceManager = null;
+        this.busy = false;
+    }
+
+    /**
+     * Start running due schedules
+     * @param {Object} instanceManager - Manager the instances are taken from
+     */
+    async start(instanceManager) {
+        if (this.pollTimer) return;
+
+        this.instanceManager = instanceManager;
+
+        const released = await scheduledMessageService.releaseProcessing();
+        if (released > 0) {
+            logger.warn(`⚠️ ${released} scheduled message run(s) were interrupted and will be retried`);
+        }
+
+        const { pollIntervalMs } = schedulerConfig.getSchedulerConfig();
+        this.pollTimer = setInterval(() => this.processDue(), pollIntervalMs);
+        this.pollTimer.unref();
+
+        logger.info(`⏰ Message scheduler started (checking every ${pollIntervalMs}ms)`);
+    }
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+            logger.info('⏹️ Message scheduler stopped');
+        }
+    }
+
+    async processDue() {
+        if (this.busy || !this.instanceManager) return;
+
+        this.busy = true;
+        try {
+            const { batchSize, maxDelayMs } = schedulerConfig.getSchedulerConfig();
+            const connectedIds = this.instanceManager.getConnectedInstanceIds();
+
+            // Schedules of disconnected instances are only read once they are past the allowed delay,
+            // so waiting schedules never take the places of ones that can be sent
+            const records = connectedIds.length > 0
+                ? await scheduledMessageService.findDue(new Date(), batchSize, connectedIds)
+                : [];
+            if (maxDelayMs) {
+                const missed = await scheduledMessageService.findMissed(new Date(Date.now() - maxDelayMs), batchSize, connectedIds);
+                records.push(...missed);
+            }
+
+            for (const record of records) {
+                await this.run(record);
+            }
+        } catch (error) {
+            logger.error(`Error processing scheduled messages: ${error.message}`);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Run a due schedule, or leave it waiting while its instance is disconnected
+     * @param {Object} record - Scheduled message record
+     */
+    async run(record) {
+        const instance = this.instanceManager.getInstanceById(record.instanceId);
+
+        if (!instance || !instance.isConnected) {
+            const { maxDelayMs } = schedulerConfig.getSchedulerConfig();
+            const overdueMs = Date.now() - record.nextRunAt.getTime();
+
+            if (maxDelayMs && overdueMs > maxDelayMs && await scheduledMessageService.claim(record.id)) {
+                const reason = instance
+                    ? `Instance ${instance.instanceData.phone} was not connected within ${maxDelayMs}ms of the scheduled time`
+                    : 'Instance is not loaded';
+                await this.fail(record, new Error(reason));
+            }
+            return;
+        }
+
+        if (!await scheduledMessageService.claim(record.id)) return;
+
+        try {
+            const messageId = await this.deliver(instance, record);
+            await this.complete(record, messageId);
+            logger.info(`⏰ Scheduled message ${record.id} sent from ${instance.instanceData.phone} to ${record.to}`);
+        } catch (error) {
+            logger.error(`❌ Scheduled message ${record.id} of ${instance.instanceData.phone} failed: ${error.message}`);
+            await this.fail(record, error);
+        }
+    }
+
+    /**
+     * Send a scheduled message, or queue it when the outbound queue is enabled
+     * @param {Object} instance - WhatsApp instance
+     * @param {Object} record - Claimed scheduled message record
+     * @returns {Promise<string>} WhatsApp message ID, or the queued message ID
+     */
+    async deliver(instance, record) {
+        const { options = {}, ...payload } = record.payload;
+
+        if (record.kind === 'media' && payload.storageKey) {
+            payload.buffer = await mediaStoreService.read(payload.store, payload.storageKey);
+            if (!payload.buffer) throw new Error('Scheduled media file is missing from the media store');
+            delete payload.store;
+            delete payload.storageKey;
+        }
+
+        if (outboundQueue.isEnabled()) {
+            const queued = await outboundQueue.enqueue(instance, record.kind, record.to, payload, options);
+            return queued.id;
+        }
+
+        const result = record.kind === 'media'
+            ? await instance.sendMediaMessage(record.to, payload, options)
+            : await instance.sendMessage(record.to, payload.text, options);
+        return result.messageId;
+    }
+
+    /**
+     * Record a successful run, recurring schedules move on to their next run
+     * @param {Object} record - Scheduled message record
+     * @param {string} messageId - ID of the sent or queued message
+     */
+    async complete(record, messageId) {
+        const nextRunAt = record.cron ? schedule.getNextRun(record.cron, record.timezone) : null;
+
+        await scheduledMessageService.update(record.id, {
+            status: nextRunAt ? 'scheduled' : 'sent',
+            nextRunAt,
+            lastRunAt: new Date(),
+            runCount: record.runCount + 1,
+            lastMessageId: messageId,
+            errorMessage: null
+        });
+
+        if (!nextRunAt) await this.removeMedia(record);
+    }
+
+    /**
+     * Record a failed run and notify the instance's webhooks
+     * One-off schedules become "failed", recurring schedules move on to their next run
+     * @param {Object} record - Scheduled message record
+     * @param {Error} error - Why the run failed
+     */
+    async fail(record, error) {
+        const nextRunAt = record.cron ? schedule.getNextRun(record.cron, record.timezone) : null;
+
+        await scheduledMessageService.update(record.id, {
+            status: nextRunAt ? 'scheduled' : 'failed',
+            nextRunAt,
+            lastRunAt: new Date(),
+            errorMessage: error.message
+        });
+
+        if (!nextRunAt) await this.removeMedia(record);
+
+        try {
+            await webhookDeliveryQueue.publish(record.instanceId, EVENTS.SCHEDULED_FAILED, {
+                scheduledMessage: {
+                    id: record.id,
+                    to: record.to,
+                    kind: record.kind,
+                    sendAt: record.sendAt,
+                    cron: record.cron,
+                    timezone: record.timezone
+                },
+                scheduledFor: record.nextRunAt,
+                error: error.message,
+                code: error.code,
+                nextRunAt,
+                failedAt: new Date().toISOString()
+            });
+        } catch (publishError) {
+            logger.error(`Error publishing scheduled.failed for ${record.id}: ${publishError.message}`);
+        }
+    }
+
+    /**
+     * Remove the stored file of a media schedule that will not run again
+     * @param {Object} record - Scheduled message record
+     */
+    async removeMedia(record) {
+        const { store, storageKey } = record.payload || {};
+        if (record.kind !== 'media' || !storageKey) return;
+
+        try {
+            await mediaStoreService.remove(store, storageKey);
+        } catch (error) {
+            logger.warn(`Could not remove media of scheduled message ${record.id}: ${error.message}`);
+        }
+    }
+}
+
+// Create singleton instance
+const messageScheduler = new MessageScheduler();
+
+module.exports = messageScheduler;
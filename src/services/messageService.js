@@ -1,5 +1,18 @@
 const prisma = require('../database/prisma');
 
+// Outgoing message statuses in order, receipts only move a message forward
+const STATUS_ORDER = ['pending', 'queued', 'sending', 'sent', 'delivered', 'read'];
+
+// Message types that are not shown as messages of their own, so never unread
+const NOT_UNREAD_TYPES = ['protocol', 'reaction'];
+
+/**
+ * Get the searchable text of a message
+ * @param {Object} [message] - Message content (JSON)
+ * @returns {string|undefined} Text, caption or description of the message
+ */
+const getSearchText = (message) => (typeof message?.content === 'string' ? message.content : undefined);
+
 class MessageService {
   /**
    * Create a new message
@@ -8,9 +21,13 @@ class MessageService {
    * @param {string} data.direction - Message direction (incoming/outgoing)
    * @param {string} [data.to] - Recipient
    * @param {string} [data.from] - Sender
+   * @param {string} [data.messageId] - WhatsApp message ID
+   * @param {string} [data.chatId] - Chat JID
    * @param {string} data.type - Message type
    * @param {Object} data.message - Message content (JSON)
    * @param {string} [data.status] - Message status
+   * @param {number} [data.priority] - Outbound queue priority
+   * @param {Object} [data.outbound] - Queued send details
    * @param {Date} [data.sentAt] - Sent timestamp
    */
   async create(data) {
@@ -20,9 +37,14 @@ class MessageService {
         direction: data.direction,
         to: data.to,
         from: data.from,
+        messageId: data.messageId,
+        chatId: data.chatId,
         type: data.type,
         message: data.message,
+        text: getSearchText(data.message),
         status: data.status || 'pending',
+        priority: data.priority,
+        outbound: data.outbound,
         sentAt: data.sentAt,
       },
       include: {
@@ -72,6 +94,131 @@ class MessageService {
     });
   }
 
+  /**
+   * Search the message history of an instance, newest first
+   * Pages are chained with a cursor: the ID of the last message of the previous page
+   * @param {string} instanceId - Instance ID
+   * @param {Object} filters - Search filters
+   * @param {string} [filters.direction] - "incoming" or "outgoing"
+   * @param {string} [filters.type] - Message type
+   * @param {string} [filters.status] - Message status
+   * @param {string} [filters.chatId] - Chat JID
+   * @param {Date} [filters.dateFrom] - Created at or after
+   * @param {Date} [filters.dateTo] - Created at or before
+   * @param {string} [filters.search] - Case-insensitive text to find in the content
+   * @param {Object} options - Page options
+   * @param {number} options.take - Page size
+   * @param {string} [options.cursor] - ID of the last message of the previous page
+   * @returns {Promise<{ records: Object[], nextCursor: string|null }>}
+   */
+  async search(instanceId, filters = {}, options = {}) {
+    const where = { instanceId };
+
+    if (filters.direction) where.direction = filters.direction;
+    if (filters.type) where.type = filters.type;
+    if (filters.status) where.status = filters.status;
+    if (filters.chatId) where.chatId = filters.chatId;
+    if (filters.search) where.text = { contains: filters.search, mode: 'insensitive' };
+
+    if (filters.dateFrom || filters.dateTo) {
+      where.createdAt = {};
+      if (filters.dateFrom) where.createdAt.gte = filters.dateFrom;
+      if (filters.dateTo) where.createdAt.lte = filters.dateTo;
+    }
+
+    // One extra record tells whether there is a next page
+    const records = await prisma.message.findMany({
+      where,
+      take: options.take + 1,
+      ...(options.cursor ? { cursor: { id: options.cursor }, skip: 1 } : {}),
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    });
+
+    const hasMore = records.length > options.take;
+    if (hasMore) records.pop();
+
+    return { records, nextCursor: hasMore ? records[records.length - 1].id : null };
+  }
+
+  /**
+   * List the chats of an instance, most recent activity first
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - Query options
+   * @param {number} [options.take] - Number of chats to take
+   * @param {number} [options.skip] - Number of chats to skip
+   * @returns {Promise<Object[]>} Chat ID, message count, unread count and last message of each chat
+   */
+  async getConversations(instanceId, options = {}) {
+    const chats = await prisma.message.groupBy({
+      by: ['chatId'],
+      where: { instanceId, chatId: { not: null } },
+      _count: { _all: true },
+      _max: { createdAt: true },
+      orderBy: { _max: { createdAt: 'desc' } },
+      take: options.take || 50,
+      skip: options.skip || 0,
+    });
+
+    if (chats.length === 0) return [];
+
+    const chatIds = chats.map(chat => chat.chatId);
+    const [unread, lastMessages] = await Promise.all([
+      prisma.message.groupBy({
+        by: ['chatId'],
+        where: {
+          instanceId,
+          chatId: { in: chatIds },
+          direction: 'incoming',
+          status: 'received',
+          type: { notIn: NOT_UNREAD_TYPES },
+        },
+        _count: { _all: true },
+      }),
+      Promise.all(chatIds.map(chatId => prisma.message.findFirst({
+        where: { instanceId, chatId },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      }))),
+    ]);
+
+    const unreadCounts = Object.fromEntries(unread.map(group => [group.chatId, group._count._all]));
+
+    return chats.map((chat, index) => ({
+      chatId: chat.chatId,
+      messageCount: chat._count._all,
+      unreadCount: unreadCounts[chat.chatId] || 0,
+      lastMessageAt: chat._max.createdAt,
+      lastMessage: lastMessages[index],
+    }));
+  }
+
+  /**
+   * Count the chats of an instance
+   * @param {string} instanceId - Instance ID
+   * @returns {Promise<number>}
+   */
+  async countConversations(instanceId) {
+    const chats = await prisma.message.groupBy({
+      by: ['chatId'],
+      where: { instanceId, chatId: { not: null } },
+    });
+    return chats.length;
+  }
+
+  /**
+   * Mark an incoming message as read, after it was read on one of the account's devices
+   * @param {string} instanceId - Instance ID
+   * @param {string} messageId - WhatsApp message ID (key.id)
+   * @param {Date} [at] - Time it was read
+   * @returns {Promise<number>} Number of messages updated
+   */
+  async markIncomingRead(instanceId, messageId, at = new Date()) {
+    const { count } = await prisma.message.updateMany({
+      where: { instanceId, messageId, direction: 'incoming', status: 'received' },
+      data: { status: 'read', readAt: at },
+    });
+    return count;
+  }
+
   /**
    * Get all messages
    * @param {Object} options - Query options
@@ -102,12 +249,105 @@ class MessageService {
     });
   }
 
+  /**
+   * Find message by its WhatsApp message ID
+   * @param {string} instanceId - Instance ID
+   * @param {string} messageId - WhatsApp message ID (key.id)
+   */
+  async findByMessageId(instanceId, messageId) {
+    return await prisma.message.findFirst({
+      where: { instanceId, messageId },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * Claim the next queued outgoing message of an instance
+   * Highest priority first, then oldest. The status moves from "queued" to "sending"
+   * in one conditional update, so a message is never claimed twice
+   * @param {string} instanceId - Instance ID
+   * @returns {Promise<Object|null>} Claimed message, or null when the queue is empty
+   */
+  async claimNextQueued(instanceId) {
+    const next = await prisma.message.findFirst({
+      where: { instanceId, status: 'queued' },
+      orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }],
+    });
+
+    if (!next) return null;
+
+    const { count } = await prisma.message.updateMany({
+      where: { id: next.id, status: 'queued' },
+      data: { status: 'sending' },
+    });
+
+    return count === 1 ? { ...next, status: 'sending' } : null;
+  }
+
+  /**
+   * Count queued outgoing messages of an instance per priority
+   * @param {string} instanceId - Instance ID
+   * @returns {Promise<Object>} Map of priority value to count
+   */
+  async countQueuedByPriority(instanceId) {
+    const groups = await prisma.message.groupBy({
+      by: ['priority'],
+      where: { instanceId, status: 'queued' },
+      _count: { _all: true },
+    });
+
+    return Object.fromEntries(groups.map(group => [group.priority, group._count._all]));
+  }
+
+  /**
+   * Count outgoing messages sent since a date
+   * @param {string} instanceId - Instance ID
+   * @param {Date} since - Start date
+   */
+  async countSentSince(instanceId, since) {
+    return await prisma.message.count({
+      where: {
+        instanceId,
+        direction: 'outgoing',
+        status: { in: ['sent', 'delivered', 'read'] },
+        sentAt: { gte: since },
+      },
+    });
+  }
+
+  /**
+   * Get messages left in "sending" by a previous run
+   */
+  async findInterruptedSends() {
+    return await prisma.message.findMany({
+      where: { status: 'sending' },
+    });
+  }
+
+  /**
+   * Fail messages left in "sending" by a previous run
+   * They may or may not have reached WhatsApp, so they are not sent again
+   * @returns {Promise<number>} Number of messages failed
+   */
+  async failInterruptedSends() {
+    const { count } = await prisma.message.updateMany({
+      where: { status: 'sending' },
+      data: {
+        status: 'failed',
+        errorMessage: 'Interrupted by a restart while sending, the message may not have been delivered',
+      },
+    });
+    return count;
+  }
+
   /**
    * Update message
    * @param {string} id - Message ID
    * @param {Object} data - Update data
    */
   async update(id, data) {
+    if (data.message) data = { ...data, text: getSearchText(data.message) };
+
     return await prisma.message.update({
       where: { id },
       data,
@@ -138,6 +378,35 @@ class MessageService {
     });
   }
 
+  /**
+   * Apply a delivery or read receipt to an outgoing message
+   * The status only moves forward: a late "delivered" after "read" is ignored, as are failed messages
+   * @param {string} instanceId - Instance ID
+   * @param {string} messageId - WhatsApp message ID (key.id)
+   * @param {string} status - "delivered" or "read"
+   * @param {Date} [at] - Time of the receipt
+   * @returns {Promise<Object|null>} { message, previousStatus }, or null when nothing changed
+   */
+  async advanceStatus(instanceId, messageId, status, at = new Date()) {
+    const message = await this.findByMessageId(instanceId, messageId);
+    if (!message || message.direction !== 'outgoing') return null;
+
+    const current = STATUS_ORDER.indexOf(message.status);
+    if (current === -1 || current >= STATUS_ORDER.indexOf(status)) return null;
+
+    const data = status === 'read' ? { status, readAt: at } : { status, deliveredAt: at };
+    if (status === 'read' && !message.deliveredAt) data.deliveredAt = at;
+
+    // Conditional on the status read above, so concurrent receipts cannot move it back
+    const { count } = await prisma.message.updateMany({
+      where: { id: message.id, status: message.status },
+      data,
+    });
+    if (count !== 1) return null;
+
+    return { message: { ...message, ...data }, previousStatus: message.status };
+  }
+
   /**
    * Delete message
    * @param {string} id - Message ID
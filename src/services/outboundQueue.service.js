@@ -0,0 +1,302 @@
+const logger = require('../utils/logger');
+const messageService = require('./messageService');
+const mediaStoreService = require('./mediaStore.service');
+const outboundConfig = require('../config/outbound.config');
+
+// Stored message type of each kind of queued send
+const MESSAGE_TYPES = {
+    text: () => 'text',
+    group: () => 'text',
+    media: (payload) => payload.type,
+    location: () => 'location',
+    contact: () => 'contact',
+    poll: () => 'poll'
+};
+
+/**
+ * Start of the current day in server time, daily caps reset at midnight
+ * @returns {Date}
+ */
+const startOfDay = () => {
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    return date;
+};
+
+/**
+ * Persistent outbound message queue
+ *
+ * With OUTBOUND_QUEUE_ENABLED, send requests create a Message record with status
+ * "queued" and return at once. Each instance then sends its queued messages one at
+ * a time, highest priority first, at most OUTBOUND_RATE_PER_MINUTE with a random
+ * jitter between messages and at most OUTBOUND_DAILY_CAP per day.
+ *
+ * The queue lives in the messages collection, so it survives restarts. Uploaded
+ * media is kept in the media store until the message is sent or has failed.
+ *
+ * Campaigns send on their own pace, but count toward the same daily cap.
+ */
+class OutboundQueue {
+    constructor() {
+        this.pollTimer = null;
+        this.instanceManager = null;
+        this.states = new Map(); // instanceId -> { busy, nextSendAt, day, sentToday, capLogged }
+    }
+
+    /**
+     * Start sending queued messages
+     * @param {Object} instanceManager - Manager the instances are taken from
+     */
+    async start(instanceManager) {
+        if (this.pollTimer || !this.isEnabled()) return;
+
+        this.instanceManager = instanceManager;
+
+        const interruptedRecords = await messageService.findInterruptedSends();
+        const interrupted = await messageService.failInterruptedSends();
+        for (const record of interruptedRecords) {
+            await this.removeMedia(record);
+        }
+        if (interrupted > 0) {
+            logger.warn(`⚠️ ${interrupted} outgoing message(s) were interrupted while sending and marked as failed`);
+        }
+
+        const { pollIntervalMs, ratePerMinute, dailyCap } = outboundConfig.getOutboundConfig();
+        this.pollTimer = setInterval(() => this.processAll(), pollIntervalMs);
+        this.pollTimer.unref();
+
+        logger.info(`📤 Outbound queue started (${ratePerMinute} messages/minute per instance${dailyCap ? `, ${dailyCap} per day` : ''})`);
+    }
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+            logger.info('📪 Outbound queue stopped');
+        }
+    }
+
+    isEnabled() {
+        return outboundConfig.getOutboundConfig().enabled;
+    }
+
+    getState(instanceId) {
+        if (!this.states.has(instanceId)) {
+            this.states.set(instanceId, { busy: false, nextSendAt: 0, day: null, sentToday: 0, capLogged: false });
+        }
+        return this.states.get(instanceId);
+    }
+
+    /**
+     * Queue a message
+     * @param {Object} instance - WhatsApp instance
+     * @param {string} kind - "text", "group", "media", "location", "contact" or "poll"
+     * @param {string} recipient - Phone number, JID or group ID
+     * @param {Object} payload - What is sent: { text }, media data or Baileys content
+     * @param {Object} [options] - { priority, checkRecipient, quotedMessageId, mentions }
+     * @returns {Promise<Object>} Queued message record
+     */
+    async enqueue(instance, kind, recipient, payload, { priority = outboundConfig.PRIORITIES.normal, ...options } = {}) {
+        const { buffer, ...storedPayload } = payload;
+        const type = MESSAGE_TYPES[kind](payload);
+
+        const record = await messageService.create({
+            instanceId: instance.instanceData.id,
+            direction: 'outgoing',
+            from: instance.instanceData.phone,
+            to: recipient,
+            type,
+            message: {
+                content: payload.text || payload.caption || `${type} message`
+            },
+            status: 'queued',
+            priority,
+            outbound: { kind, recipient, payload: storedPayload, options }
+        });
+
+        // Uploaded files wait in the media store, the database only holds their location
+        if (buffer) {
+            const saved = await mediaStoreService.save(instance.instanceData.id, `queued-${record.id}`, buffer, {
+                mimetype: payload.mimetype,
+                fileName: payload.filename
+            });
+            const outbound = { kind, recipient, payload: { ...storedPayload, store: saved.store, storageKey: saved.key }, options };
+            await messageService.update(record.id, { outbound });
+            record.outbound = outbound;
+        }
+
+        logger.info(`📥 Queued ${kind} message ${record.id} from ${instance.instanceData.phone} to ${recipient} (priority ${priority})`);
+
+        // Send right away when the instance is idle
+        this.processInstance(instance);
+
+        return record;
+    }
+
+    async processAll() {
+        if (!this.instanceManager) return;
+
+        for (const instance of this.instanceManager.instances.values()) {
+            this.processInstance(instance);
+        }
+    }
+
+    /**
+     * Send the next queued message of an instance when its rate and daily cap allow it
+     * @param {Object} instance - WhatsApp instance
+     */
+    async processInstance(instance) {
+        const instanceId = instance.instanceData.id;
+        const state = this.getState(instanceId);
+
+        if (state.busy || !instance.isConnected || Date.now() < state.nextSendAt) return;
+
+        state.busy = true;
+        try {
+            if (!(await this.hasDailyCapacity(instance))) return;
+
+            const record = await messageService.claimNextQueued(instanceId);
+            if (!record) return;
+
+            // Failed sends are still paced, but only messages that went out count toward the daily cap
+            if (await this.send(instance, record)) this.recordSent(instanceId);
+            state.nextSendAt = Date.now() + outboundConfig.getSendDelay();
+        } catch (error) {
+            logger.error(`Error processing outbound queue of ${instance.instanceData.phone}: ${error.message}`);
+        } finally {
+            state.busy = false;
+        }
+    }
+
+    /**
+     * Check whether an instance may send another message today
+     * @param {Object} instance - WhatsApp instance
+     * @returns {Promise<boolean>} False once OUTBOUND_DAILY_CAP messages were sent since midnight
+     */
+    async hasDailyCapacity(instance) {
+        const instanceId = instance.instanceData.id;
+        const state = this.getState(instanceId);
+        const { dailyCap } = outboundConfig.getOutboundConfig();
+        const today = startOfDay().toDateString();
+
+        if (state.day !== today) {
+            state.day = today;
+            state.sentToday = await messageService.countSentSince(instanceId, startOfDay());
+            state.capLogged = false;
+        }
+
+        if (dailyCap && state.sentToday >= dailyCap) {
+            if (!state.capLogged) {
+                logger.warn(`⏸️ Daily cap of ${dailyCap} messages reached for ${instance.instanceData.phone}, queued and campaign messages wait until tomorrow`);
+                state.capLogged = true;
+            }
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Count a sent message toward the daily cap of an instance
+     * @param {string} instanceId - Instance ID
+     */
+    recordSent(instanceId) {
+        this.getState(instanceId).sentToday++;
+    }
+
+    /**
+     * Send a claimed message, the instance updates the record to "sent"
+     * Failed sends are marked "failed" and not retried
+     * @param {Object} instance - WhatsApp instance
+     * @param {Object} record - Claimed message record
+     * @returns {Promise<boolean>} Whether the message was sent
+     */
+    async send(instance, record) {
+        const { kind, recipient, payload, options = {} } = record.outbound;
+        const sendOptions = { ...options, queuedMessageId: record.id };
+
+        try {
+            switch (kind) {
+                case 'text':
+                    await instance.sendMessage(recipient, payload.text, sendOptions);
+                    break;
+                case 'group':
+                    await instance.sendGroupMessage(recipient, payload.text, sendOptions);
+                    break;
+                case 'media': {
+                    const mediaData = { ...payload };
+                    if (payload.storageKey) {
+                        mediaData.buffer = await mediaStoreService.read(payload.store, payload.storageKey);
+                        if (!mediaData.buffer) throw new Error('Queued media file is missing from the media store');
+                    }
+                    await instance.sendMediaMessage(recipient, mediaData, sendOptions);
+                    await this.removeMedia(record);
+                    break;
+                }
+                case 'location':
+                    await instance.sendLocationMessage(recipient, payload, sendOptions);
+                    break;
+                case 'contact':
+                    await instance.sendContactMessage(recipient, payload, sendOptions);
+                    break;
+                case 'poll':
+                    await instance.sendPollMessage(recipient, payload, sendOptions);
+                    break;
+                default:
+                    throw new Error(`Unknown outbound message kind: ${kind}`);
+            }
+            return true;
+        } catch (error) {
+            logger.error(`❌ Queued message ${record.id} of ${instance.instanceData.phone} failed: ${error.message}`);
+            await messageService.update(record.id, { status: 'failed', errorMessage: error.message });
+            await this.removeMedia(record);
+            return false;
+        }
+    }
+
+    /**
+     * Remove the stored upload of a queued media message that will not be sent again
+     * @param {Object} record - Message record
+     */
+    async removeMedia(record) {
+        const { store, storageKey } = record.outbound?.payload || {};
+        if (!storageKey) return;
+
+        try {
+            await mediaStoreService.remove(store, storageKey);
+        } catch (error) {
+            logger.error(`Error removing queued media of message ${record.id}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get queue depth and pacing of an instance
+     * @param {string} instanceId - Instance ID
+     * @returns {Promise<Object>}
+     */
+    async getStats(instanceId) {
+        const { enabled, ratePerMinute, dailyCap } = outboundConfig.getOutboundConfig();
+        if (!enabled) return { enabled };
+
+        const counts = await messageService.countQueuedByPriority(instanceId);
+        const byPriority = Object.fromEntries(
+            Object.entries(outboundConfig.PRIORITIES).map(([name, value]) => [name, counts[value] || 0])
+        );
+        const state = this.getState(instanceId);
+
+        return {
+            enabled,
+            depth: Object.values(byPriority).reduce((sum, count) => sum + count, 0),
+            byPriority,
+            ratePerMinute,
+            dailyCap: dailyCap || null,
+            sentToday: state.sentToday,
+            nextSendAt: state.nextSendAt > Date.now() ? new Date(state.nextSendAt).toISOString() : null
+        };
+    }
+}
+
+// Create singleton instance
+const outboundQueue = new OutboundQueue();
+
+module.exports = outboundQueue;
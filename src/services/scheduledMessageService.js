@@ -0,0 +1,149 @@
+const prisma = require('../database/prisma');
+
+class ScheduledMessageService {
+  /**
+   * Create a scheduled message
+   * @param {Object} data - Scheduled message data
+   * @param {string} data.instanceId - Instance ID
+   * @param {string} data.to - Recipient phone number or JID
+   * @param {string} data.kind - "text" or "media"
+   * @param {Object} data.payload - Message payload
+   * @param {Date} [data.sendAt] - One-off send time
+   * @param {string} [data.cron] - Cron expression of a recurring schedule
+   * @param {string} [data.timezone] - IANA time zone
+   * @param {Date} data.nextRunAt - First run
+   */
+  async create(data) {
+    return await prisma.scheduledMessage.create({
+      data: {
+        instanceId: data.instanceId,
+        to: data.to,
+        kind: data.kind,
+        payload: data.payload,
+        sendAt: data.sendAt,
+        cron: data.cron,
+        timezone: data.timezone || 'UTC',
+        nextRunAt: data.nextRunAt,
+      },
+    });
+  }
+
+  /**
+   * Get scheduled messages of an instance, next run first
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - Query options
+   * @param {string} [options.status] - Only this status
+   * @param {number} [options.take] - Number of records to take
+   * @param {number} [options.skip] - Number of records to skip
+   */
+  async findByInstance(instanceId, options = {}) {
+    const where = { instanceId };
+    if (options.status) where.status = options.status;
+
+    const [records, total] = await Promise.all([
+      prisma.scheduledMessage.findMany({
+        where,
+        take: options.take || 50,
+        skip: options.skip || 0,
+        orderBy: [{ nextRunAt: 'asc' }, { createdAt: 'desc' }],
+      }),
+      prisma.scheduledMessage.count({ where }),
+    ]);
+
+    return { records, total };
+  }
+
+  /**
+   * Get a scheduled message of an instance
+   * @param {string} instanceId - Instance ID
+   * @param {string} id - Scheduled message ID
+   */
+  async findById(instanceId, id) {
+    return await prisma.scheduledMessage.findFirst({
+      where: { id, instanceId },
+    });
+  }
+
+  /**
+   * Get due schedules of the given instances
+   * @param {Date} now - Current time
+   * @param {number} limit - Largest number of records
+   * @param {string[]} instanceIds - Instance IDs, usually the connected ones
+   */
+  async findDue(now, limit, instanceIds) {
+    return await prisma.scheduledMessage.findMany({
+      where: { status: 'scheduled', nextRunAt: { lte: now }, instanceId: { in: instanceIds } },
+      orderBy: { nextRunAt: 'asc' },
+      take: limit,
+    });
+  }
+
+  /**
+   * Get schedules of other instances that were due before a time
+   * @param {Date} before - Latest time of the missed run
+   * @param {number} limit - Largest number of records
+   * @param {string[]} excludedInstanceIds - Instance IDs to leave out, usually the connected ones
+   */
+  async findMissed(before, limit, excludedInstanceIds) {
+    return await prisma.scheduledMessage.findMany({
+      where: { status: 'scheduled', nextRunAt: { lte: before }, instanceId: { notIn: excludedInstanceIds } },
+      orderBy: { nextRunAt: 'asc' },
+      take: limit,
+    });
+  }
+
+  /**
+   * Claim a due schedule for a run
+   * Moves it from "scheduled" to "processing" in one conditional update, so a run is never started twice
+   * @param {string} id - Scheduled message ID
+   * @returns {Promise<boolean>} Whether the claim succeeded
+   */
+  async claim(id) {
+    const { count } = await prisma.scheduledMessage.updateMany({
+      where: { id, status: 'scheduled' },
+      data: { status: 'processing' },
+    });
+    return count === 1;
+  }
+
+  /**
+   * Update a scheduled message that has not run for the last time
+   * Only "scheduled" records can be changed, returns null otherwise
+   * @param {string} id - Scheduled message ID
+   * @param {Object} data - Update data
+   */
+  async updateScheduled(id, data) {
+    const { count } = await prisma.scheduledMessage.updateMany({
+      where: { id, status: 'scheduled' },
+      data,
+    });
+    return count === 1 ? await prisma.scheduledMessage.findUnique({ where: { id } }) : null;
+  }
+
+  /**
+   * Update a scheduled message
+   * @param {string} id - Scheduled message ID
+   * @param {Object} data - Update data
+   */
+  async update(id, data) {
+    return await prisma.scheduledMessage.update({
+      where: { id },
+      data,
+    });
+  }
+
+  /**
+   * Put runs interrupted by a restart back on the schedule
+   * A run interrupted right after sending is repeated, which is preferred over losing a reminder
+   * @returns {Promise<number>} Number of schedules released
+   */
+  async releaseProcessing() {
+    const { count } = await prisma.scheduledMessage.updateMany({
+      where: { status: 'processing' },
+      data: { status: 'scheduled' },
+    });
+    return count;
+  }
+}
+
+module.exports = new ScheduledMessageService();
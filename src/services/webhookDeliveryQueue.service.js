@@ -0,0 +1,462 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const packageJson = require('../../package.json');
+const webhookService = require('./webhookService');
+const webhookHistoryService = require('./webhookHistoryService');
+const webhookConfig = require('../config/webhook.config');
+const { EVENTS } = require('../config/events.config');
+const webhookSignature = require('../utils/webhookSignature');
+const webhookFilter = require('../utils/webhookFilter');
+const payloadTemplate = require('../utils/payloadTemplate');
+const webhookDispatcher = require('./webhookDispatcher.service');
+
+/**
+ * Persistent webhook delivery queue
+ *
+ * Every delivery is a WebhookHistory record. Records waiting for an attempt
+ * keep a "pending", "retrying" or "delivering" status and a nextRetryAt date,
+ * so the queue lives in the database and survives process restarts: on start
+ * the poller picks up whatever was left due, including attempts interrupted
+ * mid-flight whose claim has expired.
+ *
+ * Attempts run on the webhook dispatcher, so callers never wait for a receiver.
+ *
+ * Each webhook has a circuit breaker: after WEBHOOK_CIRCUIT_FAILURE_THRESHOLD
+ * consecutive failed attempts the circuit opens and new deliveries are held
+ * as "queued". Once per probe interval the oldest held delivery is let through
+ * and the circuit is half open until its result is known; everything else stays
+ * held meanwhile. When the probe succeeds the circuit closes and everything held
+ * is released.
+ */
+class WebhookDeliveryQueue {
+    constructor() {
+        this.pollTimer = null;
+        this.isProcessing = false;
+        this.scheduled = new Set(); // History IDs handed to the dispatcher and not finished yet
+    }
+
+    start() {
+        if (this.pollTimer) return;
+
+        const { pollIntervalMs, maxAttempts } = webhookConfig.getDeliveryConfig();
+        this.pollTimer = setInterval(() => this.processDue(), pollIntervalMs);
+        this.pollTimer.unref();
+
+        logger.info(`📬 Webhook delivery queue started (poll every ${pollIntervalMs}ms, max ${maxAttempts} attempts)`);
+
+        // Resume deliveries left over from a previous run
+        this.processDue();
+    }
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+            logger.info('📭 Webhook delivery queue stopped');
+        }
+    }
+
+    /**
+     * Deliver an event to every enabled webhook of an instance subscribed to it
+     * Events rejected by a webhook's filters are recorded as "skipped" and not sent,
+     * webhooks with a payload template receive the rendered template instead of the envelope
+     * @param {string} instanceId - Instance ID
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    async publish(instanceId, event, data) {
+        const webhooks = await webhookService.getEnabledWebhooks(instanceId, event);
+
+        for (const webhook of webhooks) {
+            const envelope = {
+                event,
+                data,
+                timestamp: new Date().toISOString(),
+                instanceId
+            };
+
+            try {
+                // The rendered payload is what gets stored, sent, retried and redelivered
+                const payload = webhook.payloadTemplate
+                    ? payloadTemplate.render(webhook.payloadTemplate, {
+                        ...envelope,
+                        message: webhookFilter.describeMessage(data)
+                    })
+                    : envelope;
+
+                const filterResult = webhookFilter.evaluate(webhook.filters, data);
+                if (!filterResult.passed) {
+                    await webhookHistoryService.create({
+                        instanceId,
+                        webhookId: webhook.id,
+                        event,
+                        payload,
+                        status: 'skipped',
+                        errorMessage: filterResult.reason,
+                        completedAt: new Date()
+                    });
+                    continue;
+                }
+
+                await this.enqueue(webhook, { instanceId, event, payload });
+            } catch (error) {
+                logger.error(`Failed to queue webhook ${webhook.id} for ${event}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Record a new delivery and hand it to the dispatcher without waiting for the receiver
+     * @param {Object} webhook - Webhook record
+     * @param {Object} delivery - Delivery data
+     * @param {string} delivery.instanceId - Instance ID
+     * @param {string} delivery.event - Event name
+     * @param {Object} delivery.payload - Payload to POST
+     * @returns {Promise<Object>} Pending webhook history record
+     */
+    async enqueue(webhook, { instanceId, event, payload }) {
+        const held = webhook.circuitState !== 'closed';
+        const history = await webhookHistoryService.create({
+            instanceId,
+            webhookId: webhook.id,
+            event,
+            payload,
+            status: held ? 'queued' : 'pending',
+            retryCount: 0,
+            nextRetryAt: held ? null : new Date()
+        });
+
+        if (!held) {
+            this.schedule(history, webhook);
+        }
+        return history;
+    }
+
+    /**
+     * Replay the stored payload of a history record as a new delivery
+     * The new record is linked to the original through redeliveryOfId
+     * @param {Object} original - Webhook history record to redeliver
+     * @param {Object} webhook - Webhook record (with secret)
+     * @returns {Promise<Object>} New webhook history record, after its first attempt
+     */
+    async redeliver(original, webhook) {
+        const history = await this.createRedelivery(original);
+        return (await this.schedule(history, webhook)) || history;
+    }
+
+    /**
+     * Replay the stored payload of a history record without waiting for the attempt
+     * @param {Object} original - Webhook history record to redeliver
+     * @param {Object} webhook - Webhook record (with secret)
+     * @returns {Promise<Object>} New pending webhook history record
+     */
+    async queueRedelivery(original, webhook) {
+        const history = await this.createRedelivery(original);
+        this.schedule(history, webhook);
+        return history;
+    }
+
+    /**
+     * Record a pending redelivery of a history record
+     * @param {Object} original - Webhook history record to redeliver
+     * @returns {Promise<Object>} New webhook history record
+     */
+    async createRedelivery(original) {
+        const history = await webhookHistoryService.create({
+            instanceId: original.instanceId,
+            webhookId: original.webhookId,
+            event: original.event,
+            payload: original.payload,
+            status: 'pending',
+            retryCount: 0,
+            nextRetryAt: new Date(),
+            redeliveryOfId: original.id
+        });
+
+        logger.info(`🔁 Redelivering webhook history ${original.id} as ${history.id}`);
+        return history;
+    }
+
+    /**
+     * Run a delivery attempt on the dispatcher, at most once at a time per history record
+     * @param {Object} history - Webhook history record
+     * @param {Object} webhook - Webhook record
+     * @returns {Promise<Object|null>} Updated history record, or null if not attempted now
+     */
+    schedule(history, webhook) {
+        if (this.scheduled.has(history.id)) {
+            return Promise.resolve(null);
+        }
+
+        this.scheduled.add(history.id);
+
+        return webhookDispatcher.dispatch({
+            instanceId: history.instanceId,
+            endpoint: webhook ? webhook.url : 'unknown',
+            task: () => this.deliver(history, webhook)
+        }).finally(() => {
+            this.scheduled.delete(history.id);
+        });
+    }
+
+    /**
+     * Attempt every delivery that is due
+     */
+    async processDue() {
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+
+        try {
+            await this.processProbes();
+
+            const { batchSize } = webhookConfig.getDeliveryConfig();
+            const dueDeliveries = await webhookHistoryService.findDueDeliveries(batchSize);
+
+            for (const history of dueDeliveries) {
+                this.schedule(history, history.webhook);
+            }
+        } catch (error) {
+            logger.error(`Error processing webhook delivery queue: ${error.message}`);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Let the oldest held delivery through for every open circuit whose probe is due
+     * If nothing is held, the circuit stays open and the next held delivery becomes the probe
+     */
+    async processProbes() {
+        const webhooks = await webhookService.findCircuitsDueForProbe();
+
+        for (const webhook of webhooks) {
+            const probe = await webhookHistoryService.findOldestQueued(webhook.id);
+            if (!probe || !(await webhookService.claimProbe(webhook.id, probe.id))) continue;
+
+            await webhookHistoryService.update(probe.id, { status: 'pending', nextRetryAt: new Date() });
+            logger.info(`🔌 Probing webhook ${webhook.id} with held delivery ${probe.id}`);
+        }
+    }
+
+    /**
+     * Claim and attempt a single delivery, then record the outcome on the same history record
+     * @param {Object} history - Webhook history record
+     * @param {Object} webhook - Webhook record
+     * @returns {Promise<Object|null>} Updated history record, or null if another worker owns it
+     */
+    async deliver(history, webhook) {
+        const { timeoutMs, maxAttempts } = webhookConfig.getDeliveryConfig();
+
+        try {
+            // Hold the record long enough for the request to time out before it becomes due again
+            const leaseUntil = new Date(Date.now() + timeoutMs + 60000);
+            const claimed = await webhookHistoryService.claimDelivery(history.id, leaseUntil);
+            if (!claimed) return null;
+
+            if (!webhook || !webhook.isEnabled) {
+                return await webhookHistoryService.update(history.id, {
+                    status: 'failed',
+                    errorMessage: 'Webhook is disabled or no longer exists',
+                    nextRetryAt: null,
+                    completedAt: new Date()
+                });
+            }
+
+            // Retries and redeliveries that come due while the circuit is not closed wait with the other
+            // held deliveries, only the probe goes through while it is half open
+            const isProbe = webhook.circuitState === 'half_open' && webhook.probeDeliveryId === history.id;
+            if (webhook.circuitState !== 'closed' && !isProbe) {
+                return await webhookHistoryService.park(history.id);
+            }
+
+            const attempt = history.retryCount + 1;
+            const result = await this.send(webhook, history, timeoutMs);
+            await this.updateCircuit(webhook, result.status === 'success');
+
+            if (result.status === 'success') {
+                logger.info(`📡 Webhook ${webhook.id} triggered successfully for ${history.event} (${result.responseTime}ms, attempt ${attempt})`);
+
+                return await webhookHistoryService.update(history.id, {
+                    status: 'success',
+                    httpStatusCode: result.httpStatusCode,
+                    responseTime: result.responseTime,
+                    response: result.response,
+                    errorMessage: null,
+                    nextRetryAt: null,
+                    completedAt: new Date()
+                });
+            }
+
+            const canRetry = attempt < maxAttempts && webhookConfig.isRetryable(result.httpStatusCode);
+
+            if (canRetry) {
+                const delay = webhookConfig.getRetryDelay(attempt);
+                logger.warn(`Webhook ${webhook.id} failed for ${history.event}: ${result.errorMessage} (attempt ${attempt}/${maxAttempts}, retrying in ${delay}ms)`);
+
+                return await webhookHistoryService.update(history.id, {
+                    status: 'retrying',
+                    httpStatusCode: result.httpStatusCode,
+                    responseTime: result.responseTime,
+                    response: result.response,
+                    errorMessage: result.errorMessage,
+                    retryCount: attempt,
+                    nextRetryAt: new Date(Date.now() + delay)
+                });
+            }
+
+            logger.error(`Failed to trigger webhook ${webhook.id} for ${history.event}: ${result.errorMessage} (${result.responseTime}ms, giving up after attempt ${attempt})`);
+
+            return await webhookHistoryService.update(history.id, {
+                status: result.status,
+                httpStatusCode: result.httpStatusCode,
+                responseTime: result.responseTime,
+                response: result.response,
+                errorMessage: result.errorMessage,
+                nextRetryAt: null,
+                completedAt: new Date()
+            });
+        } catch (error) {
+            logger.error(`Error delivering webhook history ${history.id}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Update a webhook's circuit breaker after a delivery attempt
+     * @param {Object} webhook - Webhook record as it was when the attempt started
+     * @param {boolean} succeeded - Whether the attempt succeeded
+     */
+    async updateCircuit(webhook, succeeded) {
+        const { failureThreshold, probeIntervalMs, autoDisableAfterProbes } = webhookConfig.getCircuitBreakerConfig();
+
+        try {
+            if (succeeded) {
+                if (webhook.consecutiveFailures > 0 || webhook.circuitState !== 'closed') {
+                    await webhookService.closeCircuit(webhook.id);
+                }
+
+                if (webhook.circuitState !== 'closed') {
+                    const released = await webhookHistoryService.releaseQueued(webhook.id);
+                    logger.info(`✅ Circuit closed for webhook ${webhook.id}, releasing ${released} held deliveries`);
+                }
+                return;
+            }
+
+            if (!failureThreshold) return;
+
+            const updated = await webhookService.recordFailure(webhook.id);
+            const nextProbeAt = new Date(Date.now() + probeIntervalMs);
+
+            if (webhook.circuitState === 'half_open') {
+                const failedProbes = updated.failedProbes + 1;
+
+                if (autoDisableAfterProbes && failedProbes >= autoDisableAfterProbes) {
+                    await this.disable(updated, `Circuit breaker: ${failedProbes} probes failed after ${updated.consecutiveFailures} consecutive failures`);
+                    return;
+                }
+
+                await webhookService.openCircuit(webhook.id, nextProbeAt, failedProbes);
+                logger.warn(`Probe failed for webhook ${webhook.id}, circuit stays open (${failedProbes} failed probes)`);
+                return;
+            }
+
+            if (updated.circuitState === 'closed' && updated.consecutiveFailures >= failureThreshold) {
+                await webhookService.openCircuit(webhook.id, nextProbeAt);
+                logger.warn(`Circuit opened for webhook ${webhook.id} after ${updated.consecutiveFailures} consecutive failures, holding deliveries until ${nextProbeAt.toISOString()}`);
+            }
+        } catch (error) {
+            logger.error(`Error updating circuit breaker of webhook ${webhook.id}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Disable a webhook whose receiver keeps failing and notify the instance's other webhooks
+     * @param {Object} webhook - Webhook record
+     * @param {string} reason - Why the webhook was disabled
+     */
+    async disable(webhook, reason) {
+        await webhookService.toggleEnabled(webhook.id, false);
+        const failed = await webhookHistoryService.failQueued(webhook.id, `Webhook disabled. ${reason}`);
+
+        logger.warn(`⛔ Webhook ${webhook.id} disabled (${reason}), ${failed} held deliveries marked failed`);
+
+        await this.publish(webhook.instanceId, EVENTS.WEBHOOK_DISABLED, {
+            webhook: {
+                id: webhook.id,
+                url: webhook.url,
+                events: webhook.events
+            },
+            reason,
+            consecutiveFailures: webhook.consecutiveFailures,
+            disabledAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * POST a history record's payload to a webhook endpoint
+     * The body is serialized once so the signature covers the exact bytes sent.
+     * Custom webhook headers are sent too, but cannot replace the headers set here
+     * @param {Object} webhook - Webhook record
+     * @param {Object} history - Webhook history record holding the payload
+     * @param {number} timeoutMs - Request timeout
+     * @returns {Promise<Object>} Attempt result
+     */
+    async send(webhook, history, timeoutMs) {
+        const startTime = Date.now();
+        const body = JSON.stringify(history.payload);
+
+        try {
+            const response = await axios.post(webhook.url, body, {
+                timeout: timeoutMs,
+                headers: {
+                    ...webhook.headers,
+                    'Content-Type': 'application/json',
+                    'User-Agent': `${packageJson.name}/${packageJson.version}`,
+                    'X-Whisper-Delivery': history.id,
+                    ...(webhook.secret && webhookSignature.buildHeaders(webhook.secret, body))
+                }
+            });
+
+            return {
+                status: 'success',
+                httpStatusCode: response.status,
+                responseTime: Date.now() - startTime,
+                response: {
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers: response.headers,
+                    data: response.data
+                }
+            };
+        } catch (error) {
+            let status = 'failed';
+            let httpStatusCode = null;
+            let response = null;
+
+            if (error.code === 'ECONNABORTED') {
+                status = 'timeout';
+            } else if (error.response) {
+                httpStatusCode = error.response.status;
+                response = {
+                    status: error.response.status,
+                    statusText: error.response.statusText,
+                    headers: error.response.headers,
+                    data: error.response.data
+                };
+            }
+
+            return {
+                status,
+                httpStatusCode,
+                responseTime: Date.now() - startTime,
+                response,
+                errorMessage: error.message
+            };
+        }
+    }
+}
+
+// Create singleton instance
+const webhookDeliveryQueue = new WebhookDeliveryQueue();
+
+module.exports = webhookDeliveryQueue;
@@ -0,0 +1,119 @@
+const logger = require('../utils/logger');
+const webhookConfig = require('../config/webhook.config');
+
+/**
+ * In-memory webhook dispatcher with bounded concurrency
+ *
+ * Runs delivery tasks off the message-handling path while limiting how many
+ * requests are in flight per instance and per endpoint, so one slow receiver
+ * cannot use up every slot. Tasks that do not fit in the pending list are
+ * rejected; their history records stay queued in the database and are picked
+ * up later by the delivery queue poller.
+ */
+class WebhookDispatcher {
+    constructor() {
+        this.pending = [];
+        this.activeByInstance = new Map();
+        this.activeByEndpoint = new Map();
+    }
+
+    /**
+     * Schedule a delivery task
+     * @param {Object} job - Dispatch job
+     * @param {string} job.instanceId - Instance the delivery belongs to
+     * @param {string} job.endpoint - Receiver URL
+     * @param {Function} job.task - Async function performing the delivery
+     * @returns {Promise<*>} Resolves with the task result, or null if the dispatcher is full
+     */
+    dispatch({ instanceId, endpoint, task }) {
+        const { maxPending } = webhookConfig.getDispatchConfig();
+
+        if (this.pending.length >= maxPending) {
+            logger.warn(`Webhook dispatcher full (${this.pending.length} pending), deferring delivery to ${endpoint}`);
+            return Promise.resolve(null);
+        }
+
+        return new Promise((resolve) => {
+            this.pending.push({ instanceId, endpoint, task, resolve });
+            this.drain();
+        });
+    }
+
+    /**
+     * Start every pending job whose instance and endpoint have a free slot
+     */
+    drain() {
+        const { concurrencyPerInstance, concurrencyPerEndpoint } = webhookConfig.getDispatchConfig();
+
+        for (let i = 0; i < this.pending.length;) {
+            const job = this.pending[i];
+            const instanceActive = this.activeByInstance.get(job.instanceId) || 0;
+            const endpointActive = this.activeByEndpoint.get(job.endpoint) || 0;
+
+            if (instanceActive < concurrencyPerInstance && endpointActive < concurrencyPerEndpoint) {
+                this.pending.splice(i, 1);
+                this.run(job);
+            } else {
+                i++;
+            }
+        }
+    }
+
+    /**
+     * Run a job and release its slots when it settles
+     * @param {Object} job - Dispatch job
+     */
+    run(job) {
+        this.adjust(this.activeByInstance, job.instanceId, 1);
+        this.adjust(this.activeByEndpoint, job.endpoint, 1);
+
+        Promise.resolve()
+            .then(job.task)
+            .catch((error) => {
+                logger.error(`Webhook dispatch to ${job.endpoint} failed: ${error.message}`);
+                return null;
+            })
+            .then((result) => {
+                this.adjust(this.activeByInstance, job.instanceId, -1);
+                this.adjust(this.activeByEndpoint, job.endpoint, -1);
+                this.drain();
+                job.resolve(result);
+            });
+    }
+
+    adjust(counter, key, delta) {
+        const value = (counter.get(key) || 0) + delta;
+        if (value > 0) {
+            counter.set(key, value);
+        } else {
+            counter.delete(key);
+        }
+    }
+
+    /**
+     * Get dispatcher load, optionally for a single instance
+     * @param {string} [instanceId] - Instance ID
+     * @returns {Object} Pending and active delivery counts
+     */
+    getStats(instanceId = null) {
+        if (instanceId) {
+            return {
+                pending: this.pending.filter(job => job.instanceId === instanceId).length,
+                active: this.activeByInstance.get(instanceId) || 0
+            };
+        }
+
+        let active = 0;
+        for (const count of this.activeByInstance.values()) active += count;
+
+        return {
+            pending: this.pending.length,
+            active
+        };
+    }
+}
+
+// Create singleton instance
+const webhookDispatcher = new WebhookDispatcher();
+
+module.exports = webhookDispatcher;
@@ -1,5 +1,11 @@
 const prisma = require('../database/prisma');
 
+// Final statuses of deliveries that gave up
+const FAILED_STATUSES = ['failed', 'timeout'];
+
+// Statuses of deliveries still owned by the delivery queue
+const QUEUED_STATUSES = ['pending', 'delivering', 'retrying'];
+
 class WebhookHistoryService {
   /**
    * Create a new webhook history record
@@ -14,6 +20,8 @@ class WebhookHistoryService {
    * @param {Object} [data.response] - Response from webhook endpoint
    * @param {string} [data.errorMessage] - Error message if failed
    * @param {number} [data.retryCount] - Retry attempt count
+   * @param {Date} [data.nextRetryAt] - When the delivery queue should attempt delivery
+   * @param {string} [data.redeliveryOfId] - History record being redelivered
    * @param {Date} [data.completedAt] - Completion timestamp
    */
   async create(data) {
@@ -29,11 +37,15 @@ class WebhookHistoryService {
         response: data.response,
         errorMessage: data.errorMessage,
         retryCount: data.retryCount || 0,
+        nextRetryAt: data.nextRetryAt,
+        redeliveryOfId: data.redeliveryOfId,
         completedAt: data.completedAt,
       },
       include: {
         instance: true,
-        webhook: true,
+        webhook: {
+          omit: { secret: true },
+        },
       },
     });
   }
@@ -51,7 +63,9 @@ class WebhookHistoryService {
       orderBy: { triggeredAt: 'desc' },
       include: {
         instance: true,
-        webhook: true,
+        webhook: {
+          omit: { secret: true },
+        },
       },
     });
   }
@@ -69,7 +83,9 @@ class WebhookHistoryService {
       orderBy: { triggeredAt: 'desc' },
       include: {
         instance: true,
-        webhook: true,
+        webhook: {
+          omit: { secret: true },
+        },
       },
     });
   }
@@ -87,7 +103,9 @@ class WebhookHistoryService {
       orderBy: { triggeredAt: 'desc' },
       include: {
         instance: true,
-        webhook: true,
+        webhook: {
+          omit: { secret: true },
+        },
       },
     });
   }
@@ -105,7 +123,9 @@ class WebhookHistoryService {
       orderBy: { triggeredAt: 'desc' },
       include: {
         instance: true,
-        webhook: true,
+        webhook: {
+          omit: { secret: true },
+        },
       },
     });
   }
@@ -129,7 +149,9 @@ class WebhookHistoryService {
       orderBy: { triggeredAt: 'desc' },
       include: {
         instance: true,
-        webhook: true,
+        webhook: {
+          omit: { secret: true },
+        },
       },
     });
   }
@@ -157,6 +179,7 @@ class WebhookHistoryService {
       totalTriggers,
       successfulTriggers,
       failedTriggers,
+      skippedTriggers,
       averageResponseTime,
       eventBreakdown,
       statusBreakdown,
@@ -171,7 +194,12 @@ class WebhookHistoryService {
 
       // Failed triggers
       prisma.webhookHistory.count({
-        where: { ...whereClause, status: { not: 'success' } },
+        where: { ...whereClause, status: { in: FAILED_STATUSES } },
+      }),
+
+      // Events skipped by webhook filters
+      prisma.webhookHistory.count({
+        where: { ...whereClause, status: 'skipped' },
       }),
 
       // Average response time
@@ -205,7 +233,11 @@ class WebhookHistoryService {
         triggers: totalTriggers,
         successful: successfulTriggers,
         failed: failedTriggers,
-        successRate: totalTriggers > 0 ? (successfulTriggers / totalTriggers) * 100 : 0,
+        skipped: skippedTriggers,
+        // Skipped events were never sent, so they do not count against the success rate
+        successRate: totalTriggers > skippedTriggers
+          ? (successfulTriggers / (totalTriggers - skippedTriggers)) * 100
+          : 0,
       },
       performance: {
         averageResponseTime: averageResponseTime._avg.responseTime || 0,
@@ -230,7 +262,7 @@ class WebhookHistoryService {
    */
   async getRecentFailures(limit = 10, instanceId = null) {
     const whereClause = {
-      status: { not: 'success' },
+      status: { in: FAILED_STATUSES },
       ...(instanceId && { instanceId }),
     };
 
@@ -240,7 +272,9 @@ class WebhookHistoryService {
       orderBy: { triggeredAt: 'desc' },
       include: {
         instance: true,
-        webhook: true,
+        webhook: {
+          omit: { secret: true },
+        },
       },
     });
   }
@@ -275,11 +309,141 @@ class WebhookHistoryService {
       data: updateData,
       include: {
         instance: true,
+        webhook: {
+          omit: { secret: true },
+        },
+      },
+    });
+  }
+
+  /**
+   * Get manual redeliveries of a history record
+   * @param {string} id - Webhook history ID of the original record
+   */
+  async findRedeliveries(id) {
+    return await prisma.webhookHistory.findMany({
+      where: { redeliveryOfId: id },
+      orderBy: { triggeredAt: 'asc' },
+    });
+  }
+
+  /**
+   * Get deliveries that are due for a (re)attempt
+   * Includes records left "delivering" by a process that stopped before finishing
+   * @param {number} limit - Maximum number of records to return
+   */
+  async findDueDeliveries(limit = 50) {
+    return await prisma.webhookHistory.findMany({
+      where: {
+        status: { in: QUEUED_STATUSES },
+        nextRetryAt: { lte: new Date() },
+      },
+      take: limit,
+      orderBy: { nextRetryAt: 'asc' },
+      include: {
         webhook: true,
       },
     });
   }
 
+  /**
+   * Claim a due delivery so that only one worker attempts it
+   * The claim expires at leaseUntil, after which the record becomes due again
+   * @param {string} id - Webhook history ID
+   * @param {Date} leaseUntil - Claim expiration
+   * @returns {Promise<boolean>} Whether the claim succeeded
+   */
+  async claimDelivery(id, leaseUntil) {
+    const result = await prisma.webhookHistory.updateMany({
+      where: {
+        id,
+        status: { in: QUEUED_STATUSES },
+        nextRetryAt: { lte: new Date() },
+      },
+      data: {
+        status: 'delivering',
+        nextRetryAt: leaseUntil,
+      },
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Hold a delivery while the webhook's circuit breaker is open
+   * Queued records are not picked up by the delivery queue until they are released
+   * @param {string} id - Webhook history ID
+   */
+  async park(id) {
+    return await prisma.webhookHistory.update({
+      where: { id },
+      data: {
+        status: 'queued',
+        nextRetryAt: null,
+      },
+    });
+  }
+
+  /**
+   * Get the oldest delivery held by a circuit breaker
+   * @param {string} webhookId - Webhook ID
+   */
+  async findOldestQueued(webhookId) {
+    return await prisma.webhookHistory.findFirst({
+      where: { webhookId, status: 'queued' },
+      orderBy: { triggeredAt: 'asc' },
+    });
+  }
+
+  /**
+   * Make deliveries held by a circuit breaker due again
+   * @param {string} webhookId - Webhook ID
+   * @param {number} [limit] - Release only the oldest records, all of them when omitted
+   * @returns {Promise<number>} Number of released records
+   */
+  async releaseQueued(webhookId, limit) {
+    const where = { webhookId, status: 'queued' };
+
+    if (limit) {
+      const oldest = await prisma.webhookHistory.findMany({
+        where,
+        take: limit,
+        orderBy: { triggeredAt: 'asc' },
+        select: { id: true },
+      });
+      where.id = { in: oldest.map(record => record.id) };
+    }
+
+    const result = await prisma.webhookHistory.updateMany({
+      where,
+      data: {
+        status: 'pending',
+        nextRetryAt: new Date(),
+      },
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Give up on deliveries held by a circuit breaker
+   * @param {string} webhookId - Webhook ID
+   * @param {string} errorMessage - Reason stored on each record
+   * @returns {Promise<number>} Number of failed records
+   */
+  async failQueued(webhookId, errorMessage) {
+    const result = await prisma.webhookHistory.updateMany({
+      where: { webhookId, status: 'queued' },
+      data: {
+        status: 'failed',
+        errorMessage,
+        completedAt: new Date(),
+      },
+    });
+
+    return result.count;
+  }
+
   /**
    * Get webhook history by ID
    * @param {string} id - Webhook history ID
@@ -289,7 +453,9 @@ class WebhookHistoryService {
       where: { id },
       include: {
         instance: true,
-        webhook: true,
+        webhook: {
+          omit: { secret: true },
+        },
       },
     });
   }
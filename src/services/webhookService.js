@@ -1,4 +1,16 @@
 const prisma = require('../database/prisma');
+const webhookSignature = require('../utils/webhookSignature');
+const { isSubscribed } = require('../config/events.config');
+
+// Circuit breaker fields of a webhook that delivers normally
+const CLOSED_CIRCUIT = {
+  circuitState: 'closed',
+  consecutiveFailures: 0,
+  failedProbes: 0,
+  circuitOpenedAt: null,
+  nextProbeAt: null,
+  probeDeliveryId: null,
+};
 
 class WebhookService {
   /**
@@ -6,8 +18,11 @@ class WebhookService {
    * @param {Object} data - Webhook data
    * @param {string} data.instanceId - Instance ID
    * @param {string} data.type - Webhook type
-   * @param {string} data.event - Webhook event
+   * @param {string[]} data.events - Subscribed events or patterns
    * @param {string} data.url - Webhook URL
+   * @param {Object} [data.filters] - Filter criteria evaluated before each delivery
+   * @param {Object} [data.headers] - Custom headers sent with every delivery
+   * @param {Object} [data.payloadTemplate] - Template rendered instead of the default payload
    * @param {boolean} [data.isEnabled] - Whether webhook is enabled
    */
   async create(data) {
@@ -15,8 +30,12 @@ class WebhookService {
       data: {
         instanceId: data.instanceId,
         type: data.type,
-        event: data.event,
+        events: data.events,
         url: data.url,
+        filters: data.filters,
+        headers: data.headers,
+        payloadTemplate: data.payloadTemplate,
+        secret: webhookSignature.generateSecret(),
         isEnabled: data.isEnabled !== undefined ? data.isEnabled : true,
       },
       include: {
@@ -75,23 +94,24 @@ class WebhookService {
   }
 
   /**
-   * Find webhooks by type and event
+   * Find enabled webhooks by type that are subscribed to an event
    * @param {string} instanceId - Instance ID
    * @param {string} type - Webhook type
    * @param {string} event - Webhook event
    */
   async findByTypeAndEvent(instanceId, type, event) {
-    return await prisma.webhook.findMany({
+    const webhooks = await prisma.webhook.findMany({
       where: {
         instanceId,
         type,
-        event,
         isEnabled: true,
       },
       include: {
         instance: true,
       },
     });
+
+    return webhooks.filter(webhook => isSubscribed(webhook, event));
   }
 
   /**
@@ -111,13 +131,105 @@ class WebhookService {
 
   /**
    * Toggle webhook enabled status
+   * Enabling a webhook also closes its circuit breaker
    * @param {string} id - Webhook ID
    * @param {boolean} isEnabled - Enable/disable webhook
    */
   async toggleEnabled(id, isEnabled) {
     return await prisma.webhook.update({
       where: { id },
-      data: { isEnabled },
+      data: {
+        isEnabled,
+        ...(isEnabled && CLOSED_CIRCUIT),
+      },
+      include: {
+        instance: true,
+      },
+    });
+  }
+
+  /**
+   * Close the circuit breaker of a webhook after a successful delivery
+   * @param {string} id - Webhook ID
+   */
+  async closeCircuit(id) {
+    return await prisma.webhook.update({
+      where: { id },
+      data: CLOSED_CIRCUIT,
+    });
+  }
+
+  /**
+   * Count a failed delivery attempt
+   * @param {string} id - Webhook ID
+   * @returns {Promise<Object>} Updated webhook
+   */
+  async recordFailure(id) {
+    return await prisma.webhook.update({
+      where: { id },
+      data: { consecutiveFailures: { increment: 1 } },
+    });
+  }
+
+  /**
+   * Open the circuit breaker of a webhook, suppressing deliveries until the next probe
+   * @param {string} id - Webhook ID
+   * @param {Date} nextProbeAt - When a delivery should be let through again
+   * @param {number} failedProbes - Number of probes that failed since the circuit first opened
+   */
+  async openCircuit(id, nextProbeAt, failedProbes = 0) {
+    return await prisma.webhook.update({
+      where: { id },
+      data: {
+        circuitState: 'open',
+        circuitOpenedAt: new Date(),
+        nextProbeAt,
+        failedProbes,
+        probeDeliveryId: null,
+      },
+    });
+  }
+
+  /**
+   * Get enabled webhooks whose open circuit is due for a probe
+   */
+  async findCircuitsDueForProbe() {
+    return await prisma.webhook.findMany({
+      where: {
+        isEnabled: true,
+        circuitState: 'open',
+        nextProbeAt: { lte: new Date() },
+      },
+    });
+  }
+
+  /**
+   * Move an open circuit to half-open so that a single probe delivery goes through
+   * @param {string} id - Webhook ID
+   * @param {string} probeDeliveryId - ID of the history record sent as the probe
+   * @returns {Promise<boolean>} Whether this worker claimed the probe
+   */
+  async claimProbe(id, probeDeliveryId) {
+    const result = await prisma.webhook.updateMany({
+      where: {
+        id,
+        circuitState: 'open',
+        nextProbeAt: { lte: new Date() },
+      },
+      data: { circuitState: 'half_open', probeDeliveryId },
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Replace the signing secret of a webhook
+   * @param {string} id - Webhook ID
+   */
+  async rotateSecret(id) {
+    return await prisma.webhook.update({
+      where: { id },
+      data: { secret: webhookSignature.generateSecret() },
       include: {
         instance: true,
       },
@@ -135,21 +247,22 @@ class WebhookService {
   }
 
   /**
-   * Get enabled webhooks for triggering
+   * Get enabled webhooks subscribed to an event, including "*" and "message.*" style patterns
    * @param {string} instanceId - Instance ID
    * @param {string} event - Event type
    */
   async getEnabledWebhooks(instanceId, event) {
-    return await prisma.webhook.findMany({
+    const webhooks = await prisma.webhook.findMany({
       where: {
         instanceId,
-        event,
         isEnabled: true,
       },
       include: {
         instance: true,
       },
     });
+
+    return webhooks.filter(webhook => isSubscribed(webhook, event));
   }
 }
 
@@ -9,6 +9,8 @@ const logger = require('../utils/logger');
 const path = require('path');
 const packageJson = require('../../package.json');
 const PluginManager = require('../core/plugin-manager.core');
+const phoneNumbers = require('../utils/phoneNumber');
+const phoneConfig = require('../config/phone.config');
 require('dotenv').config();
 
 class WhatsAppService {
@@ -157,17 +159,8 @@ class WhatsAppService {
                 throw new Error('WhatsApp not connected');
             }
 
-            // Format phone number (ensure it has country code)
-            let formattedNumber = phoneNumber.replace(/[^\d]/g, '');
-            if (!formattedNumber.startsWith('62')) {
-                if (formattedNumber.startsWith('0')) {
-                    formattedNumber = '62' + formattedNumber.substring(1);
-                } else {
-                    formattedNumber = '62' + formattedNumber;
-                }
-            }
-
-            const jid = `${formattedNumber}@s.whatsapp.net`;
+            // National numbers get DEFAULT_COUNTRY_CODE
+            const jid = phoneNumbers.toJid(phoneNumber, phoneConfig.getDefaultCountryCode());
 
             logger.info(`📤 Sending message to ${jid}: ${message}`);
 
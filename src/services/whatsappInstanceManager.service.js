@@ -2,21 +2,53 @@ const {
     default: makeWASocket,
     DisconnectReason,
     useMultiFileAuthState,
-    fetchLatestBaileysVersion
+    fetchLatestBaileysVersion,
+    downloadMediaMessage,
+    jidNormalizedUser
 } = require('baileys');
 const qrcodeTerminal = require('qrcode-terminal');
 const qrcode = require('qrcode');
+const axios = require('axios');
 const logger = require('../utils/logger');
 const path = require('path');
 const fs = require('fs');
 const packageJson = require('../../package.json');
 const PluginManager = require('../core/plugin-manager.core');
+const GroupManager = require('../core/group-manager.core');
 const instanceService = require('./instanceService');
 const messageService = require('./messageService');
-const webhookService = require('./webhookService');
-const webhookHistoryService = require('./webhookHistoryService');
-const axios = require('axios');
+const webhookDeliveryQueue = require('./webhookDeliveryQueue.service');
+const webhookDispatcher = require('./webhookDispatcher.service');
+const outboundQueue = require('./outboundQueue.service');
 const instanceLogService = require('./instanceLogService');
+const campaignService = require('./campaignService');
+const groupMetadataService = require('./groupMetadataService');
+const contactService = require('./contactService');
+const chatService = require('./chatService');
+const { EVENTS } = require('../config/events.config');
+const messageNormalizer = require('../utils/messageNormalizer');
+const syncRecords = require('../utils/syncRecords');
+const mediaConfig = require('../config/media.config');
+const mediaStoreService = require('./mediaStore.service');
+const stickerConverter = require('../utils/stickerConverter');
+const mimeSniffer = require('../utils/mimeSniffer');
+const phoneNumber = require('../utils/phoneNumber');
+const phoneConfig = require('../config/phone.config');
+const groupConfig = require('../config/group.config');
+const TtlCache = require('../utils/ttlCache');
+
+// WhatsApp rejects edits of messages older than this
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+// proto.Message.ProtocolMessage.Type of a deletion for everyone
+const PROTOCOL_REVOKE = 0;
+
+// Receipt statuses of sent messages (proto.WebMessageInfo.Status), a played voice note counts as read
+const RECEIPT_STATUSES = {
+    3: 'delivered',
+    4: 'read',
+    5: 'read'
+};
 
 class WhatsAppInstance {
     constructor(instanceData) {
@@ -25,9 +57,15 @@ class WhatsAppInstance {
         this.isConnected = false;
         this.connectionStatus = 'disconnected';
         this.qrCode = null;
+        this.pairingCode = null; // Set by requestPairingCode() until the instance is linked
         this.authDir = path.join(__dirname, `../../auth/${instanceData.phone}`);
         this.pluginManager = new PluginManager(instanceData);
-        this.groupMetadataCache = new Map();
+        // Group metadata kept current by group events, see updateCachedGroups() and updateCachedParticipants()
+        this.groupMetadataCache = new TtlCache({ ttlMs: groupConfig.getGroupMetadataConfig().cacheTtlMs });
+        this.groupSnapshotsRestored = false;
+        this.groupManager = new GroupManager(this);
+        // WhatsApp registration of recipients, see checkRecipients()
+        this.recipientCache = new TtlCache({ ttlMs: phoneConfig.getRecipientCheckConfig().cacheTtlMs });
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.isManualRestart = false; // Flag to prevent auto-reconnect during manual restart
@@ -37,6 +75,9 @@ class WhatsAppInstance {
         try {
             logger.info(`🔄 Initializing WhatsApp instance for ${this.instanceData.phone}...`);
 
+            // A pairing code only works on the connection it was requested on
+            this.pairingCode = null;
+
             // Update instance status to connecting
             await instanceService.updateStatus(this.instanceData.id, 'connecting');
 
@@ -48,6 +89,10 @@ class WhatsAppInstance {
             // Initialize plugin manager
             await this.pluginManager.loadPlugins();
 
+            if (!this.groupSnapshotsRestored) {
+                await this.restoreGroupMetadata();
+            }
+
             const { state, saveCreds } = await useMultiFileAuthState(this.authDir);
             const { version, isLatest } = await fetchLatestBaileysVersion();
 
@@ -89,13 +134,14 @@ class WhatsAppInstance {
                     })
                 },
                 cachedGroupMetadata: async (jid) => {
-                    if (this.groupMetadataCache.has(jid)) {
-                        return this.groupMetadataCache.get(jid);
+                    const cached = this.groupMetadataCache.get(jid);
+                    if (cached) {
+                        return cached;
                     }
 
                     try {
                         const metadata = await this.sock.groupMetadata(jid);
-                        this.groupMetadataCache.set(jid, metadata);
+                        this.cacheGroupMetadata(metadata);
                         return metadata;
                     } catch (error) {
                         logger.error(`Error getting group metadata of ${jid} for ${this.instanceData.phone}: ${error.message}`);
@@ -139,7 +185,7 @@ class WhatsAppInstance {
                 
                 const qrCodeImage = await qrcode.toDataURL(qr);
                 // Trigger webhook for QR code generation
-                await this.triggerWebhooks('connection.update', {
+                await this.triggerWebhooks(EVENTS.CONNECTION_UPDATE, {
                     status: 'qr_ready',
                     qrCode: qr,
                     qrCodeImage: qrCodeImage, 
@@ -150,6 +196,7 @@ class WhatsAppInstance {
             }
 
             if (connection === 'close') {
+                this.pairingCode = null;
                 const shouldReconnect = lastDisconnect?.error?.output?.statusCode !== DisconnectReason.loggedOut;
                 const disconnectReason = lastDisconnect?.error?.output?.statusCode;
                 const errorMessage = lastDisconnect?.error?.message;
@@ -173,7 +220,7 @@ class WhatsAppInstance {
                     await instanceService.updateStatus(this.instanceData.id, 'reconnecting');
                     
                     // Trigger webhook for reconnecting state
-                    await this.triggerWebhooks('connection.update', {
+                    await this.triggerWebhooks(EVENTS.CONNECTION_UPDATE, {
                         status: 'reconnecting',
                         instance: this.instanceData,
                         timestamp: new Date().toISOString(),
@@ -211,7 +258,7 @@ class WhatsAppInstance {
                     }
                     
                     // Trigger webhook for connection close
-                    await this.triggerWebhooks('connection.update', {
+                    await this.triggerWebhooks(EVENTS.CONNECTION_UPDATE, {
                         status: wasManualRestart ? 'manual_restart' : 'logged_out',
                         instance: this.instanceData,
                         timestamp: new Date().toISOString(),
@@ -227,11 +274,12 @@ class WhatsAppInstance {
                 this.connectionStatus = 'connected';
                 this.isConnected = true;
                 this.qrCode = null;
+                this.pairingCode = null;
                 this.reconnectAttempts = 0;
                 await instanceService.updateStatus(this.instanceData.id, 'active');
                 
                 // Trigger webhook for successful connection
-                await this.triggerWebhooks('connection.update', {
+                await this.triggerWebhooks(EVENTS.CONNECTION_UPDATE, {
                     status: 'connected',
                     instance: this.instanceData,
                     timestamp: new Date().toISOString(),
@@ -244,7 +292,7 @@ class WhatsAppInstance {
                 await instanceService.updateStatus(this.instanceData.id, 'connecting');
                 
                 // Trigger webhook for connecting state
-                await this.triggerWebhooks('connection.update', {
+                await this.triggerWebhooks(EVENTS.CONNECTION_UPDATE, {
                     status: 'connecting',
                     instance: this.instanceData,
                     timestamp: new Date().toISOString(),
@@ -261,7 +309,18 @@ class WhatsAppInstance {
 
         this.sock.ev.on('creds.update', saveCreds);
         this.sock.ev.on('messages.upsert', this.handleMessagesUpsert.bind(this));
+        this.sock.ev.on('groups.upsert', this.updateCachedGroups.bind(this));
+        this.sock.ev.on('groups.update', this.updateCachedGroups.bind(this));
+        this.sock.ev.on('group-participants.update', this.updateCachedParticipants.bind(this));
         this.sock.ev.on('group-participants.update', this.handleGroupUpdate.bind(this));
+        this.sock.ev.on('messages.update', this.handleMessagesUpdate.bind(this));
+        this.sock.ev.on('message-receipt.update', this.handleMessageReceipts.bind(this));
+        this.sock.ev.on('contacts.upsert', this.syncContacts.bind(this));
+        this.sock.ev.on('contacts.update', this.syncContacts.bind(this));
+        this.sock.ev.on('chats.upsert', this.syncChats.bind(this));
+        this.sock.ev.on('chats.update', (chats) => this.syncChats(chats, true));
+        this.sock.ev.on('chats.delete', this.handleChatsDelete.bind(this));
+        this.sock.ev.on('messaging-history.set', this.handleHistorySet.bind(this));
         
         // Add error handling for Baileys internal errors (like MAC errors)
         this.sock.ev.on('CB:call', (callUpdate) => {
@@ -299,6 +358,144 @@ class WhatsAppInstance {
         };
     }
 
+    /**
+     * Cache group metadata and store it as a snapshot for the next start
+     * @param {Object} metadata - Baileys group metadata
+     */
+    cacheGroupMetadata(metadata) {
+        this.groupMetadataCache.set(metadata.id, metadata);
+        groupMetadataService.save(this.instanceData.id, metadata.id, metadata).catch(error => {
+            logger.warn(`⚠️ Could not store metadata of group ${metadata.id} for ${this.instanceData.phone}: ${error.message}`);
+        });
+    }
+
+    /**
+     * Drop the cached metadata and snapshot of a group, it is fetched again when needed
+     * @param {string} groupId - Group JID
+     */
+    forgetGroupMetadata(groupId) {
+        this.groupMetadataCache.delete(groupId);
+        groupMetadataService.delete(this.instanceData.id, groupId).catch(error => {
+            logger.warn(`⚠️ Could not delete metadata of group ${groupId} for ${this.instanceData.phone}: ${error.message}`);
+        });
+    }
+
+    /**
+     * Load the stored group metadata snapshots into the cache
+     * Snapshots older than GROUP_METADATA_SNAPSHOT_MAX_AGE_MS are left to be fetched again
+     */
+    async restoreGroupMetadata() {
+        const { cacheTtlMs, snapshotMaxAgeMs } = groupConfig.getGroupMetadataConfig();
+
+        try {
+            const snapshots = await groupMetadataService.findByInstance(this.instanceData.id, new Date(Date.now() - snapshotMaxAgeMs));
+            for (const snapshot of snapshots) {
+                const remainingMs = snapshotMaxAgeMs - (Date.now() - snapshot.updatedAt.getTime());
+                this.groupMetadataCache.set(snapshot.groupId, snapshot.metadata, Math.min(cacheTtlMs, remainingMs));
+            }
+
+            this.groupSnapshotsRestored = true;
+            if (snapshots.length > 0) {
+                logger.info(`👥 Restored metadata of ${snapshots.length} group(s) for ${this.instanceData.phone}`);
+            }
+        } catch (error) {
+            logger.warn(`⚠️ Could not restore group metadata for ${this.instanceData.phone}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Apply joined groups and changed subjects, descriptions and settings to the cache
+     * Updates of groups that are not cached are skipped, they are fetched in full when needed
+     * @param {Object[]} groups - Full metadata (groups.upsert) or partial metadata with the group id (groups.update)
+     */
+    updateCachedGroups(groups) {
+        for (const group of groups) {
+            const cached = this.groupMetadataCache.get(group.id);
+            if (!cached && !group.participants) continue;
+
+            const changes = Object.fromEntries(Object.entries(group).filter(([name, value]) => name !== 'author' && value !== undefined));
+            this.cacheGroupMetadata({ ...cached, ...changes });
+        }
+    }
+
+    /**
+     * Apply added, removed, promoted and demoted participants to the cached metadata of a group
+     * Applying the same change twice has no effect, so changes made through the API can be applied right away
+     * @param {Object} update - { id, participants, action }
+     */
+    updateCachedParticipants({ id, participants = [], action }) {
+        const cached = this.groupMetadataCache.get(id);
+        if (!cached) return;
+
+        const ids = participants.map(participant => typeof participant === 'string' ? participant : participant.id);
+        const ownJid = this.sock?.user?.id ? jidNormalizedUser(this.sock.user.id) : null;
+
+        // Once removed, the instance no longer receives the group's updates
+        if ((action === 'remove' && ids.includes(ownJid)) || action === 'modify') {
+            this.forgetGroupMetadata(id);
+            return;
+        }
+
+        let members = cached.participants || [];
+        if (action === 'add') {
+            const known = new Set(members.map(member => member.id));
+            members = [...members, ...ids.filter(jid => !known.has(jid)).map(jid => ({ id: jid, admin: null }))];
+        } else if (action === 'remove') {
+            members = members.filter(member => !ids.includes(member.id));
+        } else if (action === 'promote' || action === 'demote') {
+            members = members.map(member => ids.includes(member.id)
+                ? { ...member, admin: action === 'promote' ? (member.admin || 'admin') : null }
+                : member);
+        }
+
+        this.cacheGroupMetadata({ ...cached, participants: members, size: members.length });
+    }
+
+    /**
+     * Store contacts and their push names from contacts.upsert, contacts.update and the history sync
+     * @param {Object[]} contacts - Baileys contacts, full or partial
+     */
+    async syncContacts(contacts) {
+        const records = contacts.map(contact => syncRecords.fromContact(contact)).filter(Boolean);
+        if (records.length === 0) return;
+
+        try {
+            await contactService.upsertMany(this.instanceData.id, records);
+        } catch (error) {
+            logger.error(`Error storing ${records.length} contact(s) for ${this.instanceData.phone}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Store the chat list from chats.upsert, chats.update and the history sync
+     * @param {Object[]} chats - Baileys chats, full or partial
+     * @param {boolean} [isUpdate] - chats.update, where a positive unreadCount counts new messages
+     */
+    async syncChats(chats, isUpdate = false) {
+        const records = chats.map(chat => syncRecords.fromChat(chat, isUpdate)).filter(Boolean);
+        if (records.length === 0) return;
+
+        try {
+            await chatService.upsertMany(this.instanceData.id, records);
+        } catch (error) {
+            logger.error(`Error storing ${records.length} chat(s) for ${this.instanceData.phone}: ${error.message}`);
+        }
+    }
+
+    async handleChatsDelete(chatIds) {
+        try {
+            await chatService.deleteMany(this.instanceData.id, chatIds);
+        } catch (error) {
+            logger.error(`Error deleting ${chatIds.length} chat(s) for ${this.instanceData.phone}: ${error.message}`);
+        }
+    }
+
+    // Contacts and chats synced from the phone after linking, its messages are not stored
+    async handleHistorySet({ contacts = [], chats = [] }) {
+        await this.syncContacts(contacts);
+        await this.syncChats(chats);
+    }
+
     async handleGroupUpdate(update) {
         const { id, participants, action } = update;
         const message = { message: { groupUpdate: { participants, action } }, key: { remoteJid: id } };
@@ -311,6 +508,65 @@ class WhatsAppInstance {
         }
     }
 
+    // Receipts of messages in private chats, and incoming messages read on another device
+    async handleMessagesUpdate(updates) {
+        for (const { key, update } of updates) {
+            const status = RECEIPT_STATUSES[update?.status];
+            if (!key?.id || !status) continue;
+
+            if (key.fromMe) {
+                await this.applyReceipt(key, status);
+            } else if (status === 'read') {
+                await messageService.markIncomingRead(this.instanceData.id, key.id)
+                    .catch(error => logger.error(`Error marking ${key.id} read for ${this.instanceData.phone}: ${error.message}`));
+            }
+        }
+    }
+
+    // Receipts of each participant of group messages
+    async handleMessageReceipts(updates) {
+        for (const { key, receipt } of updates) {
+            if (!key?.fromMe || !key.id || !receipt) continue;
+
+            const readTimestamp = receipt.readTimestamp || receipt.playedTimestamp;
+            const status = readTimestamp ? 'read' : 'delivered';
+            const timestamp = readTimestamp || receipt.receiptTimestamp;
+
+            await this.applyReceipt(key, status, receipt.userJid, timestamp ? new Date(this.extractTimestamp(timestamp) * 1000) : new Date());
+        }
+    }
+
+    /**
+     * Move a sent message to "delivered" or "read" and notify webhooks with message.status
+     * Only changes of the stored status are reported, so a group message reports its first receipts
+     * @param {Object} key - Message key
+     * @param {string} status - "delivered" or "read"
+     * @param {string} [participant] - Group participant the receipt is from
+     * @param {Date} [at] - Time of the receipt
+     */
+    async applyReceipt(key, status, participant = null, at = new Date()) {
+        try {
+            await campaignService.applyReceipt(key.id, status, at);
+
+            const change = await messageService.advanceStatus(this.instanceData.id, key.id, status, at);
+            if (!change) return;
+
+            logger.info(`✔️ Message ${key.id} of ${this.instanceData.phone} ${status}`);
+
+            await this.triggerWebhooks(EVENTS.MESSAGE_STATUS, {
+                messageId: key.id,
+                chatId: key.remoteJid,
+                status,
+                previousStatus: change.previousStatus,
+                participant,
+                timestamp: at.toISOString(),
+                message: change.message
+            });
+        } catch (error) {
+            logger.error(`Error applying ${status} receipt of ${key.id} for ${this.instanceData.phone}: ${error.message}`);
+        }
+    }
+
     async handleMessagesUpsert(messageUpdate) {
         const { messages, type } = messageUpdate;
 
@@ -323,14 +579,30 @@ class WhatsAppInstance {
             try {
                 logger.info(`📨 Processing message from ${message.pushName || 'Unknown'} for instance ${this.instanceData.phone}`);
 
+                const normalized = messageNormalizer.normalize(message);
+
+                // Edits and deletions for everyone update the original message and send their own
+                // webhook event, they are not stored as messages of their own
+                if (normalized.type === 'protocol' || normalized.isEdited) {
+                    await this.handleIncomingProtocolMessage(message, normalized);
+                    continue;
+                }
+
+                // Download media first so the stored message and webhooks carry its URL
+                await this.storeIncomingMedia(message, normalized);
+
                 // Store message in database
-                await this.storeMessage(message);
+                await this.storeMessage(message, normalized);
 
                 // Execute plugins
-                await this.pluginManager.executePlugins(this.sock, message);
+                await this.pluginManager.executePlugins(this.sock, message, normalized);
 
                 // Trigger webhooks
-                await this.triggerWebhooks('message.received', { message, instance: this.instanceData });
+                await this.triggerWebhooks(EVENTS.MESSAGE_RECEIVED, {
+                    message: normalized,
+                    raw: message,
+                    instance: this.instanceData
+                });
 
             } catch (error) {
                 logger.error(`Error processing message for ${this.instanceData.phone}: ${error.message}`);
@@ -424,7 +696,43 @@ class WhatsAppInstance {
         return Math.floor(Date.now() / 1000);
     }
 
-    async storeMessage(message) {
+    /**
+     * Download the media of an incoming message into the media store
+     * On success the normalized message's media gets the url, store and storageKey of the file
+     * @param {Object} message - Raw Baileys message
+     * @param {Object} normalized - Normalized message, updated in place
+     */
+    async storeIncomingMedia(message, normalized) {
+        const { downloadEnabled, maxDownloadBytes } = mediaConfig.getMediaConfig();
+        const { media, messageId } = normalized;
+
+        if (!downloadEnabled || !media || !messageId) return;
+
+        if (media.fileSize && media.fileSize > maxDownloadBytes) {
+            logger.warn(`Skipping download of ${normalized.type} ${messageId} for ${this.instanceData.phone}: ${media.fileSize} bytes exceeds MEDIA_MAX_DOWNLOAD_BYTES`);
+            return;
+        }
+
+        try {
+            const buffer = await downloadMediaMessage(message, 'buffer', {}, {
+                logger: this.sock.logger,
+                reuploadRequest: this.sock.updateMediaMessage
+            });
+
+            const stored = await mediaStoreService.save(this.instanceData.id, messageId, buffer, media);
+
+            media.url = mediaConfig.getMediaUrl(this.instanceData.phone, messageId);
+            media.store = stored.store;
+            media.storageKey = stored.key;
+            media.fileSize = media.fileSize || stored.size;
+
+            logger.info(`💾 Stored ${normalized.type} ${messageId} for ${this.instanceData.phone} (${stored.size} bytes, ${stored.store})`);
+        } catch (error) {
+            logger.error(`Error downloading media ${messageId} for ${this.instanceData.phone}: ${error.message}`);
+        }
+    }
+
+    async storeMessage(message, normalized = messageNormalizer.normalize(message)) {
         try {
             // Safely serialize the raw message to avoid Prisma serialization errors
             const safeRawMessage = this.safeSerialize(message);
@@ -434,15 +742,15 @@ class WhatsAppInstance {
                 direction: 'incoming',
                 from: message.key.remoteJid,
                 to: this.sock.user?.id || this.instanceData.phone,
-                type: Object.keys(message.message || {})[0] || 'unknown',
+                messageId: normalized.messageId,
+                chatId: normalized.chatId,
+                type: normalized.type,
                 message: {
-                    content: message.message?.conversation || 
-                             message.message?.extendedTextMessage?.text ||
-                             message.message?.imageMessage?.caption ||
-                             'Media message',
+                    content: messageNormalizer.describe(normalized),
                     pushName: message.pushName,
                     messageId: message.key.id,
                     timestamp: this.extractTimestamp(message.messageTimestamp),
+                    normalized: this.safeSerialize(normalized),
                     raw: safeRawMessage
                 },
                 status: 'received',
@@ -457,122 +765,29 @@ class WhatsAppInstance {
 
     async triggerWebhooks(event, data) {
         try {
-            const webhooks = await webhookService.getEnabledWebhooks(this.instanceData.id, event);
-            
-            for (const webhook of webhooks) {
-                const startTime = Date.now();
-                const payload = {
-                    event,
-                    data,
-                    timestamp: new Date().toISOString(),
-                    instanceId: this.instanceData.id
-                };
-
-                let historyData = {
-                    instanceId: this.instanceData.id,
-                    webhookId: webhook.id,
-                    event: event,
-                    payload: payload,
-                    status: 'pending',
-                    retryCount: 0
-                };
-
-                try {
-                    const response = await axios.post(webhook.url, payload, {
-                        timeout: 5000,
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'User-Agent': `${packageJson.name}/${packageJson.version}`
-                        }
-                    });
-
-                    const responseTime = Date.now() - startTime;
-                    
-                    // Update history with success data
-                    historyData = {
-                        ...historyData,
-                        status: 'success',
-                        httpStatusCode: response.status,
-                        responseTime: responseTime,
-                        response: {
-                            status: response.status,
-                            statusText: response.statusText,
-                            headers: response.headers,
-                            data: response.data
-                        },
-                        completedAt: new Date()
-                    };
-
-                    logger.info(`📡 Webhook ${webhook.id} triggered successfully for ${event} (${responseTime}ms)`);
-                    
-                } catch (error) {
-                    const responseTime = Date.now() - startTime;
-                    let status = 'failed';
-                    let httpStatusCode = null;
-                    let response = null;
-                    
-                    if (error.code === 'ECONNABORTED') {
-                        status = 'timeout';
-                    } else if (error.response) {
-                        httpStatusCode = error.response.status;
-                        response = {
-                            status: error.response.status,
-                            statusText: error.response.statusText,
-                            headers: error.response.headers,
-                            data: error.response.data
-                        };
-                    }
-
-                    // Update history with failure data
-                    historyData = {
-                        ...historyData,
-                        status: status,
-                        httpStatusCode: httpStatusCode,
-                        responseTime: responseTime,
-                        response: response,
-                        errorMessage: error.message,
-                        completedAt: new Date()
-                    };
-
-                    logger.error(`Failed to trigger webhook ${webhook.id} for ${event}: ${error.message} (${responseTime}ms)`);
-                }
-
-                // Save webhook history record
-                try {
-                    await webhookHistoryService.create(historyData);
-                } catch (historyError) {
-                    logger.error(`Failed to save webhook history for ${webhook.id}: ${historyError.message}`);
-                }
-            }
+            // Recorded in webhook history, then sent in the background by the dispatcher
+            await webhookDeliveryQueue.publish(this.instanceData.id, event, data);
         } catch (error) {
             logger.error(`Error triggering webhooks for ${this.instanceData.phone}: ${error.message}`);
         }
     }
 
-    async sendMessage(phoneNumber, messageText) {
+    async sendMessage(phoneNumber, messageText, options = {}) {
         try {
             if (!this.isConnected) {
                 throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
             }
 
-            // Format phone number
-            let formattedNumber = phoneNumber.replace(/[^\d]/g, '');
-            if (!formattedNumber.startsWith('62')) {
-                if (formattedNumber.startsWith('0')) {
-                    formattedNumber = '62' + formattedNumber.substring(1);
-                } else {
-                    formattedNumber = '62' + formattedNumber;
-                }
-            }
-
-            const jid = `${formattedNumber}@s.whatsapp.net`;
+            const { jid, formattedNumber } = this.formatRecipient(phoneNumber);
+            await this.assertRecipientExists(jid, options.checkRecipient);
 
             logger.info(`📤 Sending message from ${this.instanceData.phone} to ${jid}: ${messageText}`);
 
             // Add watermark
             // const finalMessage = `${messageText}\n\n> Sent via ${(s => s[0].toUpperCase() + s.slice(1, s.indexOf('-')))(packageJson.name)}\n> @${packageJson.author}/${packageJson.name}.git`;
 
-            const result = await this.sock.sendMessage(jid, { text: messageText });
+            const context = await this.buildSendContext(options);
+            const result = await this.sock.sendMessage(jid, { text: messageText, ...context.content }, context.sendOptions);
 
             // Store sent message in database
             const messageData = {
@@ -580,19 +795,22 @@ class WhatsAppInstance {
                 direction: 'outgoing',
                 from: this.instanceData.phone,
                 to: formattedNumber,
+                messageId: result.key.id,
+                chatId: result.key.remoteJid,
                 type: 'text',
                 message: {
                     content: messageText,
-                    messageId: result.key.id
+                    messageId: result.key.id,
+                    ...context.stored
                 },
                 status: 'sent',
                 sentAt: new Date()
             };
 
-            const storedMessage = await messageService.create(messageData);
+            const storedMessage = await this.saveSentMessage(messageData, options);
 
             // Trigger webhook
-            await this.triggerWebhooks('message.sent', { 
+            await this.triggerWebhooks(EVENTS.MESSAGE_SENT, { 
                 message: storedMessage, 
                 instance: this.instanceData,
                 recipient: formattedNumber
@@ -619,7 +837,7 @@ class WhatsAppInstance {
         }
     }
 
-    async sendGroupMessage(groupId, messageText) {
+    async sendGroupMessage(groupId, messageText, options = {}) {
         try {
             if (!this.isConnected) {
                 throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
@@ -639,10 +857,13 @@ class WhatsAppInstance {
             // Add watermark  
             // const finalMessage = `${messageText}\n\n> Sent via ${(s => s[0].toUpperCase() + s.slice(1, s.indexOf('-')))(packageJson.name)}\n> @${packageJson.author}/${packageJson.name}.git`;
 
+            const context = await this.buildSendContext(options);
+
             // Send with additional options to handle encryption properly
-            const result = await this.sock.sendMessage(jid, { text: messageText }, { 
+            const result = await this.sock.sendMessage(jid, { text: messageText, ...context.content }, { 
                 ephemeralExpiration: 0,
-                messageId: undefined // Let Baileys generate the message ID
+                messageId: undefined, // Let Baileys generate the message ID
+                ...context.sendOptions
             });
 
             // Store sent message in database
@@ -651,20 +872,23 @@ class WhatsAppInstance {
                 direction: 'outgoing',
                 from: this.instanceData.phone,
                 to: groupId,
+                messageId: result.key.id,
+                chatId: result.key.remoteJid,
                 type: 'text',
                 message: {
                     content: messageText,
                     messageId: result.key.id,
-                    isGroup: true
+                    isGroup: true,
+                    ...context.stored
                 },
                 status: 'sent',
                 sentAt: new Date()
             };
 
-            const storedMessage = await messageService.create(messageData);
+            const storedMessage = await this.saveSentMessage(messageData, options);
 
             // Trigger webhook
-            await this.triggerWebhooks('message.sent', { 
+            await this.triggerWebhooks(EVENTS.MESSAGE_SENT, { 
                 message: storedMessage, 
                 instance: this.instanceData,
                 recipient: groupId,
@@ -692,26 +916,31 @@ class WhatsAppInstance {
         }
     }
 
-    async sendMediaMessage(phoneNumber, mediaData) {
+    async sendMediaMessage(phoneNumber, mediaData, options = {}) {
         try {
             if (!this.isConnected) {
                 throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
             }
 
-            // Format phone number
-            let formattedNumber = phoneNumber.replace(/[^\d]/g, '');
-            if (!formattedNumber.startsWith('62')) {
-                if (formattedNumber.startsWith('0')) {
-                    formattedNumber = '62' + formattedNumber.substring(1);
-                } else {
-                    formattedNumber = '62' + formattedNumber;
-                }
+            const { jid, formattedNumber } = this.formatRecipient(phoneNumber);
+            await this.assertRecipientExists(jid, options.checkRecipient);
+            const { type, url, caption, filename, ptt = false, source = 'url' } = mediaData;
+            let { buffer, mimetype } = mediaData;
+
+            logger.info(`📤 Sending ${type} media from ${this.instanceData.phone} to ${jid}`);
+
+            // Sticker URLs are downloaded so other images can be converted like uploads
+            if (type.toLowerCase() === 'sticker' && !buffer && url) {
+                ({ buffer, mimetype } = await this.downloadSticker(url));
             }
 
-            const jid = `${formattedNumber}@s.whatsapp.net`;
-            const { type, url, caption, filename } = mediaData;
+            if (type.toLowerCase() === 'sticker' && buffer && mimetype !== 'image/webp') {
+                buffer = await stickerConverter.toSticker(buffer, mimetype);
+                mimetype = 'image/webp';
+            }
 
-            logger.info(`📤 Sending ${type} media from ${this.instanceData.phone} to ${jid}`);
+            // Uploaded and base64 files are sent from memory, remote files are fetched by Baileys
+            const file = buffer || { url };
 
             // Prepare media message object based on type
             let messageContent = {};
@@ -719,34 +948,58 @@ class WhatsAppInstance {
             switch (type.toLowerCase()) {
                 case 'image':
                     messageContent = {
-                        image: { url },
+                        image: file,
+                        mimetype: mimetype || undefined,
                         caption: caption ? caption : undefined
                     };
                     break;
                 case 'video':
                     messageContent = {
-                        video: { url },
+                        video: file,
+                        mimetype: mimetype || undefined,
                         caption: caption ? caption : undefined
                     };
                     break;
                 case 'audio':
+                    // Voice notes (ptt) are played inline and should be OGG/Opus
+                    messageContent = {
+                        audio: file,
+                        mimetype: mimetype === 'audio/ogg' || (ptt && !mimetype) ? 'audio/ogg; codecs=opus' : (mimetype || 'audio/mp4'),
+                        ptt: ptt || undefined
+                    };
+                    break;
+                case 'sticker':
                     messageContent = {
-                        audio: { url },
-                        mimetype: 'audio/mp4'
+                        sticker: file
                     };
                     break;
                 case 'document':
                     messageContent = {
-                        document: { url },
+                        document: file,
+                        mimetype: mimetype || 'application/octet-stream',
                         fileName: filename || 'document',
                         caption: caption ? caption : undefined
                     };
                     break;
                 default:
-                    throw new Error(`Unsupported media type: ${type}. Supported types: image, video, audio, document`);
+                    throw new Error(`Unsupported media type: ${type}. Supported types: image, video, audio, document, sticker`);
             }
 
-            const result = await this.sock.sendMessage(jid, messageContent);
+            const context = await this.buildSendContext(options);
+            const result = await this.sock.sendMessage(jid, { ...messageContent, ...context.content }, context.sendOptions);
+
+            // Keep a copy of uploaded files so the sent media can be retrieved later
+            const media = { source, mimetype: mimetype || null, fileName: filename || null, fileSize: buffer ? buffer.length : null, ptt, url: url || null };
+            if (buffer) {
+                try {
+                    const saved = await mediaStoreService.save(this.instanceData.id, result.key.id, buffer, media);
+                    media.store = saved.store;
+                    media.storageKey = saved.key;
+                    media.url = mediaConfig.getMediaUrl(this.instanceData.phone, result.key.id);
+                } catch (error) {
+                    logger.error(`❌ Failed to store sent media ${result.key.id} for ${this.instanceData.phone}:`, error);
+                }
+            }
 
             // Store sent message in database
             const messageData = {
@@ -754,22 +1007,26 @@ class WhatsAppInstance {
                 direction: 'outgoing',
                 from: this.instanceData.phone,
                 to: formattedNumber,
+                messageId: result.key.id,
+                chatId: result.key.remoteJid,
                 type: type.toLowerCase(),
                 message: {
                     content: caption || `${type} media`,
                     messageId: result.key.id,
                     mediaType: type.toLowerCase(),
-                    mediaUrl: url,
-                    filename: filename
+                    mediaUrl: media.url,
+                    filename: filename,
+                    media,
+                    ...context.stored
                 },
                 status: 'sent',
                 sentAt: new Date()
             };
 
-            const storedMessage = await messageService.create(messageData);
+            const storedMessage = await this.saveSentMessage(messageData, options);
 
             // Trigger webhook
-            await this.triggerWebhooks('message.sent', { 
+            await this.triggerWebhooks(EVENTS.MESSAGE_SENT, { 
                 message: storedMessage, 
                 instance: this.instanceData,
                 recipient: formattedNumber,
@@ -784,7 +1041,7 @@ class WhatsAppInstance {
                 message: `${type} media sent${caption ? " with caption: " + caption : ''}`
             });
             
-            return { success: true, message: `${type} media sent successfully`, messageId: result.key.id };
+            return { success: true, message: `${type} media sent successfully`, messageId: result.key.id, mediaUrl: media.url };
 
         } catch (error) {
             logger.error(`❌ Error sending media message from ${this.instanceData.phone}:`, error);
@@ -797,6 +1054,546 @@ class WhatsAppInstance {
         }
     }
 
+    /**
+     * Get the country code used for national phone numbers (leading 0)
+     * @returns {string|null}
+     */
+    getDefaultCountryCode() {
+        return this.instanceData.defaultCountryCode || phoneConfig.getDefaultCountryCode();
+    }
+
+    /**
+     * Resolve a recipient to a chat JID
+     * Accepts E.164 and national phone numbers and user, "@lid" and group JIDs
+     * @param {string} recipient - Phone number or JID
+     * @returns {{ jid: string, formattedNumber: string }}
+     * @throws {Error} When the recipient is not a valid phone number or JID
+     */
+    formatRecipient(recipient) {
+        const result = phoneNumber.normalize(recipient, this.getDefaultCountryCode());
+        if (!result.valid) {
+            throw new Error(result.error);
+        }
+
+        return { jid: result.jid, formattedNumber: result.number || result.jid.split('@')[0] };
+    }
+
+    /**
+     * Find a stored message by its WhatsApp ID and rebuild its message key
+     * @param {string} messageId - WhatsApp message ID
+     * @returns {Promise<{ stored: Object, key: Object }>}
+     * @throws {Error} With code MESSAGE_NOT_FOUND when the message is not stored
+     */
+    async getStoredMessage(messageId) {
+        const stored = await messageService.findByMessageId(this.instanceData.id, messageId);
+        if (!stored || !stored.chatId) {
+            const error = new Error(`Message ${messageId} not found`);
+            error.code = 'MESSAGE_NOT_FOUND';
+            throw error;
+        }
+
+        const key = { remoteJid: stored.chatId, id: messageId, fromMe: stored.direction === 'outgoing' };
+
+        // Messages of other group members are identified by their sender too
+        const participant = stored.message?.normalized?.sender;
+        if (stored.chatId.endsWith('@g.us') && !key.fromMe && participant) {
+            key.participant = participant;
+        }
+
+        return { stored, key };
+    }
+
+    /**
+     * Build the quote and mentions of a send
+     * The quoted message is rebuilt from its stored text, which is what WhatsApp shows in the quote
+     * @param {Object} [options] - { quotedMessageId, mentions }
+     * @returns {Promise<{ content: Object, sendOptions: Object, stored: Object }>}
+     *   Extra message content, Baileys send options and fields kept on the stored message
+     */
+    async buildSendContext(options = {}) {
+        const context = { content: {}, sendOptions: {}, stored: {} };
+
+        if (Array.isArray(options.mentions) && options.mentions.length > 0) {
+            const mentions = options.mentions.map(mention => phoneNumber.toJid(String(mention), this.getDefaultCountryCode()));
+            context.content.mentions = mentions;
+            context.stored.mentions = mentions;
+        }
+
+        if (options.quotedMessageId) {
+            const { stored, key } = await this.getStoredMessage(options.quotedMessageId);
+            context.sendOptions.quoted = { key, message: { conversation: stored.message?.content || '' } };
+            context.stored.quotedMessageId = options.quotedMessageId;
+        }
+
+        return context;
+    }
+
+    /**
+     * Store a sent message
+     * Messages sent from the outbound queue already have a record, which is updated instead
+     * @param {Object} messageData - Message data
+     * @param {Object} [options] - Send options, queuedMessageId is the record of a queued message
+     * @returns {Promise<Object>} Stored message
+     */
+    async saveSentMessage(messageData, options = {}) {
+        if (options.queuedMessageId) {
+            const { instanceId, direction, ...data } = messageData;
+            return await messageService.update(options.queuedMessageId, data);
+        }
+
+        return await messageService.create(messageData);
+    }
+
+    /**
+     * Look up the profile picture URL of a contact or group and keep it on the stored contact
+     * @param {string} jid - User, "@lid" or group JID
+     * @param {boolean} [highRes] - Full size picture instead of the preview
+     * @returns {Promise<string|null>} URL, or null when there is no picture or it is hidden by privacy settings
+     */
+    async getProfilePicture(jid, highRes = false) {
+        let url = null;
+        try {
+            url = await this.sock.profilePictureUrl(jid, highRes ? 'image' : 'preview') || null;
+        } catch (error) {
+            // item-not-found (404) and not-authorized (401) mean there is no visible picture
+            const status = error.output?.statusCode;
+            if (status !== 404 && status !== 401) throw error;
+        }
+
+        const contact = syncRecords.fromContact({ id: jid, imgUrl: url });
+        if (contact) await contactService.upsertMany(this.instanceData.id, [contact]);
+
+        return url;
+    }
+
+    /**
+     * Look up the business profile of a contact
+     * @param {string} jid - User JID
+     * @returns {Promise<Object|null>} Business profile, or null when the contact is not a business account
+     */
+    async getBusinessProfile(jid) {
+        return await this.sock.getBusinessProfile(jid) || null;
+    }
+
+    /**
+     * Check whether recipients are registered on WhatsApp
+     * Phone numbers and user JIDs are looked up in one batch, results are cached per instance.
+     * Group and LID JIDs are not looked up and are reported with exists: null
+     * @param {string[]} recipients - Phone numbers or JIDs
+     * @returns {Promise<Object[]>} One result per recipient, in order
+     */
+    async checkRecipients(recipients) {
+        if (!this.isConnected) {
+            throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+        }
+
+        const results = recipients.map(input => {
+            const normalized = phoneNumber.normalize(input, this.getDefaultCountryCode());
+            if (!normalized.valid) {
+                return { input, valid: false, jid: null, exists: false, error: normalized.error };
+            }
+            if (normalized.kind !== 'user') {
+                return { input, valid: true, jid: normalized.jid, exists: null, cached: false };
+            }
+
+            const cached = this.recipientCache.get(normalized.jid);
+            return cached
+                ? { input, valid: true, jid: normalized.jid, ...cached, cached: true }
+                : { input, valid: true, jid: normalized.jid, exists: undefined, cached: false };
+        });
+
+        const unchecked = [...new Set(results.filter(result => result.exists === undefined).map(result => result.jid))];
+
+        if (unchecked.length > 0) {
+            const { cacheTtlMs, notFoundCacheTtlMs } = phoneConfig.getRecipientCheckConfig();
+            // Only registered numbers are returned, matched by number as the returned JID may differ
+            const found = await this.sock.onWhatsApp(...unchecked) || [];
+            const registered = new Map(found
+                .filter(entry => entry.exists)
+                .map(entry => [entry.jid.split('@')[0], entry]));
+
+            const lookups = new Map(unchecked.map(jid => {
+                const entry = registered.get(jid.split('@')[0]);
+                const lookup = { exists: Boolean(entry), lid: entry?.lid || null };
+                const ttlMs = lookup.exists ? cacheTtlMs : notFoundCacheTtlMs;
+                if (ttlMs > 0) this.recipientCache.set(jid, lookup, ttlMs);
+                return [jid, lookup];
+            }));
+
+            results.forEach(result => {
+                if (result.exists === undefined) Object.assign(result, lookups.get(result.jid));
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Download the image of a sticker sent by URL
+     * @param {string} url - Image URL
+     * @returns {Promise<{ buffer: Buffer, mimetype: string }>}
+     * @throws {Error} With code MEDIA_DOWNLOAD_FAILED, or UNSUPPORTED_MEDIA_CONTENT when it is not a sticker image
+     */
+    async downloadSticker(url) {
+        const { maxUploadBytes } = mediaConfig.getMediaConfig();
+        let buffer;
+
+        try {
+            const response = await axios.get(url, {
+                responseType: 'arraybuffer',
+                maxContentLength: maxUploadBytes,
+                timeout: 30000
+            });
+            buffer = Buffer.from(response.data);
+        } catch (error) {
+            const downloadError = new Error(`Failed to download sticker from ${url}: ${error.message}`);
+            downloadError.code = 'MEDIA_DOWNLOAD_FAILED';
+            throw downloadError;
+        }
+
+        const mimetype = mimeSniffer.sniff(buffer);
+        if (!mimeSniffer.isAllowedFor('sticker', mimetype)) {
+            const error = new Error(`File content is ${mimetype || 'unknown'}, which cannot be sent as sticker`);
+            error.code = 'UNSUPPORTED_MEDIA_CONTENT';
+            throw error;
+        }
+
+        return { buffer, mimetype };
+    }
+
+    /**
+     * Reject recipients that are not registered on WhatsApp
+     * Runs when RECIPIENT_CHECK_ON_SEND is enabled or the request asks for it
+     * @param {string} jid - Chat JID
+     * @param {boolean} [checkRecipient] - Per-request override of RECIPIENT_CHECK_ON_SEND
+     * @throws {Error} With code RECIPIENT_NOT_ON_WHATSAPP
+     */
+    async assertRecipientExists(jid, checkRecipient) {
+        const enabled = checkRecipient ?? phoneConfig.getRecipientCheckConfig().checkOnSend;
+        if (!enabled || !jid.endsWith('@s.whatsapp.net')) return;
+
+        const [result] = await this.checkRecipients([jid]);
+        if (result.exists === false) {
+            const error = new Error(`${jid.split('@')[0]} is not registered on WhatsApp`);
+            error.code = 'RECIPIENT_NOT_ON_WHATSAPP';
+            throw error;
+        }
+    }
+
+    /**
+     * Send prepared message content, store it and trigger the message.sent webhook
+     * The stored record gets its type and content from the normalized sent message
+     * @param {string} jid - Chat JID
+     * @param {Object} content - Baileys message content
+     * @param {string} recipient - Recipient stored in the "to" field
+     * @param {Object} [options] - { checkRecipient } overrides RECIPIENT_CHECK_ON_SEND
+     * @returns {Promise<Object>} Message ID and normalized message
+     */
+    async sendContent(jid, content, recipient, options = {}) {
+        if (!this.isConnected) {
+            throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+        }
+
+        await this.assertRecipientExists(jid, options.checkRecipient);
+
+        const context = await this.buildSendContext(options);
+        const result = await this.sock.sendMessage(jid, { ...content, ...context.content }, context.sendOptions);
+        const normalized = messageNormalizer.normalize(result);
+
+        const storedMessage = await this.saveSentMessage({
+            instanceId: this.instanceData.id,
+            direction: 'outgoing',
+            from: this.instanceData.phone,
+            to: recipient,
+            messageId: result.key.id,
+            chatId: result.key.remoteJid,
+            type: normalized.type,
+            message: {
+                content: messageNormalizer.describe(normalized),
+                messageId: result.key.id,
+                normalized: this.safeSerialize(normalized),
+                ...context.stored
+            },
+            status: 'sent',
+            sentAt: new Date()
+        }, options);
+
+        await this.triggerWebhooks(EVENTS.MESSAGE_SENT, {
+            message: storedMessage,
+            instance: this.instanceData,
+            recipient
+        });
+
+        logger.info(`✅ ${normalized.type} message sent from ${this.instanceData.phone} to ${jid}`);
+
+        await instanceLogService.create({
+            instanceId: this.instanceData.id,
+            level: 'info',
+            message: `${normalized.type} message sent to ${recipient}`
+        });
+
+        return { success: true, messageId: result.key.id, type: normalized.type, normalized };
+    }
+
+    /**
+     * Run a send, logging failures to the instance log
+     * @param {string} kind - Message kind used in log messages
+     * @param {Function} send - Send function
+     * @returns {Promise<Object>}
+     */
+    async withSendLogging(kind, send) {
+        try {
+            return await send();
+        } catch (error) {
+            logger.error(`❌ Error sending ${kind} message from ${this.instanceData.phone}:`, error);
+            await instanceLogService.create({
+                instanceId: this.instanceData.id,
+                level: 'error',
+                message: `Error sending ${kind} message: ${error.message}`
+            });
+            throw error;
+        }
+    }
+
+    async sendLocationMessage(recipient, content, options = {}) {
+        return await this.withSendLogging('location', async () => {
+            const { jid, formattedNumber } = this.formatRecipient(recipient);
+            return await this.sendContent(jid, content, formattedNumber, options);
+        });
+    }
+
+    async sendContactMessage(recipient, content, options = {}) {
+        return await this.withSendLogging('contact', async () => {
+            const { jid, formattedNumber } = this.formatRecipient(recipient);
+            return await this.sendContent(jid, content, formattedNumber, options);
+        });
+    }
+
+    async sendPollMessage(recipient, content, options = {}) {
+        return await this.withSendLogging('poll', async () => {
+            const { jid, formattedNumber } = this.formatRecipient(recipient);
+            return await this.sendContent(jid, content, formattedNumber, options);
+        });
+    }
+
+    /**
+     * React to a message, an empty emoji removes the reaction
+     * The chat and sender of the message are taken from the stored message when it is known,
+     * otherwise the message is assumed to be a received message in the recipient's chat
+     * @param {string|null} recipient - Chat of the message, optional for stored messages
+     * @param {string} messageId - WhatsApp message ID
+     * @param {string} emoji - Reaction emoji
+     * @returns {Promise<Object>}
+     */
+    async sendReaction(recipient, messageId, emoji) {
+        return await this.withSendLogging('reaction', async () => {
+            const stored = await messageService.findByMessageId(this.instanceData.id, messageId);
+
+            if (!stored && !recipient) {
+                throw new Error(`Message ${messageId} not found, the chat (to) is required to react to it`);
+            }
+
+            const { jid, formattedNumber } = stored?.chatId
+                ? { jid: stored.chatId, formattedNumber: stored.chatId.split('@')[0] }
+                : this.formatRecipient(recipient);
+
+            const key = {
+                remoteJid: jid,
+                id: messageId,
+                fromMe: stored ? stored.direction === 'outgoing' : false
+            };
+
+            // Reactions to group messages need the sender of the message
+            const participant = stored?.message?.normalized?.sender;
+            if (jid.endsWith('@g.us') && participant && !key.fromMe) {
+                key.participant = participant;
+            }
+
+            // The message exists, so its chat does too
+            return await this.sendContent(jid, { react: { text: emoji, key } }, formattedNumber, { checkRecipient: false });
+        });
+    }
+
+    /**
+     * Edit the text of a message sent by this instance
+     * WhatsApp only accepts edits of text messages within EDIT_WINDOW_MS of sending
+     * @param {string} messageId - WhatsApp message ID
+     * @param {string} text - New text
+     * @returns {Promise<Object>} Updated message record
+     */
+    async editMessage(messageId, text) {
+        return await this.withSendLogging('edit', async () => {
+            if (!this.isConnected) {
+                throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+            }
+
+            const { stored, key } = await this.getStoredMessage(messageId);
+            const sentAt = stored.sentAt || stored.createdAt;
+
+            if (!key.fromMe || stored.type !== 'text') {
+                const error = new Error('Only text messages sent by this instance can be edited');
+                error.code = 'MESSAGE_NOT_EDITABLE';
+                throw error;
+            }
+
+            if (Date.now() - new Date(sentAt).getTime() > EDIT_WINDOW_MS) {
+                const error = new Error(`Messages can only be edited within ${EDIT_WINDOW_MS / 60000} minutes of sending`);
+                error.code = 'MESSAGE_NOT_EDITABLE';
+                throw error;
+            }
+
+            await this.sock.sendMessage(key.remoteJid, { text, edit: key });
+
+            return await this.recordEdit(stored, text, true);
+        });
+    }
+
+    /**
+     * Store the new text of an edited message and notify webhooks with message.edited
+     * @param {Object} stored - Stored message
+     * @param {string} text - New text
+     * @param {boolean} fromMe - Whether this instance edited it
+     * @param {string} [editedBy] - JID of the member who edited it
+     * @returns {Promise<Object>} Updated message record
+     */
+    async recordEdit(stored, text, fromMe, editedBy = null) {
+        const editedAt = new Date();
+        const message = await messageService.update(stored.id, {
+            message: { ...stored.message, content: text, previousContent: stored.message?.content },
+            editedAt
+        });
+
+        await this.triggerWebhooks(EVENTS.MESSAGE_EDITED, {
+            messageId: stored.messageId,
+            chatId: stored.chatId,
+            fromMe,
+            editedBy,
+            text,
+            previousText: stored.message?.content || null,
+            editedAt: editedAt.toISOString(),
+            message
+        });
+
+        logger.info(`✏️ Message ${stored.messageId} of ${this.instanceData.phone} edited`);
+        return message;
+    }
+
+    /**
+     * Apply an edit or a deletion for everyone made by a contact to the stored original message
+     * @param {Object} message - Raw Baileys message
+     * @param {Object} normalized - Normalized message
+     */
+    async handleIncomingProtocolMessage(message, normalized) {
+        const { content } = messageNormalizer.unwrapContainers(message.message);
+        const protocol = content.protocolMessage;
+        const originalId = protocol?.key?.id;
+        if (!originalId) return;
+
+        const isRevoke = protocol.type === PROTOCOL_REVOKE || protocol.type === 'REVOKE';
+        if (!isRevoke && !normalized.isEdited) return;
+
+        const stored = await messageService.findByMessageId(this.instanceData.id, originalId);
+        if (!stored) return;
+
+        if (isRevoke) {
+            if (!stored.revokedAt) await this.recordRevocation(stored, false, normalized.sender);
+        } else {
+            await this.recordEdit(stored, normalized.text, false, normalized.sender);
+        }
+    }
+
+    /**
+     * Delete a message sent by this instance for everyone
+     * @param {string} messageId - WhatsApp message ID
+     * @returns {Promise<Object>} Updated message record
+     */
+    async revokeMessage(messageId) {
+        return await this.withSendLogging('delete', async () => {
+            if (!this.isConnected) {
+                throw new Error(`WhatsApp instance ${this.instanceData.phone} not connected`);
+            }
+
+            const { stored, key } = await this.getStoredMessage(messageId);
+
+            if (!key.fromMe) {
+                const error = new Error('Only messages sent by this instance can be deleted for everyone');
+                error.code = 'MESSAGE_NOT_EDITABLE';
+                throw error;
+            }
+
+            if (stored.revokedAt) return stored;
+
+            await this.sock.sendMessage(key.remoteJid, { delete: key });
+
+            return await this.recordRevocation(stored, true);
+        });
+    }
+
+    /**
+     * Mark a stored message as deleted for everyone and notify webhooks with message.revoked
+     * @param {Object} stored - Stored message
+     * @param {boolean} fromMe - Whether this instance deleted it
+     * @param {string} [revokedBy] - JID of the member who deleted it
+     * @returns {Promise<Object>} Updated message record
+     */
+    async recordRevocation(stored, fromMe, revokedBy = null) {
+        const revokedAt = new Date();
+        const message = await messageService.update(stored.id, { revokedAt });
+
+        await this.triggerWebhooks(EVENTS.MESSAGE_REVOKED, {
+            messageId: stored.messageId,
+            chatId: stored.chatId,
+            fromMe,
+            revokedBy,
+            revokedAt: revokedAt.toISOString(),
+            message
+        });
+
+        logger.info(`🗑️ Message ${stored.messageId} of ${this.instanceData.phone} deleted for everyone`);
+        return message;
+    }
+
+    /**
+     * Request a code to link the instance's phone number without scanning the QR code
+     * The code is entered on the phone under Linked devices > Link with phone number instead
+     * @returns {Promise<string>} 8-character pairing code
+     * @throws {Error} With code NOT_LINKABLE when the instance is already linked or not waiting to be linked
+     */
+    async requestPairingCode() {
+        if (this.isConnected || this.sock?.authState?.creds?.registered) {
+            const error = new Error(`WhatsApp instance ${this.instanceData.phone} is already linked`);
+            error.code = 'NOT_LINKABLE';
+            throw error;
+        }
+
+        // The QR code shows that the connection is open and waiting for a login
+        if (!this.sock || this.connectionStatus !== 'qr_ready') {
+            const error = new Error(`WhatsApp instance ${this.instanceData.phone} is not waiting to be linked. Current status: ${this.connectionStatus}`);
+            error.code = 'NOT_LINKABLE';
+            throw error;
+        }
+
+        this.pairingCode = await this.sock.requestPairingCode(this.instanceData.phone.replace(/\D/g, ''));
+
+        logger.info(`🔢 Pairing code requested for ${this.instanceData.phone}`);
+
+        await instanceLogService.create({
+            instanceId: this.instanceData.id,
+            level: 'info',
+            message: 'Pairing code requested'
+        });
+
+        await this.triggerWebhooks(EVENTS.CONNECTION_UPDATE, {
+            status: 'pairing_code_ready',
+            pairingCode: this.pairingCode,
+            instance: this.instanceData,
+            timestamp: new Date().toISOString(),
+            message: 'Pairing code generated. Enter it on the phone under Linked devices > Link with phone number.'
+        });
+
+        return this.pairingCode;
+    }
+
     async close() {
         // Close connection without logging out (for restart)
         if (this.sock && this.sock.ws) {
@@ -839,7 +1636,10 @@ class WhatsAppInstance {
             connectionStatus: this.connectionStatus,
             qrCode: this.qrCode,
             qrCodeImage: qrCodeImage,
+            pairingCode: this.pairingCode,
             reconnectAttempts: this.reconnectAttempts,
+            webhookDispatch: webhookDispatcher.getStats(this.instanceData.id),
+            outboundQueue: await outboundQueue.getStats(this.instanceData.id),
             timestamp: new Date().toISOString()
         };
     }
@@ -937,6 +1737,16 @@ class WhatsAppInstanceManager {
         return this.instances.get(phone);
     }
 
+    getInstanceById(instanceId) {
+        return [...this.instances.values()].find(instance => instance.instanceData.id === instanceId);
+    }
+
+    getConnectedInstanceIds() {
+        return [...this.instances.values()]
+            .filter(instance => instance.isConnected)
+            .map(instance => instance.instanceData.id);
+    }
+
     async getAllInstances() {
         const statuses = await Promise.all(
             Array.from(this.instances.values()).map(instance => instance.getStatus())
@@ -965,28 +1775,76 @@ class WhatsAppInstanceManager {
         } : null;
     }
 
-    async sendMessage(phone, recipientNumber, message) {
+    async sendMessage(phone, recipientNumber, message, options = {}) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.sendMessage(recipientNumber, message, options);
+    }
+
+    async sendGroupMessage(phone, groupId, message, options = {}) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.sendGroupMessage(groupId, message, options);
+    }
+
+    async sendMediaMessage(phone, recipientNumber, mediaData, options = {}) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.sendMediaMessage(recipientNumber, mediaData, options);
+    }
+
+    async sendLocationMessage(phone, recipient, content, options = {}) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.sendLocationMessage(recipient, content, options);
+    }
+
+    async sendContactMessage(phone, recipient, content, options = {}) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.sendContactMessage(recipient, content, options);
+    }
+
+    async sendPollMessage(phone, recipient, content, options = {}) {
+        const instance = this.instances.get(phone);
+        if (!instance) {
+            throw new Error(`WhatsApp instance ${phone} not found`);
+        }
+        return await instance.sendPollMessage(recipient, content, options);
+    }
+
+    async sendReaction(phone, recipient, messageId, emoji) {
         const instance = this.instances.get(phone);
         if (!instance) {
             throw new Error(`WhatsApp instance ${phone} not found`);
         }
-        return await instance.sendMessage(recipientNumber, message);
+        return await instance.sendReaction(recipient, messageId, emoji);
     }
 
-    async sendGroupMessage(phone, groupId, message) {
+    async editMessage(phone, messageId, text) {
         const instance = this.instances.get(phone);
         if (!instance) {
             throw new Error(`WhatsApp instance ${phone} not found`);
         }
-        return await instance.sendGroupMessage(groupId, message);
+        return await instance.editMessage(messageId, text);
     }
 
-    async sendMediaMessage(phone, recipientNumber, mediaData) {
+    async revokeMessage(phone, messageId) {
         const instance = this.instances.get(phone);
         if (!instance) {
             throw new Error(`WhatsApp instance ${phone} not found`);
         }
-        return await instance.sendMediaMessage(recipientNumber, mediaData);
+        return await instance.revokeMessage(messageId);
     }
 
     async restartInstance(phone) {
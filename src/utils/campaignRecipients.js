@@ -0,0 +1,111 @@
+/**
+ * Campaign Recipients
+ * Recipient lists of broadcast campaigns (JSON rows or CSV) and their message templates
+ */
+
+const { parse } = require('csv-parse/sync');
+const phoneNumber = require('./phoneNumber');
+
+// {{name}} or {{ name }}, replaced with the recipient's variable of that name
+const PLACEHOLDER = /{{\s*([\w.-]+)\s*}}/g;
+
+// Column holding the recipient, the first one present is used
+const RECIPIENT_COLUMNS = ['to', 'phone', 'number'];
+
+const campaignRecipients = {
+    /**
+     * List the variables a template uses
+     * @param {string} template - Message template
+     * @returns {string[]} Variable names, each once
+     */
+    placeholders: (template) => [...new Set([...String(template).matchAll(PLACEHOLDER)].map(match => match[1]))],
+
+    /**
+     * Render a template for a recipient, unknown variables become empty
+     * @param {string} template - Message template
+     * @param {Object} variables - Variables of the recipient
+     * @returns {string} Message text
+     */
+    render: (template, variables = {}) => String(template).replace(PLACEHOLDER, (match, name) => {
+        const value = variables[name];
+        return value === null || value === undefined ? '' : String(value);
+    }),
+
+    /**
+     * Parse a CSV recipient list, the first line holds the column names
+     * @param {string|Buffer} csv - CSV content
+     * @returns {{ rows?: Object[], error?: string }}
+     */
+    parseCsv: (csv) => {
+        try {
+            const rows = parse(csv, {
+                columns: header => header.map(column => column.trim()),
+                skip_empty_lines: true,
+                trim: true,
+                bom: true
+            });
+            return { rows };
+        } catch (error) {
+            return { error: `Invalid CSV: ${error.message}` };
+        }
+    },
+
+    /**
+     * Validate recipient rows against a template
+     * Every row needs a valid phone number or JID in "to", "phone" or "number" and a value for
+     * each template variable. Repeated recipients are sent to once.
+     * @param {Object[]} rows - Recipient rows, every column is a variable
+     * @param {string} template - Message template
+     * @param {string|null} defaultCountryCode - Country code for national numbers
+     * @returns {{ recipients: Object[], errors: string[], duplicates: number }}
+     */
+    prepare: (rows, template, defaultCountryCode) => {
+        const required = campaignRecipients.placeholders(template);
+        const recipients = [];
+        const errors = [];
+        const seen = new Set();
+        let duplicates = 0;
+
+        rows.forEach((row, index) => {
+            const label = `Recipient ${index + 1}`;
+
+            if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                errors.push(`${label}: must be an object`);
+                return;
+            }
+
+            const column = RECIPIENT_COLUMNS.find(name => row[name] !== undefined && row[name] !== '');
+            if (!column) {
+                errors.push(`${label}: ${RECIPIENT_COLUMNS.join(', ')} is required`);
+                return;
+            }
+
+            const recipient = phoneNumber.normalize(String(row[column]), defaultCountryCode);
+            if (!recipient.valid) {
+                errors.push(`${label}: ${recipient.error}`);
+                return;
+            }
+
+            const variables = Object.fromEntries(
+                Object.entries(row).map(([name, value]) => [name, value === null || value === undefined ? '' : String(value)])
+            );
+            const missing = required.filter(name => variables[name] === undefined || variables[name] === '');
+            if (missing.length > 0) {
+                errors.push(`${label}: missing ${missing.join(', ')}`);
+                return;
+            }
+
+            if (seen.has(recipient.jid)) {
+                duplicates++;
+                return;
+            }
+
+            seen.add(recipient.jid);
+            recipients.push({ to: recipient.jid, variables });
+        });
+
+        return { recipients, errors, duplicates };
+    }
+};
+
+module.exports = campaignRecipients;
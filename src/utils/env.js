@@ -0,0 +1,20 @@
+/**
+ * Environment
+ * Reading typed settings from environment variables
+ */
+
+const env = {
+    /**
+     * Read an integer from the environment
+     * @param {string} name - Environment variable name
+     * @param {number} fallback - Value used when the variable is missing, invalid or below min
+     * @param {number} [min] - Smallest accepted value
+     * @returns {number}
+     */
+    readInt: (name, fallback, min = 0) => {
+        const value = parseInt(process.env[name], 10);
+        return Number.isFinite(value) && value >= min ? value : fallback;
+    }
+};
+
+module.exports = env;
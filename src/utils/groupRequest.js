@@ -0,0 +1,63 @@
+/**
+ * Group Request
+ * Reads group IDs and participants of group requests, and answers failed group operations
+ */
+
+const phoneNumber = require('./phoneNumber');
+
+// Statuses of WhatsApp errors passed on to the client, "not-authorized" (401) means the instance is not an admin
+const PASSED_ON_STATUSES = { 400: 400, 401: 403, 403: 403, 404: 404, 406: 400, 409: 409 };
+
+/**
+ * Read the group JID of the request, "120363042123456789" and "120363042123456789@g.us" are accepted
+ * @param {string} groupId - Group ID from the path
+ * @returns {string|null} Group JID, or null when invalid
+ */
+const readGroupId = (groupId) => {
+    const result = phoneNumber.normalize(groupId.includes('@') ? groupId : `${groupId}@g.us`);
+    return result.valid && result.kind === 'group' ? result.jid : null;
+};
+
+/**
+ * Read a list of participants as user JIDs
+ * @param {Object} instance - WhatsApp instance, for the country code of national numbers
+ * @param {*} participants - Phone numbers or JIDs
+ * @returns {{ jids?: string[], error?: string }}
+ */
+const readParticipants = (instance, participants) => {
+    if (!Array.isArray(participants) || participants.length === 0) {
+        return { error: 'participants must be a non-empty array of phone numbers or JIDs' };
+    }
+
+    const jids = [];
+    for (const participant of participants) {
+        const result = phoneNumber.normalize(participant, instance.getDefaultCountryCode());
+        if (!result.valid) return { error: `Invalid participant ${participant}: ${result.error}` };
+        if (result.kind !== 'user' && result.kind !== 'lid') return { error: `Invalid participant ${participant}: not a user` };
+        jids.push(result.jid);
+    }
+
+    return { jids: [...new Set(jids)] };
+};
+
+/**
+ * Respond to a failed group operation
+ * Errors WhatsApp returns for the request, such as a missing admin right or an unknown group, keep their status
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the operation
+ * @param {string} action - What failed, e.g. "Failed to create group"
+ */
+const groupErrorResponse = (res, error, action) => {
+    const status = PASSED_ON_STATUSES[error.output?.statusCode] || 500;
+    res.status(status).json({
+        success: false,
+        error: action,
+        message: error.message
+    });
+};
+
+module.exports = {
+    readGroupId,
+    readParticipants,
+    groupErrorResponse
+};
@@ -0,0 +1,82 @@
+/**
+ * Media Input
+ * Reads the media of send requests: multipart uploads, base64 payloads and remote URLs
+ */
+
+const mediaConfig = require('../config/media.config');
+const mimeSniffer = require('./mimeSniffer');
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+/**
+ * Read the media to send from a request
+ * The file may be a multipart upload (field "file"), base64 or a data URI in media.base64, or a remote media.url.
+ * Uploaded and base64 files are size checked and their MIME type is detected from their content.
+ * @param {Object} req - Express request object
+ * @returns {{ media?: Object, status?: number, error?: string, message?: string }}
+ */
+const resolve = (req) => {
+    const body = req.body || {};
+    const fields = typeof body.media === 'object' && body.media !== null
+        ? body.media
+        : { type: body.type, url: body.url, base64: body.base64, caption: body.caption, filename: body.filename, ptt: body.ptt };
+    const type = (fields.type || '').toLowerCase();
+
+    if (!type) {
+        return { status: 400, error: 'Invalid media format', message: 'media.type is required' };
+    }
+
+    if (!MEDIA_TYPES.includes(type)) {
+        return { status: 400, error: 'Invalid media type', message: `Unsupported media type: ${fields.type}. Supported types: ${MEDIA_TYPES.join(', ')}` };
+    }
+
+    const media = {
+        type,
+        caption: fields.caption,
+        filename: fields.filename,
+        // Form fields arrive as strings
+        ptt: type === 'audio' && (fields.ptt === true || fields.ptt === 'true')
+    };
+    let buffer = null;
+    let declaredMimetype = null;
+
+    if (req.file) {
+        buffer = req.file.buffer;
+        declaredMimetype = req.file.mimetype;
+        media.filename = media.filename || req.file.originalname;
+        media.source = 'upload';
+    } else if (fields.base64) {
+        const dataUri = String(fields.base64).match(/^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s);
+        const encoded = (dataUri ? dataUri[2] : String(fields.base64)).replace(/\s/g, '');
+
+        if (!/^[A-Za-z0-9+/]*={0,2}$/.test(encoded) || encoded.length === 0) {
+            return { status: 400, error: 'Invalid media format', message: 'media.base64 is not valid base64' };
+        }
+
+        buffer = Buffer.from(encoded, 'base64');
+        declaredMimetype = dataUri ? dataUri[1] : null;
+        media.source = 'base64';
+    } else if (fields.url) {
+        return { media: { ...media, url: fields.url, source: 'url' } };
+    } else {
+        return { status: 400, error: 'Invalid media format', message: 'Provide a file upload, media.base64 or media.url' };
+    }
+
+    const { maxUploadBytes } = mediaConfig.getMediaConfig();
+    if (buffer.length > maxUploadBytes) {
+        return { status: 413, error: 'File too large', message: `Media files are limited to ${maxUploadBytes} bytes` };
+    }
+
+    // Trust the file content over the declared type
+    const mimetype = mimeSniffer.sniff(buffer, media.filename) || declaredMimetype || 'application/octet-stream';
+    if (!mimeSniffer.isAllowedFor(type, mimetype)) {
+        return { status: 415, error: 'Unsupported media content', message: `File content is ${mimetype}, which cannot be sent as ${type}` };
+    }
+
+    return { media: { ...media, buffer, mimetype, size: buffer.length } };
+};
+
+module.exports = {
+    MEDIA_TYPES,
+    resolve
+};
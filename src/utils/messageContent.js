@@ -0,0 +1,138 @@
+/**
+ * Message Content
+ * Validates send requests for location, contact and poll messages and builds the Baileys content for them
+ */
+
+const MAX_POLL_OPTIONS = 12;
+
+const isNumberBetween = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+/**
+ * Escape a vCard property value
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+const escapeVCard = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+
+/**
+ * Build a vCard 3.0 for a contact
+ * The waid parameter lets WhatsApp show the "Message" and "Add contact" buttons
+ * @param {Object} contact - { name, phone, organization?, email? }
+ * @returns {string}
+ */
+const toVCard = (contact) => {
+    const phone = String(contact.phone).replace(/[^\d]/g, '');
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${escapeVCard(contact.name)}`
+    ];
+
+    if (contact.organization) lines.push(`ORG:${escapeVCard(contact.organization)}`);
+    if (contact.email) lines.push(`EMAIL;type=INTERNET:${escapeVCard(contact.email)}`);
+    lines.push(`TEL;type=CELL;type=VOICE;waid=${phone}:+${phone}`);
+    lines.push('END:VCARD');
+
+    return lines.join('\n');
+};
+
+const messageContent = {
+    MAX_POLL_OPTIONS,
+
+    toVCard,
+
+    /**
+     * Build a location pin
+     * @param {Object} location - { latitude, longitude, name?, address? }
+     * @returns {{ errors: string[], content?: Object }}
+     */
+    location: (location) => {
+        if (!location || typeof location !== 'object') return { errors: ['location must be an object'] };
+
+        const errors = [];
+        if (!isNumberBetween(location.latitude, -90, 90)) errors.push('location.latitude must be a number between -90 and 90');
+        if (!isNumberBetween(location.longitude, -180, 180)) errors.push('location.longitude must be a number between -180 and 180');
+        if (errors.length) return { errors };
+
+        return {
+            errors,
+            content: {
+                location: {
+                    degreesLatitude: location.latitude,
+                    degreesLongitude: location.longitude,
+                    name: location.name || undefined,
+                    address: location.address || undefined
+                }
+            }
+        };
+    },
+
+    /**
+     * Build a contact card, or a contact list for several contacts
+     * @param {Object[]} contacts - [{ name, phone, organization?, email? }]
+     * @returns {{ errors: string[], content?: Object }}
+     */
+    contacts: (contacts) => {
+        if (!Array.isArray(contacts) || contacts.length === 0) return { errors: ['contacts must be a non-empty array'] };
+
+        const errors = [];
+        contacts.forEach((contact, index) => {
+            if (typeof contact?.name !== 'string' || contact.name.trim() === '') {
+                errors.push(`contacts[${index}].name is required`);
+            }
+            if (!/\d{5,}/.test(String(contact?.phone || '').replace(/[^\d]/g, ''))) {
+                errors.push(`contacts[${index}].phone must be a phone number`);
+            }
+        });
+        if (errors.length) return { errors };
+
+        return {
+            errors,
+            content: {
+                contacts: {
+                    displayName: contacts.length === 1 ? contacts[0].name : `${contacts.length} contacts`,
+                    contacts: contacts.map(contact => ({ displayName: contact.name, vcard: toVCard(contact) }))
+                }
+            }
+        };
+    },
+
+    /**
+     * Build a poll
+     * @param {Object} poll - { name, options, selectableCount? } (selectableCount 0 = any number of options)
+     * @returns {{ errors: string[], content?: Object }}
+     */
+    poll: (poll) => {
+        if (!poll || typeof poll !== 'object') return { errors: ['poll must be an object'] };
+
+        const errors = [];
+        const options = Array.isArray(poll.options) ? poll.options : [];
+        const selectableCount = poll.selectableCount ?? 1;
+
+        if (typeof poll.name !== 'string' || poll.name.trim() === '') errors.push('poll.name is required');
+        if (options.length < 2 || options.length > MAX_POLL_OPTIONS) {
+            errors.push(`poll.options must have between 2 and ${MAX_POLL_OPTIONS} options`);
+        } else if (options.some(option => typeof option !== 'string' || option.trim() === '')) {
+            errors.push('poll.options must be non-empty strings');
+        } else if (new Set(options).size !== options.length) {
+            errors.push('poll.options must be unique');
+        }
+        if (!Number.isInteger(selectableCount) || selectableCount < 0 || selectableCount > options.length) {
+            errors.push('poll.selectableCount must be between 0 and the number of options');
+        }
+        if (errors.length) return { errors };
+
+        return {
+            errors,
+            content: {
+                poll: {
+                    name: poll.name,
+                    values: options,
+                    selectableCount
+                }
+            }
+        };
+    }
+};
+
+module.exports = messageContent;
@@ -0,0 +1,398 @@
+/**
+ * Message Normalizer
+ * Maps Baileys messages to one JSON shape used for storage, webhooks and plugins:
+ *
+ * {
+ *   messageId, chatId, chatType,        // "private", "group", "broadcast" or "status"
+ *   sender, senderName, fromMe, timestamp,
+ *   type,                               // one of MESSAGE_TYPES
+ *   text,                               // text, caption, or a short description of the content
+ *   media,                              // { mimetype, fileName, fileSize, seconds, width, height, ptt, animated } or null
+ *   location,                           // { latitude, longitude, name, address, url, live } or null
+ *   contacts,                           // [{ displayName, vcard }] or null
+ *   poll,                               // { name, options, selectableCount } or null
+ *   reaction,                           // { emoji, messageId } or null (empty emoji = reaction removed)
+ *   reply,                              // { kind, id, text } for button, list and template replies, or null
+ *   quoted,                             // { messageId, participant, type, text } or null
+ *   mentions,                           // JIDs mentioned in the message
+ *   isForwarded, isEphemeral, isViewOnce, isEdited
+ * }
+ */
+
+const MESSAGE_TYPES = {
+    TEXT: 'text',
+    IMAGE: 'image',
+    VIDEO: 'video',
+    AUDIO: 'audio',
+    DOCUMENT: 'document',
+    STICKER: 'sticker',
+    LOCATION: 'location',
+    LIVE_LOCATION: 'live_location',
+    CONTACT: 'contact',
+    POLL: 'poll',
+    POLL_VOTE: 'poll_vote',
+    REACTION: 'reaction',
+    BUTTON_REPLY: 'button_reply',
+    LIST_REPLY: 'list_reply',
+    TEMPLATE_REPLY: 'template_reply',
+    INTERACTIVE_REPLY: 'interactive_reply',
+    PROTOCOL: 'protocol',
+    UNKNOWN: 'unknown'
+};
+
+// Containers whose inner "message" holds the actual content
+const WRAPPERS = {
+    ephemeralMessage: 'isEphemeral',
+    viewOnceMessage: 'isViewOnce',
+    viewOnceMessageV2: 'isViewOnce',
+    viewOnceMessageV2Extension: 'isViewOnce',
+    documentWithCaptionMessage: null,
+    editedMessage: 'isEdited'
+};
+
+// Content keys that never carry the message itself
+const IGNORED_KEYS = ['messageContextInfo', 'senderKeyDistributionMessage'];
+
+const MEDIA_TYPES = {
+    imageMessage: MESSAGE_TYPES.IMAGE,
+    videoMessage: MESSAGE_TYPES.VIDEO,
+    audioMessage: MESSAGE_TYPES.AUDIO,
+    documentMessage: MESSAGE_TYPES.DOCUMENT,
+    stickerMessage: MESSAGE_TYPES.STICKER
+};
+
+/**
+ * Convert Baileys Long values and numeric strings to numbers
+ * @param {*} value - Number, string or Long-like object
+ * @returns {number|null}
+ */
+const toNumber = (value) => {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string') return Number(value);
+    if (typeof value.toNumber === 'function') return value.toNumber();
+    if (typeof value === 'object' && ('low' in value || 'high' in value)) {
+        return (value.high || 0) * 0x100000000 + ((value.low || 0) >>> 0);
+    }
+    return null;
+};
+
+/**
+ * Remove wrapper containers and report which ones were found
+ * @param {Object} content - Baileys message content
+ * @returns {{ content: Object, flags: Object }}
+ */
+const unwrapContainers = (content) => {
+    const flags = { isEphemeral: false, isViewOnce: false, isEdited: false };
+    let current = content || {};
+
+    for (let depth = 0; depth < 5; depth++) {
+        const wrapper = Object.keys(WRAPPERS).find(key => current[key]?.message);
+        if (!wrapper) break;
+
+        if (WRAPPERS[wrapper]) flags[WRAPPERS[wrapper]] = true;
+        current = current[wrapper].message;
+    }
+
+    return { content: current, flags };
+};
+
+/**
+ * Remove wrapper containers and the protocol message of edits, reporting which ones were found
+ * @param {Object} content - Baileys message content
+ * @returns {{ content: Object, flags: Object }}
+ */
+const unwrap = (content) => {
+    const unwrapped = unwrapContainers(content);
+    const { flags } = unwrapped;
+    let current = unwrapped.content;
+
+    // Edits arrive as a protocol message carrying the new content
+    if (current.protocolMessage?.editedMessage) {
+        flags.isEdited = true;
+        current = current.protocolMessage.editedMessage;
+    }
+
+    return { content: current, flags };
+};
+
+/**
+ * Find the key of the content that holds the message
+ * @param {Object} content - Unwrapped message content
+ * @returns {string|undefined}
+ */
+const getContentKey = (content) =>
+    Object.keys(content).find(key => !IGNORED_KEYS.includes(key) && content[key] !== null && content[key] !== undefined);
+
+/**
+ * Get the chat type from a chat JID
+ * @param {string} chatId - Chat JID
+ * @returns {string}
+ */
+const getChatType = (chatId = '') => {
+    if (chatId === 'status@broadcast') return 'status';
+    if (chatId.endsWith('@g.us')) return 'group';
+    if (chatId.endsWith('@broadcast')) return 'broadcast';
+    return 'private';
+};
+
+/**
+ * Extract the text of a message content, used for quoted messages too
+ * @param {Object} content - Unwrapped message content
+ * @returns {string}
+ */
+const getText = (content) =>
+    content.conversation ||
+    content.extendedTextMessage?.text ||
+    content.imageMessage?.caption ||
+    content.videoMessage?.caption ||
+    content.documentMessage?.caption ||
+    '';
+
+const normalizeMedia = (media, contentKey) => ({
+    mimetype: media.mimetype || null,
+    fileName: media.fileName || null,
+    fileSize: toNumber(media.fileLength),
+    seconds: media.seconds ?? null,
+    width: media.width ?? null,
+    height: media.height ?? null,
+    ptt: contentKey === 'audioMessage' ? Boolean(media.ptt) : false,
+    animated: contentKey === 'stickerMessage' ? Boolean(media.isAnimated) : false
+});
+
+const normalizeLocation = (location, live) => ({
+    latitude: location.degreesLatitude ?? null,
+    longitude: location.degreesLongitude ?? null,
+    name: location.name || null,
+    address: location.address || null,
+    url: location.url || null,
+    live
+});
+
+/**
+ * Map the content of a message to its type and type specific fields
+ * @param {string} contentKey - Content key, e.g. "imageMessage"
+ * @param {Object} body - Content under that key
+ * @param {Object} content - Unwrapped message content
+ * @returns {Object} Type specific fields of the normalized message
+ */
+const normalizeContent = (contentKey, body, content) => {
+    if (MEDIA_TYPES[contentKey]) {
+        return {
+            type: MEDIA_TYPES[contentKey],
+            text: body.caption || '',
+            media: normalizeMedia(body, contentKey)
+        };
+    }
+
+    switch (contentKey) {
+        case 'conversation':
+        case 'extendedTextMessage':
+            return { type: MESSAGE_TYPES.TEXT, text: getText(content) };
+
+        case 'locationMessage':
+            return { type: MESSAGE_TYPES.LOCATION, text: body.name || body.address || '', location: normalizeLocation(body, false) };
+
+        case 'liveLocationMessage':
+            return { type: MESSAGE_TYPES.LIVE_LOCATION, text: body.caption || '', location: normalizeLocation(body, true) };
+
+        case 'contactMessage':
+            return {
+                type: MESSAGE_TYPES.CONTACT,
+                text: body.displayName || '',
+                contacts: [{ displayName: body.displayName || null, vcard: body.vcard || null }]
+            };
+
+        case 'contactsArrayMessage':
+            return {
+                type: MESSAGE_TYPES.CONTACT,
+                text: body.displayName || '',
+                contacts: (body.contacts || []).map(contact => ({
+                    displayName: contact.displayName || null,
+                    vcard: contact.vcard || null
+                }))
+            };
+
+        case 'pollCreationMessage':
+        case 'pollCreationMessageV2':
+        case 'pollCreationMessageV3':
+            return {
+                type: MESSAGE_TYPES.POLL,
+                text: body.name || '',
+                poll: {
+                    name: body.name || '',
+                    options: (body.options || []).map(option => option.optionName),
+                    selectableCount: body.selectableOptionsCount ?? 0
+                }
+            };
+
+        case 'pollUpdateMessage':
+            // Votes are encrypted, only the poll they belong to is known here
+            return {
+                type: MESSAGE_TYPES.POLL_VOTE,
+                text: '',
+                quoted: body.pollCreationMessageKey ? {
+                    messageId: body.pollCreationMessageKey.id,
+                    participant: body.pollCreationMessageKey.participant || null,
+                    type: MESSAGE_TYPES.POLL,
+                    text: ''
+                } : null
+            };
+
+        case 'reactionMessage':
+            return {
+                type: MESSAGE_TYPES.REACTION,
+                text: body.text || '',
+                reaction: { emoji: body.text || '', messageId: body.key?.id || null }
+            };
+
+        case 'buttonsResponseMessage':
+            return {
+                type: MESSAGE_TYPES.BUTTON_REPLY,
+                text: body.selectedDisplayText || '',
+                reply: { kind: 'button', id: body.selectedButtonId || null, text: body.selectedDisplayText || '' }
+            };
+
+        case 'listResponseMessage':
+            return {
+                type: MESSAGE_TYPES.LIST_REPLY,
+                text: body.title || '',
+                reply: { kind: 'list', id: body.singleSelectReply?.selectedRowId || null, text: body.title || '' }
+            };
+
+        case 'templateButtonReplyMessage':
+            return {
+                type: MESSAGE_TYPES.TEMPLATE_REPLY,
+                text: body.selectedDisplayText || '',
+                reply: { kind: 'template', id: body.selectedId || null, text: body.selectedDisplayText || '' }
+            };
+
+        case 'interactiveResponseMessage': {
+            let id = null;
+            try {
+                id = JSON.parse(body.nativeFlowResponseMessage?.paramsJson || '{}').id || null;
+            } catch (error) {
+                id = null;
+            }
+            return {
+                type: MESSAGE_TYPES.INTERACTIVE_REPLY,
+                text: body.body?.text || '',
+                reply: { kind: 'interactive', id, text: body.body?.text || '' }
+            };
+        }
+
+        case 'protocolMessage':
+            return { type: MESSAGE_TYPES.PROTOCOL, text: '' };
+
+        default:
+            return { type: MESSAGE_TYPES.UNKNOWN, text: '' };
+    }
+};
+
+/**
+ * Extract reply, mention and forwarding details from the content's context info
+ * @param {Object} body - Content under the content key
+ * @returns {Object}
+ */
+const normalizeContext = (body) => {
+    const contextInfo = body?.contextInfo;
+    if (!contextInfo) return { quoted: null, mentions: [], isForwarded: false };
+
+    let quoted = null;
+    if (contextInfo.stanzaId) {
+        const { content } = unwrap(contextInfo.quotedMessage);
+        const quotedKey = getContentKey(content);
+        quoted = {
+            messageId: contextInfo.stanzaId,
+            participant: contextInfo.participant || null,
+            type: quotedKey ? normalizeContent(quotedKey, content[quotedKey], content).type : MESSAGE_TYPES.UNKNOWN,
+            text: getText(content)
+        };
+    }
+
+    return {
+        quoted,
+        mentions: contextInfo.mentionedJid || [],
+        isForwarded: Boolean(contextInfo.isForwarded)
+    };
+};
+
+/**
+ * Short description used as stored content for messages without text
+ * @param {Object} normalized - Normalized message
+ * @returns {string}
+ */
+const describe = (normalized) => {
+    if (normalized.text) return normalized.text;
+    if (normalized.media) return normalized.media.fileName || `${normalized.type} message`;
+    return `${normalized.type} message`;
+};
+
+const messageNormalizer = {
+    MESSAGE_TYPES,
+
+    /**
+     * Normalize a Baileys message
+     * @param {Object} message - Baileys WAMessage
+     * @returns {Object} Normalized message
+     */
+    normalize: (message) => {
+        const key = message?.key || {};
+        const { content, flags } = unwrap(message?.message);
+        const contentKey = getContentKey(content);
+        const body = contentKey ? content[contentKey] : null;
+        const chatId = key.remoteJid || null;
+
+        const normalized = {
+            messageId: key.id || null,
+            chatId,
+            chatType: getChatType(chatId || ''),
+            sender: key.fromMe ? null : (key.participant || message?.participant || chatId),
+            senderName: message?.pushName || null,
+            fromMe: Boolean(key.fromMe),
+            timestamp: toNumber(message?.messageTimestamp),
+            type: MESSAGE_TYPES.UNKNOWN,
+            text: '',
+            media: null,
+            location: null,
+            contacts: null,
+            poll: null,
+            reaction: null,
+            reply: null,
+            quoted: null,
+            mentions: [],
+            isForwarded: false,
+            ...flags
+        };
+
+        if (!contentKey) return normalized;
+
+        const context = typeof body === 'object' ? normalizeContext(body) : {};
+        const fields = normalizeContent(contentKey, body, content);
+
+        return {
+            ...normalized,
+            ...context,
+            ...fields,
+            quoted: fields.quoted || context.quoted || null
+        };
+    },
+
+    /**
+     * Get a short text for a normalized message, e.g. for logs and the stored "content" field
+     * @param {Object} normalized - Normalized message
+     * @returns {string}
+     */
+    describe,
+
+    toNumber,
+
+    /**
+     * Remove wrapper containers such as ephemeralMessage and editedMessage, keeping protocol messages
+     * @param {Object} content - Baileys message content
+     * @returns {{ content: Object, flags: Object }}
+     */
+    unwrapContainers
+};
+
+module.exports = messageNormalizer;
@@ -0,0 +1,93 @@
+const path = require('path');
+
+/**
+ * Check whether a buffer contains the given bytes at an offset
+ * @param {Buffer} buffer - File content
+ * @param {number[]|string} signature - Bytes or ASCII string
+ * @param {number} [offset] - Position of the signature
+ * @returns {boolean}
+ */
+const hasBytes = (buffer, signature, offset = 0) => {
+    const bytes = typeof signature === 'string' ? Buffer.from(signature, 'ascii') : Buffer.from(signature);
+    if (buffer.length < offset + bytes.length) return false;
+    return buffer.subarray(offset, offset + bytes.length).equals(bytes);
+};
+
+// Office documents are ZIP files, told apart by their extension
+const ZIP_BASED = {
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    apk: 'application/vnd.android.package-archive'
+};
+
+// ISO base media brands (bytes 8-11 of an "ftyp" box)
+const FTYP_BRANDS = {
+    'M4A ': 'audio/mp4',
+    'M4B ': 'audio/mp4',
+    '3gp4': 'video/3gpp',
+    '3gp5': 'video/3gpp',
+    '3gp6': 'video/3gpp',
+    'qt  ': 'video/quicktime'
+};
+
+const MEDIA_CATEGORIES = {
+    image: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+    video: ['video/mp4', 'video/3gpp', 'video/quicktime'],
+    audio: ['audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/wav', 'audio/amr'],
+    // Converted to WebP before sending
+    sticker: ['image/webp', 'image/png', 'image/jpeg', 'image/gif']
+};
+
+const mimeSniffer = {
+    MEDIA_CATEGORIES,
+
+    /**
+     * Detect the MIME type of a file from its first bytes
+     * @param {Buffer} buffer - File content
+     * @param {string} [fileName] - Original file name, used to tell ZIP-based formats apart
+     * @returns {string|null} MIME type, or null if not recognised
+     */
+    sniff: (buffer, fileName) => {
+        if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+
+        if (hasBytes(buffer, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+        if (hasBytes(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+        if (hasBytes(buffer, 'GIF87a') || hasBytes(buffer, 'GIF89a')) return 'image/gif';
+        if (hasBytes(buffer, 'RIFF') && hasBytes(buffer, 'WEBP', 8)) return 'image/webp';
+        if (hasBytes(buffer, 'RIFF') && hasBytes(buffer, 'WAVE', 8)) return 'audio/wav';
+        if (hasBytes(buffer, '%PDF-')) return 'application/pdf';
+        if (hasBytes(buffer, 'OggS')) return 'audio/ogg';
+        if (hasBytes(buffer, '#!AMR')) return 'audio/amr';
+        if (hasBytes(buffer, 'ID3')) return 'audio/mpeg';
+        if (buffer[0] === 0xFF && (buffer[1] & 0xF6) === 0xF0) return 'audio/aac';
+        if (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0) return 'audio/mpeg';
+
+        if (hasBytes(buffer, 'ftyp', 4)) {
+            const brand = buffer.subarray(8, 12).toString('ascii');
+            return FTYP_BRANDS[brand] || 'video/mp4';
+        }
+
+        if (hasBytes(buffer, [0x50, 0x4B, 0x03, 0x04])) {
+            const extension = path.extname(fileName || '').slice(1).toLowerCase();
+            return ZIP_BASED[extension] || 'application/zip';
+        }
+
+        return null;
+    },
+
+    /**
+     * Check whether a MIME type can be sent as the given media type
+     * Documents accept any file
+     * @param {string} mediaType - "image", "video", "audio" or "document"
+     * @param {string} mimetype - Detected MIME type
+     * @returns {boolean}
+     */
+    isAllowedFor: (mediaType, mimetype) => {
+        const allowed = MEDIA_CATEGORIES[mediaType];
+        if (!allowed) return true;
+        return allowed.includes((mimetype || '').split(';')[0].trim());
+    }
+};
+
+module.exports = mimeSniffer;
@@ -0,0 +1,93 @@
+const PLACEHOLDER = /{{\s*([\w.[\]-]+)\s*}}/g;
+const EXACT_PLACEHOLDER = /^{{\s*([\w.[\]-]+)\s*}}$/;
+
+/**
+ * Resolve a dotted path such as "message.text" or "data.message.key.id"
+ * @param {Object} context - Values available to the template
+ * @param {string} path - Dotted path, array indexes may be written as items.0 or items[0]
+ * @returns {*} Value at the path, or undefined
+ */
+const resolve = (context, path) =>
+    path
+        .replace(/\[(\d+)\]/g, '.$1')
+        .split('.')
+        .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+
+const toText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+const payloadTemplate = {
+    /**
+     * Render a JSON template
+     * A string that is only a placeholder keeps the type of the value ("{{data}}" stays an object),
+     * placeholders inside longer strings are replaced with text
+     * @param {*} template - Template (object, array or string)
+     * @param {Object} context - Values available to the template
+     * @returns {*} Rendered payload
+     */
+    render: (template, context) => {
+        if (typeof template === 'string') {
+            const exact = template.match(EXACT_PLACEHOLDER);
+            if (exact) {
+                const value = resolve(context, exact[1]);
+                return value === undefined ? null : value;
+            }
+            return template.replace(PLACEHOLDER, (match, path) => toText(resolve(context, path)));
+        }
+
+        if (Array.isArray(template)) {
+            return template.map(item => payloadTemplate.render(item, context));
+        }
+
+        if (template && typeof template === 'object') {
+            return Object.fromEntries(
+                Object.entries(template).map(([key, value]) => [key, payloadTemplate.render(value, context)])
+            );
+        }
+
+        return template;
+    },
+
+    /**
+     * Validate a payload template before it is saved on a webhook
+     * @param {*} template - Template
+     * @returns {string[]} Validation errors, empty when valid
+     */
+    validate: (template) => {
+        if (template === null || template === undefined) return [];
+        if (typeof template !== 'object') return ['payloadTemplate must be a JSON object or array'];
+        return [];
+    },
+
+    /**
+     * Validate custom headers before they are saved on a webhook
+     * Headers used for delivery IDs and signatures cannot be overridden
+     * @param {Object} headers - Header names and values
+     * @param {string[]} reserved - Header names that cannot be set
+     * @returns {string[]} Validation errors, empty when valid
+     */
+    validateHeaders: (headers, reserved = []) => {
+        if (headers === null || headers === undefined) return [];
+        if (typeof headers !== 'object' || Array.isArray(headers)) return ['headers must be an object'];
+
+        const errors = [];
+        const reservedNames = reserved.map(name => name.toLowerCase());
+
+        for (const [name, value] of Object.entries(headers)) {
+            if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+                errors.push(`Invalid header name: ${name}`);
+            } else if (reservedNames.includes(name.toLowerCase())) {
+                errors.push(`Header ${name} is set by the server and cannot be overridden`);
+            } else if (typeof value !== 'string') {
+                errors.push(`Header ${name} must have a string value`);
+            }
+        }
+
+        return errors;
+    }
+};
+
+module.exports = payloadTemplate;
@@ -0,0 +1,117 @@
+/**
+ * Phone Number
+ * Turns phone numbers and JIDs given to the API into the chat JIDs Baileys sends to:
+ *
+ *   +1 415 555 0123          -> 14155550123@s.whatsapp.net   (E.164)
+ *   0014155550123            -> 14155550123@s.whatsapp.net   (international prefix)
+ *   0812-3456-789            -> 628123456789@s.whatsapp.net  (national, with country code 62)
+ *   628123456789             -> 628123456789@s.whatsapp.net  (digits are taken as country code + number)
+ *   628123456789@c.us        -> 628123456789@s.whatsapp.net
+ *   628123456789:12@s.whatsapp.net -> 628123456789@s.whatsapp.net (device suffix removed)
+ *   123456789012345@lid, 120363042123456789@g.us, status@broadcast -> unchanged
+ */
+
+const COUNTRY_CODE_PATTERN = /^[1-9]\d{0,2}$/;
+
+// E.164 allows at most 15 digits, the shortest numbers in use have 7
+const MIN_DIGITS = 7;
+const MAX_DIGITS = 15;
+
+const JID_KINDS = {
+    's.whatsapp.net': 'user',
+    'c.us': 'user',
+    lid: 'lid',
+    'g.us': 'group',
+    broadcast: 'broadcast',
+    newsletter: 'newsletter'
+};
+
+const invalid = (error) => ({ valid: false, error });
+
+/**
+ * Normalize a JID, keeping the server and dropping device suffixes
+ * @param {string} input - JID
+ * @returns {Object} Normalization result
+ */
+const normalizeJid = (input) => {
+    const [user, server] = input.split('@');
+    const kind = JID_KINDS[server];
+
+    if (!kind) return invalid(`Unsupported JID server: ${server}`);
+
+    const id = user.split(':')[0];
+
+    if (kind === 'group' && !/^\d+(-\d+)?$/.test(id)) return invalid(`Invalid group JID: ${input}`);
+    if ((kind === 'user' || kind === 'lid') && !/^\d+$/.test(id)) return invalid(`Invalid ${kind === 'lid' ? 'LID' : 'user JID'}: ${input}`);
+    if (!id) return invalid(`Invalid JID: ${input}`);
+
+    return {
+        valid: true,
+        kind,
+        number: kind === 'user' ? id : null,
+        jid: `${id}@${server === 'c.us' ? 's.whatsapp.net' : server}`
+    };
+};
+
+const phoneNumber = {
+    /**
+     * Check a country code such as "62" or "1"
+     * @param {string} countryCode - Country code digits
+     * @returns {boolean}
+     */
+    isValidCountryCode: (countryCode) => COUNTRY_CODE_PATTERN.test(String(countryCode ?? '')),
+
+    /**
+     * Normalize a phone number or JID
+     * @param {string} input - Phone number in E.164 or national format, or a JID
+     * @param {string|null} [defaultCountryCode] - Country code for national numbers starting with 0
+     * @returns {{ valid: boolean, jid?: string, number?: string|null, kind?: string, error?: string }}
+     */
+    normalize: (input, defaultCountryCode = null) => {
+        if (typeof input !== 'string' && typeof input !== 'number') return invalid('Recipient must be a phone number or JID');
+
+        const value = String(input).trim();
+        if (!value) return invalid('Recipient must be a phone number or JID');
+
+        if (value.includes('@')) return normalizeJid(value);
+
+        if (!/^\+?[\d\s().-]+$/.test(value)) {
+            return invalid(`Invalid phone number: ${value}. Only digits, spaces, dashes, dots, parentheses and a leading + are allowed`);
+        }
+
+        let digits = value.replace(/[^\d]/g, '');
+
+        if (value.startsWith('+')) {
+            // Already E.164
+        } else if (digits.startsWith('00')) {
+            digits = digits.substring(2);
+        } else if (digits.startsWith('0')) {
+            if (!defaultCountryCode) {
+                return invalid(`Phone number ${value} has no country code. Use E.164 format (e.g. +14155550123) or configure a default country code`);
+            }
+            digits = defaultCountryCode + digits.substring(1);
+        }
+
+        if (digits.startsWith('0')) return invalid(`Invalid phone number: ${value}. Country codes never start with 0`);
+        if (digits.length < MIN_DIGITS || digits.length > MAX_DIGITS) {
+            return invalid(`Invalid phone number: ${value}. Numbers have ${MIN_DIGITS} to ${MAX_DIGITS} digits including the country code`);
+        }
+
+        return { valid: true, kind: 'user', number: digits, jid: `${digits}@s.whatsapp.net` };
+    },
+
+    /**
+     * Get the chat JID of a phone number or JID
+     * @param {string} input - Phone number or JID
+     * @param {string|null} [defaultCountryCode] - Country code for national numbers
+     * @returns {string} Chat JID
+     * @throws {Error} When the input is not a valid phone number or JID
+     */
+    toJid: (input, defaultCountryCode = null) => {
+        const result = phoneNumber.normalize(input, defaultCountryCode);
+        if (!result.valid) throw new Error(result.error);
+        return result.jid;
+    }
+};
+
+module.exports = phoneNumber;
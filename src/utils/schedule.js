@@ -0,0 +1,105 @@
+/**
+ * Schedule
+ * Times of scheduled messages: one-off timestamps and cron expressions, both in an IANA time zone
+ */
+
+const { CronExpressionParser } = require('cron-parser');
+
+// ISO date-time without a "Z" or "+07:00" offset, read as wall-clock time in the schedule's time zone
+const NAIVE_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?$/;
+
+/**
+ * Get the UTC offset of a time zone at an instant
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA time zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const getOffset = (date, timezone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+const schedule = {
+    /**
+     * Check an IANA time zone name such as "Asia/Jakarta"
+     * @param {string} timezone - Time zone
+     * @returns {boolean}
+     */
+    isValidTimezone: (timezone) => {
+        if (typeof timezone !== 'string' || timezone === '') return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Parse the time of a one-off message
+     * Timestamps with an offset are exact, timestamps without one are wall-clock time in the time zone
+     * @param {string} sendAt - ISO 8601 date-time
+     * @param {string} [timezone] - IANA time zone, defaults to UTC
+     * @returns {Date|null} Send time, or null when invalid
+     */
+    parseSendAt: (sendAt, timezone = 'UTC') => {
+        if (typeof sendAt !== 'string') return null;
+
+        if (NAIVE_DATE_TIME.test(sendAt)) {
+            const wallClock = new Date(`${sendAt}Z`);
+            if (Number.isNaN(wallClock.getTime())) return null;
+
+            // The offset depends on the instant itself around DST changes, so settle it twice
+            let utc = new Date(wallClock.getTime() - getOffset(wallClock, timezone));
+            utc = new Date(wallClock.getTime() - getOffset(utc, timezone));
+            return utc;
+        }
+
+        const date = new Date(sendAt);
+        return Number.isNaN(date.getTime()) ? null : date;
+    },
+
+    /**
+     * Validate a cron expression
+     * @param {string} cron - Cron expression (5 fields, or 6 with seconds)
+     * @param {string} [timezone] - IANA time zone
+     * @returns {string|null} Error message, or null when valid
+     */
+    validateCron: (cron, timezone = 'UTC') => {
+        if (typeof cron !== 'string' || cron.trim() === '') return 'cron must be a non-empty string';
+        try {
+            CronExpressionParser.parse(cron, { tz: timezone }).next();
+            return null;
+        } catch (error) {
+            return `Invalid cron expression: ${error.message}`;
+        }
+    },
+
+    /**
+     * Get the next run of a cron expression after a date
+     * @param {string} cron - Cron expression
+     * @param {string} [timezone] - IANA time zone the expression is read in
+     * @param {Date} [after] - Runs at or before this date are skipped
+     * @returns {Date|null} Next run, or null when the expression has no more runs
+     */
+    getNextRun: (cron, timezone = 'UTC', after = new Date()) => {
+        try {
+            return CronExpressionParser.parse(cron, { currentDate: after, tz: timezone }).next().toDate();
+        } catch (error) {
+            return null;
+        }
+    }
+};
+
+module.exports = schedule;
@@ -0,0 +1,32 @@
+/**
+ * Sticker Converter
+ * WhatsApp stickers are 512x512 WebP images, other images are converted before sending
+ */
+
+const STICKER_SIZE = 512;
+
+const stickerConverter = {
+    STICKER_SIZE,
+
+    /**
+     * Convert an image to a WhatsApp sticker
+     * The image is fitted into 512x512 on a transparent background, animated GIFs stay animated
+     * @param {Buffer} buffer - Image content
+     * @param {string} mimetype - Detected MIME type of the image
+     * @returns {Promise<Buffer>} WebP image
+     */
+    toSticker: async (buffer, mimetype) => {
+        // Loaded on first use so the native module is only needed when stickers are sent
+        const sharp = require('sharp');
+
+        return await sharp(buffer, { animated: mimetype === 'image/gif' })
+            .resize(STICKER_SIZE, STICKER_SIZE, {
+                fit: 'contain',
+                background: { r: 0, g: 0, b: 0, alpha: 0 }
+            })
+            .webp({ quality: 80 })
+            .toBuffer();
+    }
+};
+
+module.exports = stickerConverter;
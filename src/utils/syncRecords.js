@@ -0,0 +1,83 @@
+/**
+ * Sync Records
+ * Maps Baileys contacts and chats to the fields of the Contact and Chat models
+ * Only fields present in the input are returned, so partial updates leave the other fields unchanged
+ */
+
+const { toNumber } = require('./messageNormalizer');
+
+// Chats that are not conversations
+const IGNORED_CHATS = ['status@broadcast'];
+
+// muteEndTime of a chat muted until unmuted
+const MUTED_FOREVER = new Date('9999-12-31T23:59:59.000Z');
+
+/**
+ * Copy the fields that are set
+ * @param {Object} fields - Field values, undefined ones are left out
+ * @returns {Object}
+ */
+const defined = (fields) => Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+
+/**
+ * Convert a time in seconds to a Date
+ * @param {*} seconds - Number, string or Long-like object
+ * @returns {Date|null|undefined} Undefined when not given, null when zero
+ */
+const toDate = (seconds) => {
+    if (seconds === undefined) return undefined;
+    const value = toNumber(seconds);
+    return value ? new Date(value * 1000) : null;
+};
+
+const syncRecords = {
+    /**
+     * Map a Baileys contact
+     * @param {Object} contact - { id, lid, name, notify, verifiedName, imgUrl }, all but id optional
+     * @returns {Object|null} Contact fields with jid, or null for group and broadcast JIDs
+     */
+    fromContact: (contact) => {
+        const jid = contact?.id;
+        if (!jid || !/@(s\.whatsapp\.net|lid)$/.test(jid)) return null;
+
+        return defined({
+            jid,
+            phoneNumber: jid.endsWith('@s.whatsapp.net') ? jid.split('@')[0].split(':')[0] : undefined,
+            name: contact.name,
+            notify: contact.notify,
+            verifiedName: contact.verifiedName,
+            // "changed" means the picture changed and its URL has to be looked up again
+            imgUrl: contact.imgUrl === 'changed' ? null : contact.imgUrl
+        });
+    },
+
+    /**
+     * Map a Baileys chat
+     * @param {Object} chat - { id, name, unreadCount, archived, pinned, muteEndTime, conversationTimestamp }
+     * @param {boolean} [isUpdate] - chats.update, where a positive unreadCount counts new messages
+     * @returns {Object|null} Chat fields with chatId, or null for chats that are not conversations
+     */
+    fromChat: (chat, isUpdate = false) => {
+        const chatId = chat?.id;
+        if (!chatId || IGNORED_CHATS.includes(chatId)) return null;
+
+        const unreadCount = chat.unreadCount === undefined || chat.unreadCount === null ? undefined : toNumber(chat.unreadCount);
+        const muteEndTime = chat.muteEndTime === undefined || chat.muteEndTime === null ? undefined : toNumber(chat.muteEndTime);
+
+        return defined({
+            chatId,
+            isGroup: chatId.endsWith('@g.us'),
+            name: chat.name ?? undefined,
+            unreadCount: isUpdate && unreadCount > 0 ? undefined : unreadCount,
+            unreadIncrement: isUpdate && unreadCount > 0 ? unreadCount : undefined,
+            archived: chat.archived ?? undefined,
+            pinned: chat.pinned === undefined || chat.pinned === null ? undefined : Boolean(toNumber(chat.pinned)),
+            mutedUntil: muteEndTime === undefined ? undefined : (muteEndTime < 0 ? MUTED_FOREVER : toDate(muteEndTime)),
+            lastMessageAt: chat.conversationTimestamp === undefined || chat.conversationTimestamp === null
+                ? undefined
+                : toDate(chat.conversationTimestamp)
+        });
+    }
+};
+
+module.exports = syncRecords;
@@ -0,0 +1,83 @@
+/**
+ * TTL Cache
+ * In-memory key/value cache whose entries expire after a fixed time
+ * The oldest entries are evicted first when the cache is full
+ */
+class TtlCache {
+    /**
+     * @param {Object} options
+     * @param {number} options.ttlMs - Time an entry stays valid
+     * @param {number} [options.maxEntries] - Largest number of entries kept
+     */
+    constructor({ ttlMs, maxEntries = 10000 }) {
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    /**
+     * Get a value that has not expired
+     * @param {string} key - Cache key
+     * @returns {*} Cached value, or undefined
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        return entry.value;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Cache key
+     * @param {*} value - Value
+     * @param {number} [ttlMs] - Time the entry stays valid, defaults to the cache TTL
+     */
+    set(key, value, ttlMs = this.ttlMs) {
+        this.entries.delete(key);
+
+        if (this.entries.size >= this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+
+    /**
+     * Get all values that have not expired
+     * @returns {Array}
+     */
+    values() {
+        const now = Date.now();
+        const values = [];
+
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+                continue;
+            }
+            values.push(entry.value);
+        }
+
+        return values;
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+module.exports = TtlCache;
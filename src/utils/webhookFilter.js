@@ -0,0 +1,187 @@
+const RE2 = require('re2');
+const messageNormalizer = require('./messageNormalizer');
+
+const CHAT_TYPES = ['any', 'group', 'private'];
+
+// textPattern runs on every message. It is matched by RE2, whose run time grows linearly with the text,
+// so backreferences and lookarounds are not available
+const TEXT_PATTERN_MAX_LENGTH = 200;
+const TEXT_PATTERN_FLAGS = /^[imsu]*$/;
+
+// Compiled textPatterns by flags and source, cleared when full
+const compiledPatterns = new Map();
+const COMPILED_PATTERNS_MAX = 500;
+
+/**
+ * Map message types of stored records to the type names used in filters
+ * e.g. "imageMessage" (stored before normalization) -> "image", "conversation" -> "text"
+ * @param {string} type - Message type
+ * @returns {string}
+ */
+const toShortType = (type) => {
+    if (!type) return 'unknown';
+    if (type === 'conversation' || type === 'extendedTextMessage') return 'text';
+    return type.replace(/Message$/, '');
+};
+
+/**
+ * Check whether a chat JID is listed, either as the full JID or as its phone number
+ * @param {string[]} list - JIDs or phone numbers
+ * @param {string} chatJid - Chat JID
+ * @returns {boolean}
+ */
+const isListed = (list, chatJid) => {
+    const user = chatJid.split('@')[0];
+    return list.some(entry => entry === chatJid || entry === user);
+};
+
+/**
+ * Check a textPattern and its flags
+ * @param {*} pattern - Regular expression source
+ * @param {*} flags - Regular expression flags
+ * @returns {string|null} Why the pattern is refused, or null when it can be used
+ */
+const checkTextPattern = (pattern, flags) => {
+    if (typeof pattern !== 'string' || pattern === '') return 'must be a non-empty string';
+    if (pattern.length > TEXT_PATTERN_MAX_LENGTH) return `must be at most ${TEXT_PATTERN_MAX_LENGTH} characters`;
+    if (flags !== undefined && (typeof flags !== 'string' || !TEXT_PATTERN_FLAGS.test(flags))) {
+        return 'flags may only contain i, m, s and u';
+    }
+    try {
+        new RE2(pattern, flags || '');
+    } catch (error) {
+        return `is not a valid regular expression: ${error.message}`;
+    }
+    return null;
+};
+
+/**
+ * Get a compiled textPattern, compiling it on first use
+ * @param {string} pattern - Regular expression source
+ * @param {string} [flags] - Regular expression flags
+ * @returns {RE2|null} Compiled pattern, or null when the pattern is refused
+ */
+const compileTextPattern = (pattern, flags = '') => {
+    const key = `${flags}/${pattern}`;
+    if (compiledPatterns.has(key)) return compiledPatterns.get(key);
+
+    const regex = checkTextPattern(pattern, flags) ? null : new RE2(pattern, flags);
+    if (compiledPatterns.size >= COMPILED_PATTERNS_MAX) compiledPatterns.clear();
+    compiledPatterns.set(key, regex);
+    return regex;
+};
+
+const webhookFilter = {
+    CHAT_TYPES,
+
+    /**
+     * Extract the fields filters are evaluated against from webhook event data
+     * Handles normalized messages (message.received), raw Baileys messages and stored message records (message.sent)
+     * @param {Object} data - Webhook event data
+     * @returns {Object|null} Chat JID, chat type, sender, message type and text, or null for non-message events
+     */
+    describeMessage: (data) => {
+        const message = data?.message;
+        if (!message) return null;
+
+        // Stored message record
+        if (message.direction) {
+            const chatJid = message.chatId || (message.direction === 'incoming' ? message.from : message.to) || '';
+            return {
+                chatJid,
+                isGroup: data.isGroup === true || chatJid.endsWith('@g.us'),
+                sender: message.from || null,
+                senderName: message.message?.pushName || null,
+                messageType: toShortType(message.type),
+                text: message.message?.content || message.message?.caption || ''
+            };
+        }
+
+        const normalized = message.key ? messageNormalizer.normalize(message) : message;
+        return {
+            chatJid: normalized.chatId || '',
+            isGroup: normalized.chatType === 'group',
+            sender: normalized.sender || null,
+            senderName: normalized.senderName || null,
+            messageType: normalized.type,
+            text: normalized.text || ''
+        };
+    },
+
+    /**
+     * Validate filter criteria before they are saved on a webhook
+     * @param {Object} filters - Filter criteria
+     * @returns {string[]} Validation errors, empty when valid
+     */
+    validate: (filters) => {
+        if (filters === null || filters === undefined) return [];
+        if (typeof filters !== 'object' || Array.isArray(filters)) return ['filters must be an object'];
+
+        const errors = [];
+
+        for (const field of ['allowChats', 'denyChats', 'messageTypes']) {
+            if (filters[field] !== undefined &&
+                (!Array.isArray(filters[field]) || filters[field].some(value => typeof value !== 'string'))) {
+                errors.push(`filters.${field} must be an array of strings`);
+            }
+        }
+
+        if (filters.chatType !== undefined && !CHAT_TYPES.includes(filters.chatType)) {
+            errors.push(`filters.chatType must be one of: ${CHAT_TYPES.join(', ')}`);
+        }
+
+        if (filters.textPattern !== undefined) {
+            const problem = checkTextPattern(filters.textPattern, filters.textPatternFlags);
+            if (problem) errors.push(`filters.textPattern ${problem}`);
+            else compileTextPattern(filters.textPattern, filters.textPatternFlags);
+        }
+
+        return errors;
+    },
+
+    /**
+     * Evaluate a webhook's filters against event data
+     * Events that do not carry a message (e.g. connection.update) always pass
+     * @param {Object} filters - Filter criteria stored on the webhook
+     * @param {Object} data - Webhook event data
+     * @returns {{ passed: boolean, reason?: string }}
+     */
+    evaluate: (filters, data) => {
+        if (!filters || Object.keys(filters).length === 0) return { passed: true };
+
+        const subject = webhookFilter.describeMessage(data);
+        if (!subject) return { passed: true };
+
+        const { allowChats, denyChats, chatType, messageTypes, textPattern, textPatternFlags } = filters;
+
+        if (denyChats?.length && isListed(denyChats, subject.chatJid)) {
+            return { passed: false, reason: `Chat ${subject.chatJid} is in denyChats` };
+        }
+
+        if (allowChats?.length && !isListed(allowChats, subject.chatJid)) {
+            return { passed: false, reason: `Chat ${subject.chatJid} is not in allowChats` };
+        }
+
+        if (chatType === 'group' && !subject.isGroup) {
+            return { passed: false, reason: 'Filter accepts group chats only' };
+        }
+
+        if (chatType === 'private' && subject.isGroup) {
+            return { passed: false, reason: 'Filter accepts private chats only' };
+        }
+
+        if (messageTypes?.length && !messageTypes.includes(subject.messageType)) {
+            return { passed: false, reason: `Message type ${subject.messageType} is not in messageTypes` };
+        }
+
+        if (textPattern) {
+            const regex = compileTextPattern(textPattern, textPatternFlags);
+            if (!regex) return { passed: false, reason: 'textPattern is not allowed' };
+            if (!regex.test(subject.text)) return { passed: false, reason: 'Message text does not match textPattern' };
+        }
+
+        return { passed: true };
+    }
+};
+
+module.exports = webhookFilter;
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'X-Whisper-Signature';
+const TIMESTAMP_HEADER = 'X-Whisper-Timestamp';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const webhookSignature = {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+
+    /**
+     * Generate a new webhook signing secret
+     * @returns {string}
+     */
+    generateSecret: () => `whsec_${crypto.randomBytes(32).toString('hex')}`,
+
+    /**
+     * Sign a raw request body
+     * The signed content is "<timestamp>.<body>" so a captured request cannot be replayed later
+     * @param {string} secret - Webhook secret
+     * @param {number} timestamp - Unix timestamp in seconds
+     * @param {string} body - Raw JSON body exactly as sent
+     * @returns {string} Signature in the form "sha256=<hex>"
+     */
+    sign: (secret, timestamp, body) => {
+        const digest = crypto
+            .createHmac('sha256', secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+        return `sha256=${digest}`;
+    },
+
+    /**
+     * Build the signature headers for a request body
+     * @param {string} secret - Webhook secret
+     * @param {string} body - Raw JSON body exactly as sent
+     * @returns {Object} Headers to add to the request
+     */
+    buildHeaders: (secret, body) => {
+        const timestamp = Math.floor(Date.now() / 1000);
+        return {
+            [TIMESTAMP_HEADER]: String(timestamp),
+            [SIGNATURE_HEADER]: webhookSignature.sign(secret, timestamp, body)
+        };
+    },
+
+    /**
+     * Verify a signed request (receiver side)
+     * @param {string} secret - Webhook secret
+     * @param {string} body - Raw request body
+     * @param {string} signature - Value of the X-Whisper-Signature header
+     * @param {string|number} timestamp - Value of the X-Whisper-Timestamp header
+     * @param {number} [toleranceSeconds] - Maximum accepted age of the request
+     * @returns {boolean}
+     */
+    verify: (secret, body, signature, timestamp, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) => {
+        if (!secret || !signature || !timestamp) return false;
+
+        const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+        if (!Number.isFinite(age) || age > toleranceSeconds) return false;
+
+        const expected = Buffer.from(webhookSignature.sign(secret, timestamp, body));
+        const actual = Buffer.from(signature);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+};
+
+module.exports = webhookSignature;
@@ -0,0 +1,79 @@
+const prisma = require('../src/database/prisma');
+const apiKeyService = require('../src/services/apiKeyService');
+const { SCOPES, hasScope } = require('../src/config/scopes.config');
+
+beforeAll(async () => {
+  await prisma.$connect();
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+describe('API Key Service Tests', () => {
+  let apiKey;
+  let plaintextKey;
+
+  test('Create API key', async () => {
+    const result = await apiKeyService.create({
+      name: 'Test Key',
+      scopes: [SCOPES.MESSAGES_SEND],
+      instancePhones: ['123456789'],
+    });
+
+    apiKey = result.apiKey;
+    plaintextKey = result.key;
+
+    expect(apiKey).toHaveProperty('id');
+    expect(apiKey).not.toHaveProperty('keyHash');
+    expect(plaintextKey.startsWith(apiKey.keyPrefix)).toBe(true);
+    expect(apiKey.instancePhones).toEqual(['123456789']);
+  });
+
+  test('Find active API key by plaintext key', async () => {
+    const found = await apiKeyService.findActiveByKey(plaintextKey);
+    expect(found).toBeDefined();
+    expect(found.id).toBe(apiKey.id);
+  });
+
+  test('Unknown key is rejected', async () => {
+    const found = await apiKeyService.findActiveByKey('wsp_unknown');
+    expect(found).toBeNull();
+  });
+
+  test('Rotate API key invalidates the previous key', async () => {
+    const { key: rotatedKey } = await apiKeyService.rotate(apiKey.id);
+
+    expect(rotatedKey).not.toBe(plaintextKey);
+    expect(await apiKeyService.findActiveByKey(plaintextKey)).toBeNull();
+    expect((await apiKeyService.findActiveByKey(rotatedKey)).id).toBe(apiKey.id);
+
+    plaintextKey = rotatedKey;
+  });
+
+  test('Expired API key is rejected', async () => {
+    await apiKeyService.update(apiKey.id, { expiresAt: new Date(Date.now() - 1000) });
+    expect(await apiKeyService.findActiveByKey(plaintextKey)).toBeNull();
+
+    await apiKeyService.update(apiKey.id, { expiresAt: null });
+    expect(await apiKeyService.findActiveByKey(plaintextKey)).not.toBeNull();
+  });
+
+  test('Revoke API key', async () => {
+    const revoked = await apiKeyService.revoke(apiKey.id);
+    expect(revoked.isActive).toBe(false);
+    expect(revoked.revokedAt).not.toBeNull();
+    expect(await apiKeyService.findActiveByKey(plaintextKey)).toBeNull();
+  });
+
+  test('Delete API key', async () => {
+    await apiKeyService.delete(apiKey.id);
+    expect(await apiKeyService.findById(apiKey.id)).toBeNull();
+  });
+
+  test('Scope checks', () => {
+    expect(hasScope([SCOPES.ALL], SCOPES.KEYS_MANAGE)).toBe(true);
+    expect(hasScope([SCOPES.MESSAGES_SEND], SCOPES.MESSAGES_SEND)).toBe(true);
+    expect(hasScope([SCOPES.MESSAGES_SEND], SCOPES.INSTANCES_WRITE)).toBe(false);
+  });
+});
@@ -0,0 +1,94 @@
+const campaignRecipients = require('../src/utils/campaignRecipients');
+const campaignConfig = require('../src/config/campaign.config');
+
+describe('Campaign Recipients Tests', () => {
+  const template = 'Hi {{name}}, your code is {{ code }}';
+
+  test('Lists template variables once', () => {
+    expect(campaignRecipients.placeholders(template)).toEqual(['name', 'code']);
+    expect(campaignRecipients.placeholders('{{name}} {{name}}')).toEqual(['name']);
+    expect(campaignRecipients.placeholders('No variables')).toEqual([]);
+  });
+
+  test('Renders a template with recipient variables', () => {
+    expect(campaignRecipients.render(template, { name: 'Budi', code: 'PROMO-1' })).toBe('Hi Budi, your code is PROMO-1');
+    expect(campaignRecipients.render('Hi {{name}}{{missing}}', { name: 'Sari' })).toBe('Hi Sari');
+  });
+
+  test('Parses CSV with a header line', () => {
+    const csv = Buffer.from('\uFEFFto, name ,code\n628111222333,Budi,PROMO-1\n\n"628444555666","Sari, Jr",PROMO-2\n');
+    const { rows, error } = campaignRecipients.parseCsv(csv);
+
+    expect(error).toBeUndefined();
+    expect(rows).toEqual([
+      { to: '628111222333', name: 'Budi', code: 'PROMO-1' },
+      { to: '628444555666', name: 'Sari, Jr', code: 'PROMO-2' }
+    ]);
+  });
+
+  test('Reports malformed CSV', () => {
+    const { rows, error } = campaignRecipients.parseCsv('to,name\n628111222333,Budi,extra\n');
+    expect(rows).toBeUndefined();
+    expect(error).toMatch(/^Invalid CSV/);
+  });
+
+  test('Prepares recipients with normalized numbers', () => {
+    const { recipients, errors, duplicates } = campaignRecipients.prepare([
+      { to: '08111222333', name: 'Budi', code: 'PROMO-1' },
+      { phone: '+62 811-1222-333', name: 'Budi again', code: 'PROMO-9' },
+      { number: 628444555666, name: 'Sari', code: 2 }
+    ], template, '62');
+
+    expect(errors).toEqual([]);
+    expect(duplicates).toBe(1);
+    expect(recipients).toEqual([
+      { to: '628111222333@s.whatsapp.net', variables: { to: '08111222333', name: 'Budi', code: 'PROMO-1' } },
+      { to: '628444555666@s.whatsapp.net', variables: { number: '628444555666', name: 'Sari', code: '2' } }
+    ]);
+  });
+
+  test('Reports invalid rows and missing variables', () => {
+    const { recipients, errors } = campaignRecipients.prepare([
+      { name: 'No number', code: 'A' },
+      { to: '12', name: 'Short', code: 'B' },
+      { to: '628111222333', name: '', code: 'C' },
+      'not an object'
+    ], template, '62');
+
+    expect(recipients).toEqual([]);
+    expect(errors).toHaveLength(4);
+    expect(errors[0]).toBe('Recipient 1: to, phone, number is required');
+    expect(errors[1]).toMatch(/^Recipient 2: /);
+    expect(errors[2]).toBe('Recipient 3: missing name');
+    expect(errors[3]).toBe('Recipient 4: must be an object');
+  });
+});
+
+describe('Campaign Config Tests', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('Uses defaults and minimums', () => {
+    delete process.env.CAMPAIGN_RATE_PER_MINUTE;
+    delete process.env.CAMPAIGN_MAX_RATE_PER_MINUTE;
+    delete process.env.CAMPAIGN_JITTER_MS;
+    delete process.env.CAMPAIGN_MAX_RECIPIENTS;
+    process.env.CAMPAIGN_POLL_INTERVAL_MS = '10';
+
+    expect(campaignConfig.getCampaignConfig()).toEqual({
+      ratePerMinute: 20,
+      maxRatePerMinute: 60,
+      jitterMs: 3000,
+      maxRecipients: 10000,
+      pollIntervalMs: 250
+    });
+  });
+
+  test('Send delay follows the campaign rate', () => {
+    process.env.CAMPAIGN_JITTER_MS = '0';
+    expect(campaignConfig.getSendDelay(30)).toBe(2000);
+  });
+});
@@ -0,0 +1,27 @@
+const groupConfig = require('../src/config/group.config');
+
+describe('Group Metadata Config Tests', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('Uses defaults when environment is not set', () => {
+    delete process.env.GROUP_METADATA_CACHE_TTL_MS;
+    delete process.env.GROUP_METADATA_SNAPSHOT_MAX_AGE_MS;
+
+    const config = groupConfig.getGroupMetadataConfig();
+    expect(config.cacheTtlMs).toBe(60 * 60 * 1000);
+    expect(config.snapshotMaxAgeMs).toBe(24 * 60 * 60 * 1000);
+  });
+
+  test('Reads the environment and ignores values below the minimum', () => {
+    process.env.GROUP_METADATA_CACHE_TTL_MS = '500';
+    process.env.GROUP_METADATA_SNAPSHOT_MAX_AGE_MS = '0';
+
+    const config = groupConfig.getGroupMetadataConfig();
+    expect(config.cacheTtlMs).toBe(60 * 60 * 1000);
+    expect(config.snapshotMaxAgeMs).toBe(0);
+  });
+});
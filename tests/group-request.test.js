@@ -0,0 +1,70 @@
+const groupRequest = require('../src/utils/groupRequest');
+
+describe('Group Request Tests', () => {
+  const instance = { getDefaultCountryCode: () => '62' };
+
+  const createResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  test('Group IDs are read with or without the @g.us server', () => {
+    expect(groupRequest.readGroupId('120363042123456789')).toBe('120363042123456789@g.us');
+    expect(groupRequest.readGroupId('120363042123456789@g.us')).toBe('120363042123456789@g.us');
+    expect(groupRequest.readGroupId('628123456789-1600000000')).toBe('628123456789-1600000000@g.us');
+  });
+
+  test('Group IDs of other kinds or with invalid characters are rejected', () => {
+    expect(groupRequest.readGroupId('628123456789@s.whatsapp.net')).toBeNull();
+    expect(groupRequest.readGroupId('abc')).toBeNull();
+    expect(groupRequest.readGroupId('120363042123456789@example.com')).toBeNull();
+  });
+
+  test('Participants are read as unique user JIDs', () => {
+    const { jids, error } = groupRequest.readParticipants(instance, [
+      '0812-3456-789',
+      '+62 812 3456 789',
+      '14155550123@s.whatsapp.net',
+      '123456789012345@lid'
+    ]);
+
+    expect(error).toBeUndefined();
+    expect(jids).toEqual([
+      '628123456789@s.whatsapp.net',
+      '14155550123@s.whatsapp.net',
+      '123456789012345@lid'
+    ]);
+  });
+
+  test('Missing, invalid and non-user participants are rejected', () => {
+    expect(groupRequest.readParticipants(instance, []).error).toMatch(/non-empty array/);
+    expect(groupRequest.readParticipants(instance, '628123456789').error).toMatch(/non-empty array/);
+    expect(groupRequest.readParticipants(instance, ['12']).error).toMatch(/^Invalid participant 12:/);
+    expect(groupRequest.readParticipants(instance, ['120363042123456789@g.us']).error).toMatch(/not a user$/);
+  });
+
+  test('WhatsApp errors keep their status, not-authorized becomes 403', () => {
+    const cases = [[400, 400], [401, 403], [403, 403], [404, 404], [406, 400], [409, 409]];
+
+    for (const [statusCode, expected] of cases) {
+      const res = createResponse();
+      const error = Object.assign(new Error('rejected'), { output: { statusCode } });
+      groupRequest.groupErrorResponse(res, error, 'Failed to update group');
+
+      expect(res.status).toHaveBeenCalledWith(expected);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Failed to update group', message: 'rejected' });
+    }
+  });
+
+  test('Other errors respond with 500', () => {
+    const timeout = Object.assign(new Error('Timed Out'), { output: { statusCode: 408 } });
+
+    for (const error of [new Error('Connection Closed'), timeout]) {
+      const res = createResponse();
+      groupRequest.groupErrorResponse(res, error, 'Failed to get groups');
+      expect(res.status).toHaveBeenCalledWith(500);
+    }
+  });
+});
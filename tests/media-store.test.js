@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mediaStoreService = require('../src/services/mediaStore.service');
+
+// In-memory S3 client, objects are kept by bucket and key
+jest.mock('@aws-sdk/client-s3', () => {
+  const { Readable } = require('stream');
+  const objects = new Map();
+
+  class Command {
+    constructor(input) {
+      this.input = input;
+    }
+  }
+  class PutObjectCommand extends Command {}
+  class GetObjectCommand extends Command {}
+  class DeleteObjectCommand extends Command {}
+
+  class S3Client {
+    constructor(config) {
+      this.config = config;
+    }
+
+    async send(command) {
+      const id = `${command.input.Bucket}/${command.input.Key}`;
+
+      if (command instanceof PutObjectCommand) {
+        objects.set(id, { body: command.input.Body, contentType: command.input.ContentType });
+        return {};
+      }
+      if (command instanceof DeleteObjectCommand) {
+        objects.delete(id);
+        return {};
+      }
+
+      const object = objects.get(id);
+      if (!object) throw Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' });
+      return { Body: Readable.from([object.body]), ContentLength: object.body.length, ContentType: object.contentType };
+    }
+  }
+
+  return { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, objects };
+}, { virtual: true });
+
+describe('Media Store Tests', () => {
+  const localPath = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-media-'));
+  const originalEnv = { ...process.env };
+
+  beforeAll(() => {
+    process.env.MEDIA_STORE = 'local';
+    process.env.MEDIA_LOCAL_PATH = localPath;
+  });
+
+  afterAll(() => {
+    process.env = { ...originalEnv };
+    fs.rmSync(localPath, { recursive: true, force: true });
+  });
+
+  const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  };
+
+  test('Extensions come from the MIME type or the file name', () => {
+    expect(mediaStoreService.getExtension('image/jpeg')).toBe('jpg');
+    expect(mediaStoreService.getExtension('audio/ogg; codecs=opus')).toBe('ogg');
+    expect(mediaStoreService.getExtension('application/x-custom', 'report.xlsx')).toBe('xlsx');
+    expect(mediaStoreService.getExtension(null, null)).toBe('bin');
+  });
+
+  test('Saved media can be read back and removed', async () => {
+    const buffer = Buffer.from('fake image bytes');
+    const stored = await mediaStoreService.save('instance-1', 'ABC/123', buffer, { mimetype: 'image/png' });
+
+    expect(stored).toEqual({ store: 'local', key: 'instance-1/ABC_123.png', size: buffer.length });
+
+    const file = await mediaStoreService.open(stored.store, stored.key);
+    expect(file.size).toBe(buffer.length);
+    expect(await readAll(file.stream)).toEqual(buffer);
+    expect(await mediaStoreService.read(stored.store, stored.key)).toEqual(buffer);
+
+    await mediaStoreService.remove(stored.store, stored.key);
+    expect(await mediaStoreService.open(stored.store, stored.key)).toBeNull();
+    expect(await mediaStoreService.read(stored.store, stored.key)).toBeNull();
+  });
+
+  test('Keys cannot escape the media directory', async () => {
+    await expect(mediaStoreService.open('local', '../outside.txt')).rejects.toThrow('Invalid media key');
+  });
+
+  test('S3 objects are stored under the bucket prefix', async () => {
+    const { objects } = require('@aws-sdk/client-s3');
+    Object.assign(process.env, { MEDIA_STORE: 's3', S3_BUCKET: 'whisper-media', S3_PREFIX: '/media/', S3_ENDPOINT: 'http://localhost:9000' });
+
+    try {
+      const store = mediaStoreService.getStore();
+      expect(store.client.config).toMatchObject({ region: 'us-east-1', endpoint: 'http://localhost:9000' });
+
+      const buffer = Buffer.from('%PDF-1.7');
+      const stored = await mediaStoreService.save('instance-1', 'DEF456', buffer, { mimetype: 'application/pdf' });
+
+      expect(stored).toEqual({ store: 's3', key: 'instance-1/DEF456.pdf', size: buffer.length });
+      expect(objects.get('whisper-media/media/instance-1/DEF456.pdf')).toEqual({ body: buffer, contentType: 'application/pdf' });
+
+      const file = await mediaStoreService.open('s3', stored.key);
+      expect(file).toMatchObject({ size: buffer.length, contentType: 'application/pdf' });
+      expect(await readAll(file.stream)).toEqual(buffer);
+
+      await mediaStoreService.remove('s3', stored.key);
+      expect(objects.size).toBe(0);
+      expect(await mediaStoreService.open('s3', stored.key)).toBeNull();
+    } finally {
+      process.env.MEDIA_STORE = 'local';
+    }
+  });
+});
@@ -0,0 +1,65 @@
+const messageContent = require('../src/utils/messageContent');
+
+describe('Message Content Tests', () => {
+  test('Locations are converted to Baileys coordinates', () => {
+    const { errors, content } = messageContent.location({ latitude: -6.2, longitude: 106.8, name: 'Office' });
+
+    expect(errors).toEqual([]);
+    expect(content.location).toEqual({
+      degreesLatitude: -6.2,
+      degreesLongitude: 106.8,
+      name: 'Office',
+      address: undefined
+    });
+  });
+
+  test('Locations outside the valid range are rejected', () => {
+    expect(messageContent.location({ latitude: 91, longitude: 0 }).errors).toHaveLength(1);
+    expect(messageContent.location({ latitude: '1', longitude: 181 }).errors).toHaveLength(2);
+    expect(messageContent.location(null).errors).toEqual(['location must be an object']);
+  });
+
+  test('Contacts are sent as vCards with a WhatsApp ID', () => {
+    const { errors, content } = messageContent.contacts([{ name: 'Budi; Jr', phone: '+62 812-3456-789', organization: 'ACME' }]);
+
+    expect(errors).toEqual([]);
+    expect(content.contacts.displayName).toBe('Budi; Jr');
+    expect(content.contacts.contacts[0].vcard).toBe([
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      'FN:Budi\\; Jr',
+      'ORG:ACME',
+      'TEL;type=CELL;type=VOICE;waid=628123456789:+628123456789',
+      'END:VCARD'
+    ].join('\n'));
+  });
+
+  test('Several contacts are sent as one contact list', () => {
+    const { content } = messageContent.contacts([
+      { name: 'A', phone: '628111111111' },
+      { name: 'B', phone: '628222222222' }
+    ]);
+
+    expect(content.contacts.displayName).toBe('2 contacts');
+    expect(content.contacts.contacts).toHaveLength(2);
+  });
+
+  test('Contacts need a name and a phone number', () => {
+    expect(messageContent.contacts([]).errors).toEqual(['contacts must be a non-empty array']);
+    expect(messageContent.contacts([{ name: '', phone: 'abc' }]).errors).toEqual([
+      'contacts[0].name is required',
+      'contacts[0].phone must be a phone number'
+    ]);
+  });
+
+  test('Polls are validated and default to a single answer', () => {
+    const { errors, content } = messageContent.poll({ name: 'Lunch?', options: ['Yes', 'No'] });
+
+    expect(errors).toEqual([]);
+    expect(content.poll).toEqual({ name: 'Lunch?', values: ['Yes', 'No'], selectableCount: 1 });
+
+    expect(messageContent.poll({ name: 'Lunch?', options: ['Yes'] }).errors).toHaveLength(1);
+    expect(messageContent.poll({ name: 'Lunch?', options: ['Yes', 'Yes'] }).errors).toEqual(['poll.options must be unique']);
+    expect(messageContent.poll({ name: '', options: ['Yes', 'No'], selectableCount: 3 }).errors).toHaveLength(2);
+  });
+});
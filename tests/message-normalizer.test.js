@@ -0,0 +1,125 @@
+const messageNormalizer = require('../src/utils/messageNormalizer');
+
+describe('Message Normalizer Tests', () => {
+  const key = { remoteJid: '6281234567890@s.whatsapp.net', id: 'MSG1', fromMe: false };
+
+  test('Text messages', () => {
+    const normalized = messageNormalizer.normalize({
+      key,
+      pushName: 'Budi',
+      messageTimestamp: 1700000000,
+      message: { conversation: 'Hello' }
+    });
+
+    expect(normalized).toMatchObject({
+      messageId: 'MSG1',
+      chatId: '6281234567890@s.whatsapp.net',
+      chatType: 'private',
+      sender: '6281234567890@s.whatsapp.net',
+      senderName: 'Budi',
+      timestamp: 1700000000,
+      type: 'text',
+      text: 'Hello',
+      media: null
+    });
+  });
+
+  test('Media inside ephemeral and view-once wrappers', () => {
+    const normalized = messageNormalizer.normalize({
+      key: { ...key, remoteJid: '120363000000000000@g.us', participant: '6289999999999@s.whatsapp.net' },
+      messageTimestamp: { low: 1700000000, high: 0 },
+      message: {
+        ephemeralMessage: {
+          message: {
+            viewOnceMessageV2: {
+              message: { imageMessage: { mimetype: 'image/jpeg', caption: 'look', fileLength: '2048', width: 10, height: 20 } }
+            }
+          }
+        }
+      }
+    });
+
+    expect(normalized.type).toBe('image');
+    expect(normalized.chatType).toBe('group');
+    expect(normalized.sender).toBe('6289999999999@s.whatsapp.net');
+    expect(normalized.text).toBe('look');
+    expect(normalized.timestamp).toBe(1700000000);
+    expect(normalized.media).toMatchObject({ mimetype: 'image/jpeg', fileSize: 2048, width: 10, height: 20 });
+    expect(normalized.isEphemeral).toBe(true);
+    expect(normalized.isViewOnce).toBe(true);
+  });
+
+  test('Location, contacts, polls and reactions', () => {
+    const location = messageNormalizer.normalize({ key, message: { locationMessage: { degreesLatitude: -6.2, degreesLongitude: 106.8, name: 'Monas' } } });
+    expect(location.type).toBe('location');
+    expect(location.location).toMatchObject({ latitude: -6.2, longitude: 106.8, name: 'Monas', live: false });
+
+    const contacts = messageNormalizer.normalize({ key, message: { contactsArrayMessage: { contacts: [{ displayName: 'A', vcard: 'BEGIN:VCARD' }] } } });
+    expect(contacts.type).toBe('contact');
+    expect(contacts.contacts).toEqual([{ displayName: 'A', vcard: 'BEGIN:VCARD' }]);
+
+    const poll = messageNormalizer.normalize({ key, message: { pollCreationMessageV3: { name: 'Lunch?', options: [{ optionName: 'Yes' }, { optionName: 'No' }], selectableOptionsCount: 1 } } });
+    expect(poll.type).toBe('poll');
+    expect(poll.poll).toEqual({ name: 'Lunch?', options: ['Yes', 'No'], selectableCount: 1 });
+
+    const reaction = messageNormalizer.normalize({ key, message: { reactionMessage: { text: '👍', key: { id: 'MSG0' } } } });
+    expect(reaction.type).toBe('reaction');
+    expect(reaction.reaction).toEqual({ emoji: '👍', messageId: 'MSG0' });
+  });
+
+  test('Button and list replies', () => {
+    const button = messageNormalizer.normalize({ key, message: { buttonsResponseMessage: { selectedButtonId: 'yes', selectedDisplayText: 'Yes' } } });
+    expect(button.type).toBe('button_reply');
+    expect(button.reply).toEqual({ kind: 'button', id: 'yes', text: 'Yes' });
+
+    const list = messageNormalizer.normalize({ key, message: { listResponseMessage: { title: 'Option 2', singleSelectReply: { selectedRowId: 'row-2' } } } });
+    expect(list.type).toBe('list_reply');
+    expect(list.reply).toEqual({ kind: 'list', id: 'row-2', text: 'Option 2' });
+  });
+
+  test('Quoted messages, mentions and unknown content', () => {
+    const reply = messageNormalizer.normalize({
+      key,
+      message: {
+        messageContextInfo: {},
+        extendedTextMessage: {
+          text: 'Agreed @628111',
+          contextInfo: {
+            stanzaId: 'MSG0',
+            participant: '628111@s.whatsapp.net',
+            quotedMessage: { conversation: 'Shall we?' },
+            mentionedJid: ['628111@s.whatsapp.net'],
+            isForwarded: true
+          }
+        }
+      }
+    });
+
+    expect(reply.type).toBe('text');
+    expect(reply.quoted).toEqual({ messageId: 'MSG0', participant: '628111@s.whatsapp.net', type: 'text', text: 'Shall we?' });
+    expect(reply.mentions).toEqual(['628111@s.whatsapp.net']);
+    expect(reply.isForwarded).toBe(true);
+
+    const unknown = messageNormalizer.normalize({ key, message: { someFutureMessage: {} } });
+    expect(unknown.type).toBe('unknown');
+    expect(messageNormalizer.describe(unknown)).toBe('unknown message');
+  });
+
+  test('Edits inside an editedMessage wrapper', () => {
+    const message = {
+      editedMessage: {
+        message: {
+          protocolMessage: { type: 14, key: { id: 'MSG0' }, editedMessage: { conversation: 'Fixed typo' } }
+        }
+      }
+    };
+
+    const normalized = messageNormalizer.normalize({ key, message });
+    expect(normalized.isEdited).toBe(true);
+    expect(normalized.text).toBe('Fixed typo');
+
+    const { content, flags } = messageNormalizer.unwrapContainers(message);
+    expect(content.protocolMessage.key.id).toBe('MSG0');
+    expect(flags.isEdited).toBe(true);
+  });
+});
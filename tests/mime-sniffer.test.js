@@ -0,0 +1,45 @@
+const mimeSniffer = require('../src/utils/mimeSniffer');
+
+describe('MIME Sniffer Tests', () => {
+  const bytes = (...values) => Buffer.concat(values.map(value =>
+    typeof value === 'string' ? Buffer.from(value, 'ascii') : Buffer.from(value)
+  ));
+
+  test('Images are detected from their signature', () => {
+    expect(mimeSniffer.sniff(bytes([0xFF, 0xD8, 0xFF, 0xE0], 'JFIF'))).toBe('image/jpeg');
+    expect(mimeSniffer.sniff(bytes([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A], [0, 0, 0, 0x0D]))).toBe('image/png');
+    expect(mimeSniffer.sniff(bytes('GIF89a', [0, 0]))).toBe('image/gif');
+    expect(mimeSniffer.sniff(bytes('RIFF', [0, 0, 0, 0], 'WEBPVP8 '))).toBe('image/webp');
+  });
+
+  test('Audio and video are detected from their signature', () => {
+    expect(mimeSniffer.sniff(bytes('OggS', [0, 2]))).toBe('audio/ogg');
+    expect(mimeSniffer.sniff(bytes('ID3', [4, 0, 0]))).toBe('audio/mpeg');
+    expect(mimeSniffer.sniff(bytes('RIFF', [0, 0, 0, 0], 'WAVEfmt '))).toBe('audio/wav');
+    expect(mimeSniffer.sniff(bytes([0, 0, 0, 0x20], 'ftypisom', [0, 0, 2, 0]))).toBe('video/mp4');
+    expect(mimeSniffer.sniff(bytes([0, 0, 0, 0x20], 'ftypM4A ', [0, 0, 0, 0]))).toBe('audio/mp4');
+  });
+
+  test('ZIP-based documents are told apart by their file name', () => {
+    const zip = bytes([0x50, 0x4B, 0x03, 0x04], [0x14, 0, 0, 0]);
+    expect(mimeSniffer.sniff(zip, 'report.docx')).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    expect(mimeSniffer.sniff(zip, 'archive.zip')).toBe('application/zip');
+    expect(mimeSniffer.sniff(zip)).toBe('application/zip');
+  });
+
+  test('PDFs are detected and unknown content returns null', () => {
+    expect(mimeSniffer.sniff(bytes('%PDF-1.7\n'))).toBe('application/pdf');
+    expect(mimeSniffer.sniff(bytes('hello world'))).toBeNull();
+    expect(mimeSniffer.sniff(Buffer.alloc(2))).toBeNull();
+    expect(mimeSniffer.sniff('not a buffer')).toBeNull();
+  });
+
+  test('Content must match the media type it is sent as', () => {
+    expect(mimeSniffer.isAllowedFor('image', 'image/png')).toBe(true);
+    expect(mimeSniffer.isAllowedFor('image', 'application/pdf')).toBe(false);
+    expect(mimeSniffer.isAllowedFor('audio', 'audio/ogg; codecs=opus')).toBe(true);
+    expect(mimeSniffer.isAllowedFor('video', 'audio/mpeg')).toBe(false);
+    expect(mimeSniffer.isAllowedFor('document', 'application/pdf')).toBe(true);
+    expect(mimeSniffer.isAllowedFor('document', 'application/octet-stream')).toBe(true);
+  });
+});
@@ -0,0 +1,56 @@
+const outboundConfig = require('../src/config/outbound.config');
+
+describe('Outbound Queue Config Tests', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+  });
+
+  test('Queue is disabled by default with a safe pace', () => {
+    delete process.env.OUTBOUND_QUEUE_ENABLED;
+    delete process.env.OUTBOUND_RATE_PER_MINUTE;
+    delete process.env.OUTBOUND_JITTER_MS;
+    delete process.env.OUTBOUND_DAILY_CAP;
+    delete process.env.OUTBOUND_QUEUE_POLL_INTERVAL_MS;
+
+    expect(outboundConfig.getOutboundConfig()).toEqual({
+      enabled: false,
+      ratePerMinute: 20,
+      jitterMs: 3000,
+      dailyCap: 0,
+      pollIntervalMs: 1000
+    });
+  });
+
+  test('Invalid values fall back to defaults and minimums', () => {
+    process.env.OUTBOUND_RATE_PER_MINUTE = '0';
+    process.env.OUTBOUND_JITTER_MS = 'abc';
+    process.env.OUTBOUND_QUEUE_POLL_INTERVAL_MS = '10';
+
+    const config = outboundConfig.getOutboundConfig();
+    expect(config.ratePerMinute).toBe(1);
+    expect(config.jitterMs).toBe(3000);
+    expect(config.pollIntervalMs).toBe(250);
+  });
+
+  test('Send delay follows the rate plus jitter', () => {
+    process.env.OUTBOUND_RATE_PER_MINUTE = '30';
+    process.env.OUTBOUND_JITTER_MS = '1000';
+
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(outboundConfig.getSendDelay()).toBe(2000);
+
+    Math.random.mockReturnValue(0.5);
+    expect(outboundConfig.getSendDelay()).toBe(2500);
+  });
+
+  test('Priorities map to sort values', () => {
+    expect(outboundConfig.getPriority('high')).toBe(0);
+    expect(outboundConfig.getPriority('HIGH')).toBe(0);
+    expect(outboundConfig.getPriority(undefined)).toBe(1);
+    expect(outboundConfig.getPriority('low')).toBe(2);
+    expect(outboundConfig.getPriority('urgent')).toBeNull();
+  });
+});
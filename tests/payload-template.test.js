@@ -0,0 +1,51 @@
+const payloadTemplate = require('../src/utils/payloadTemplate');
+
+describe('Payload Template Tests', () => {
+  const context = {
+    event: 'message.received',
+    instanceId: 'instance-1',
+    message: { sender: '6281234567890@s.whatsapp.net', senderName: 'Budi', text: 'Hello', isGroup: false },
+    data: { items: [{ id: 'a' }, { id: 'b' }] }
+  };
+
+  test('Placeholders inside strings are replaced with text', () => {
+    const rendered = payloadTemplate.render(
+      { text: '*{{ message.senderName }}* ({{message.sender}}): {{message.text}}' },
+      context
+    );
+
+    expect(rendered.text).toBe('*Budi* (6281234567890@s.whatsapp.net): Hello');
+  });
+
+  test('Exact placeholders keep the value type', () => {
+    const rendered = payloadTemplate.render(
+      { isGroup: '{{message.isGroup}}', data: '{{data}}', first: '{{data.items[0].id}}', missing: '{{nope.value}}' },
+      context
+    );
+
+    expect(rendered.isGroup).toBe(false);
+    expect(rendered.data).toEqual(context.data);
+    expect(rendered.first).toBe('a');
+    expect(rendered.missing).toBeNull();
+  });
+
+  test('Nested objects and arrays are rendered', () => {
+    const rendered = payloadTemplate.render(
+      { blocks: [{ type: 'section', text: 'From {{message.senderName}}' }], count: 2 },
+      context
+    );
+
+    expect(rendered).toEqual({ blocks: [{ type: 'section', text: 'From Budi' }], count: 2 });
+  });
+
+  test('Templates and headers are validated', () => {
+    expect(payloadTemplate.validate({ text: '{{message.text}}' })).toEqual([]);
+    expect(payloadTemplate.validate('{{message.text}}')).toHaveLength(1);
+
+    const reserved = ['X-Whisper-Signature'];
+    expect(payloadTemplate.validateHeaders({ Authorization: 'Bearer token' }, reserved)).toEqual([]);
+    expect(payloadTemplate.validateHeaders({ 'x-whisper-signature': 'forged' }, reserved)).toHaveLength(1);
+    expect(payloadTemplate.validateHeaders({ 'X-Retries': 3 }, reserved)).toHaveLength(1);
+    expect(payloadTemplate.validateHeaders({ 'Bad Header': 'x' }, reserved)).toHaveLength(1);
+  });
+});
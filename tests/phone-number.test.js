@@ -0,0 +1,85 @@
+const phoneNumber = require('../src/utils/phoneNumber');
+const phoneConfig = require('../src/config/phone.config');
+
+describe('Phone Number Tests', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('E.164 numbers keep their country code', () => {
+    expect(phoneNumber.toJid('+1 (415) 555-0123', '62')).toBe('14155550123@s.whatsapp.net');
+    expect(phoneNumber.toJid('+44 20 7946 0958', '62')).toBe('442079460958@s.whatsapp.net');
+    expect(phoneNumber.toJid('0014155550123', '62')).toBe('14155550123@s.whatsapp.net');
+  });
+
+  test('National numbers get the default country code', () => {
+    expect(phoneNumber.toJid('0812-3456-789', '62')).toBe('628123456789@s.whatsapp.net');
+    expect(phoneNumber.toJid('020 7946 0958', '44')).toBe('442079460958@s.whatsapp.net');
+  });
+
+  test('Digits without + or 0 are taken as including the country code', () => {
+    expect(phoneNumber.toJid('14155550123', '62')).toBe('14155550123@s.whatsapp.net');
+    expect(phoneNumber.toJid('628123456789', '62')).toBe('628123456789@s.whatsapp.net');
+  });
+
+  test('JIDs are normalized or kept', () => {
+    expect(phoneNumber.toJid('628123456789@c.us')).toBe('628123456789@s.whatsapp.net');
+    expect(phoneNumber.toJid('628123456789:12@s.whatsapp.net')).toBe('628123456789@s.whatsapp.net');
+    expect(phoneNumber.toJid('123456789012345@lid')).toBe('123456789012345@lid');
+    expect(phoneNumber.toJid('120363042123456789@g.us')).toBe('120363042123456789@g.us');
+    expect(phoneNumber.toJid('628123456789-1612345678@g.us')).toBe('628123456789-1612345678@g.us');
+
+    const result = phoneNumber.normalize('120363042123456789@g.us');
+    expect(result.kind).toBe('group');
+    expect(result.number).toBeNull();
+  });
+
+  test('Invalid recipients are rejected with a reason', () => {
+    expect(phoneNumber.normalize('08123456789').error).toMatch(/no country code/);
+    expect(phoneNumber.normalize('call me').valid).toBe(false);
+    expect(phoneNumber.normalize('+123').error).toMatch(/7 to 15 digits/);
+    expect(phoneNumber.normalize('+1234567890123456').valid).toBe(false);
+    expect(phoneNumber.normalize('628123456789@example.com').error).toMatch(/Unsupported JID server/);
+    expect(phoneNumber.normalize('abc@s.whatsapp.net').valid).toBe(false);
+    expect(phoneNumber.normalize('').valid).toBe(false);
+    expect(phoneNumber.normalize(null).valid).toBe(false);
+    expect(() => phoneNumber.toJid('nope')).toThrow('Invalid phone number');
+  });
+
+  test('Country codes are validated', () => {
+    expect(phoneNumber.isValidCountryCode('62')).toBe(true);
+    expect(phoneNumber.isValidCountryCode('1')).toBe(true);
+    expect(phoneNumber.isValidCountryCode('+62')).toBe(false);
+    expect(phoneNumber.isValidCountryCode('0')).toBe(false);
+    expect(phoneNumber.isValidCountryCode('1234')).toBe(false);
+  });
+
+  test('DEFAULT_COUNTRY_CODE defaults to 62 and can be disabled', () => {
+    delete process.env.DEFAULT_COUNTRY_CODE;
+    expect(phoneConfig.getDefaultCountryCode()).toBe('62');
+
+    process.env.DEFAULT_COUNTRY_CODE = '+44';
+    expect(phoneConfig.getDefaultCountryCode()).toBe('44');
+
+    process.env.DEFAULT_COUNTRY_CODE = '';
+    expect(phoneConfig.getDefaultCountryCode()).toBeNull();
+  });
+
+  test('Recipient check settings have defaults', () => {
+    delete process.env.RECIPIENT_CHECK_ON_SEND;
+    delete process.env.RECIPIENT_CHECK_BATCH_LIMIT;
+    expect(phoneConfig.getRecipientCheckConfig()).toEqual({
+      checkOnSend: false,
+      cacheTtlMs: 86400000,
+      notFoundCacheTtlMs: 3600000,
+      batchLimit: 50
+    });
+
+    process.env.RECIPIENT_CHECK_ON_SEND = 'true';
+    process.env.RECIPIENT_CHECK_BATCH_LIMIT = '0';
+    expect(phoneConfig.getRecipientCheckConfig().checkOnSend).toBe(true);
+    expect(phoneConfig.getRecipientCheckConfig().batchLimit).toBe(50);
+  });
+});
@@ -0,0 +1,73 @@
+const schedule = require('../src/utils/schedule');
+const schedulerConfig = require('../src/config/scheduler.config');
+
+describe('Schedule Tests', () => {
+  test('Validates IANA time zones', () => {
+    expect(schedule.isValidTimezone('Asia/Jakarta')).toBe(true);
+    expect(schedule.isValidTimezone('UTC')).toBe(true);
+    expect(schedule.isValidTimezone('Mars/Olympus')).toBe(false);
+    expect(schedule.isValidTimezone('')).toBe(false);
+    expect(schedule.isValidTimezone(undefined)).toBe(false);
+  });
+
+  test('Reads sendAt without an offset as wall-clock time in the time zone', () => {
+    expect(schedule.parseSendAt('2026-12-01T09:00:00', 'Asia/Jakarta').toISOString()).toBe('2026-12-01T02:00:00.000Z');
+    expect(schedule.parseSendAt('2026-12-01T09:00', 'UTC').toISOString()).toBe('2026-12-01T09:00:00.000Z');
+  });
+
+  test('Follows daylight saving time of the time zone', () => {
+    expect(schedule.parseSendAt('2026-01-15T09:00:00', 'America/New_York').toISOString()).toBe('2026-01-15T14:00:00.000Z');
+    expect(schedule.parseSendAt('2026-07-15T09:00:00', 'America/New_York').toISOString()).toBe('2026-07-15T13:00:00.000Z');
+  });
+
+  test('Keeps sendAt with an offset exact', () => {
+    expect(schedule.parseSendAt('2026-12-01T09:00:00+07:00', 'America/New_York').toISOString()).toBe('2026-12-01T02:00:00.000Z');
+    expect(schedule.parseSendAt('2026-12-01T09:00:00Z', 'Asia/Jakarta').toISOString()).toBe('2026-12-01T09:00:00.000Z');
+  });
+
+  test('Rejects invalid sendAt values', () => {
+    expect(schedule.parseSendAt('tomorrow')).toBeNull();
+    expect(schedule.parseSendAt('2026-13-45T09:00:00')).toBeNull();
+    expect(schedule.parseSendAt(1767225600000)).toBeNull();
+  });
+
+  test('Validates cron expressions', () => {
+    expect(schedule.validateCron('0 8 * * 1')).toBeNull();
+    expect(schedule.validateCron('*/30 * * * * *', 'Asia/Jakarta')).toBeNull();
+    expect(schedule.validateCron('not a cron')).toMatch(/Invalid cron expression/);
+    expect(schedule.validateCron('')).toBe('cron must be a non-empty string');
+  });
+
+  test('Gets the next cron run in the time zone', () => {
+    const after = new Date('2026-12-01T00:00:00Z');
+
+    expect(schedule.getNextRun('0 8 * * *', 'UTC', after).toISOString()).toBe('2026-12-01T08:00:00.000Z');
+    expect(schedule.getNextRun('0 8 * * *', 'Asia/Jakarta', after).toISOString()).toBe('2026-12-01T01:00:00.000Z');
+    expect(schedule.getNextRun('not a cron', 'UTC', after)).toBeNull();
+  });
+});
+
+describe('Scheduler Config Tests', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('Uses defaults and minimums', () => {
+    delete process.env.SCHEDULED_BATCH_SIZE;
+    delete process.env.SCHEDULED_MAX_DELAY_MS;
+    process.env.SCHEDULED_POLL_INTERVAL_MS = '10';
+
+    expect(schedulerConfig.getSchedulerConfig()).toEqual({
+      pollIntervalMs: 1000,
+      batchSize: 50,
+      maxDelayMs: 3600000
+    });
+  });
+
+  test('A max delay of 0 waits indefinitely', () => {
+    process.env.SCHEDULED_MAX_DELAY_MS = '0';
+    expect(schedulerConfig.getSchedulerConfig().maxDelayMs).toBe(0);
+  });
+});
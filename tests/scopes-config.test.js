@@ -0,0 +1,16 @@
+const { SCOPES, getUngrantableScopes } = require('../src/config/scopes.config');
+
+describe('Scopes Config Tests', () => {
+  test('Keys with "*" can grant every scope', () => {
+    expect(getUngrantableScopes([SCOPES.ALL], [SCOPES.ALL, SCOPES.KEYS_MANAGE, SCOPES.MESSAGES_SEND])).toEqual([]);
+  });
+
+  test('Other keys only grant scopes they hold, never "*" or keys:manage', () => {
+    const granted = [SCOPES.KEYS_MANAGE, SCOPES.MESSAGES_SEND];
+
+    expect(getUngrantableScopes(granted, [SCOPES.MESSAGES_SEND])).toEqual([]);
+    expect(getUngrantableScopes(granted, [SCOPES.MESSAGES_SEND, SCOPES.WEBHOOKS_WRITE])).toEqual([SCOPES.WEBHOOKS_WRITE]);
+    expect(getUngrantableScopes(granted, [SCOPES.ALL])).toEqual([SCOPES.ALL]);
+    expect(getUngrantableScopes(granted, [SCOPES.KEYS_MANAGE])).toEqual([SCOPES.KEYS_MANAGE]);
+  });
+});
@@ -0,0 +1,58 @@
+const syncRecords = require('../src/utils/syncRecords');
+
+describe('Sync Records Tests', () => {
+  test('Maps contacts and leaves out missing fields', () => {
+    expect(syncRecords.fromContact({ id: '628111222333@s.whatsapp.net', notify: 'Budi' })).toEqual({
+      jid: '628111222333@s.whatsapp.net',
+      phoneNumber: '628111222333',
+      notify: 'Budi'
+    });
+    expect(syncRecords.fromContact({ id: '123456789012345@lid', name: 'Sari' })).toEqual({
+      jid: '123456789012345@lid',
+      name: 'Sari'
+    });
+  });
+
+  test('Clears a changed profile picture and skips groups', () => {
+    expect(syncRecords.fromContact({ id: '628111222333@s.whatsapp.net', imgUrl: 'changed' }).imgUrl).toBeNull();
+    expect(syncRecords.fromContact({ id: '120363042123456789@g.us', name: 'Team' })).toBeNull();
+    expect(syncRecords.fromContact({})).toBeNull();
+  });
+
+  test('Maps chats with Long timestamps', () => {
+    const chat = syncRecords.fromChat({
+      id: '120363042123456789@g.us',
+      name: 'Team',
+      unreadCount: 3,
+      archived: false,
+      pinned: 1764547200,
+      muteEndTime: 0,
+      conversationTimestamp: { low: 1764547200, high: 0 }
+    });
+
+    expect(chat).toEqual({
+      chatId: '120363042123456789@g.us',
+      isGroup: true,
+      name: 'Team',
+      unreadCount: 3,
+      archived: false,
+      pinned: true,
+      mutedUntil: null,
+      lastMessageAt: new Date(1764547200 * 1000)
+    });
+  });
+
+  test('Counts new unread messages of chat updates', () => {
+    expect(syncRecords.fromChat({ id: '628111222333@s.whatsapp.net', unreadCount: 1 }, true)).toEqual({
+      chatId: '628111222333@s.whatsapp.net',
+      isGroup: false,
+      unreadIncrement: 1
+    });
+    expect(syncRecords.fromChat({ id: '628111222333@s.whatsapp.net', unreadCount: 0 }, true).unreadCount).toBe(0);
+  });
+
+  test('Marks chats muted until unmuted and skips status updates', () => {
+    expect(syncRecords.fromChat({ id: '628111222333@s.whatsapp.net', muteEndTime: -1 }).mutedUntil.getUTCFullYear()).toBe(9999);
+    expect(syncRecords.fromChat({ id: 'status@broadcast' })).toBeNull();
+  });
+});
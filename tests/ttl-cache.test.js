@@ -0,0 +1,69 @@
+const TtlCache = require('../src/utils/ttlCache');
+
+describe('TTL Cache Tests', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('Entries expire after the TTL', () => {
+    const cache = new TtlCache({ ttlMs: 1000 });
+    cache.set('628123456789@s.whatsapp.net', { exists: true });
+
+    jest.advanceTimersByTime(999);
+    expect(cache.get('628123456789@s.whatsapp.net')).toEqual({ exists: true });
+
+    jest.advanceTimersByTime(1);
+    expect(cache.get('628123456789@s.whatsapp.net')).toBeUndefined();
+    expect(cache.size).toBe(0);
+  });
+
+  test('An entry can have its own TTL', () => {
+    const cache = new TtlCache({ ttlMs: 10000 });
+    cache.set('missing', { exists: false }, 100);
+    cache.set('found', { exists: true });
+
+    jest.advanceTimersByTime(100);
+    expect(cache.get('missing')).toBeUndefined();
+    expect(cache.get('found')).toEqual({ exists: true });
+  });
+
+  test('The oldest entry is evicted when the cache is full', () => {
+    const cache = new TtlCache({ ttlMs: 10000, maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('a', 3);
+    cache.set('c', 4);
+
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('a')).toBe(3);
+    expect(cache.get('c')).toBe(4);
+  });
+
+  test('Values lists the entries that have not expired', () => {
+    const cache = new TtlCache({ ttlMs: 1000 });
+    cache.set('a', 1, 100);
+    cache.set('b', 2);
+
+    expect(cache.values()).toEqual([1, 2]);
+
+    jest.advanceTimersByTime(100);
+    expect(cache.values()).toEqual([2]);
+    expect(cache.size).toBe(1);
+  });
+
+  test('Entries can be deleted and cleared', () => {
+    const cache = new TtlCache({ ttlMs: 10000 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+
+    cache.delete('a');
+    expect(cache.get('a')).toBeUndefined();
+
+    cache.clear();
+    expect(cache.size).toBe(0);
+  });
+});
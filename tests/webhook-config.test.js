@@ -0,0 +1,58 @@
+const webhookConfig = require('../src/config/webhook.config');
+
+describe('Webhook Delivery Config Tests', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('Uses defaults when environment is not set', () => {
+    delete process.env.WEBHOOK_MAX_ATTEMPTS;
+    delete process.env.WEBHOOK_TIMEOUT_MS;
+
+    const config = webhookConfig.getDeliveryConfig();
+    expect(config.maxAttempts).toBe(5);
+    expect(config.timeoutMs).toBe(5000);
+  });
+
+  test('Retry delay doubles and is capped', () => {
+    process.env.WEBHOOK_RETRY_BASE_DELAY_MS = '1000';
+    process.env.WEBHOOK_RETRY_MAX_DELAY_MS = '5000';
+
+    const first = webhookConfig.getRetryDelay(1);
+    const second = webhookConfig.getRetryDelay(2);
+    const tenth = webhookConfig.getRetryDelay(10);
+
+    expect(first).toBeGreaterThanOrEqual(1000);
+    expect(first).toBeLessThanOrEqual(1200);
+    expect(second).toBeGreaterThanOrEqual(2000);
+    expect(second).toBeLessThanOrEqual(2400);
+    expect(tenth).toBeGreaterThanOrEqual(5000);
+    expect(tenth).toBeLessThanOrEqual(6000);
+  });
+
+  test('Only transient failures are retried', () => {
+    expect(webhookConfig.isRetryable(null)).toBe(true);
+    expect(webhookConfig.isRetryable(500)).toBe(true);
+    expect(webhookConfig.isRetryable(503)).toBe(true);
+    expect(webhookConfig.isRetryable(429)).toBe(true);
+    expect(webhookConfig.isRetryable(408)).toBe(true);
+    expect(webhookConfig.isRetryable(400)).toBe(false);
+    expect(webhookConfig.isRetryable(404)).toBe(false);
+  });
+
+  test('Circuit breaker is on by default and auto-disable is opt-in', () => {
+    delete process.env.WEBHOOK_CIRCUIT_FAILURE_THRESHOLD;
+    delete process.env.WEBHOOK_CIRCUIT_AUTO_DISABLE_PROBES;
+
+    const config = webhookConfig.getCircuitBreakerConfig();
+    expect(config.failureThreshold).toBe(10);
+    expect(config.autoDisableAfterProbes).toBe(0);
+
+    process.env.WEBHOOK_CIRCUIT_FAILURE_THRESHOLD = '0';
+    process.env.WEBHOOK_CIRCUIT_PROBE_INTERVAL_MS = '10';
+    expect(webhookConfig.getCircuitBreakerConfig().failureThreshold).toBe(0);
+    expect(webhookConfig.getCircuitBreakerConfig().probeIntervalMs).toBe(1000);
+  });
+});
@@ -0,0 +1,60 @@
+const webhookDispatcher = require('../src/services/webhookDispatcher.service');
+
+describe('Webhook Dispatcher Tests', () => {
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise((r) => { resolve = r; });
+    return { promise, resolve };
+  };
+
+  beforeEach(() => {
+    process.env.WEBHOOK_CONCURRENCY_PER_INSTANCE = '10';
+    process.env.WEBHOOK_CONCURRENCY_PER_ENDPOINT = '1';
+  });
+
+  afterEach(() => {
+    delete process.env.WEBHOOK_CONCURRENCY_PER_INSTANCE;
+    delete process.env.WEBHOOK_CONCURRENCY_PER_ENDPOINT;
+  });
+
+  test('Slow endpoint does not block other endpoints', async () => {
+    const slow = deferred();
+    const started = [];
+
+    const slowJob = webhookDispatcher.dispatch({
+      instanceId: 'instance-1',
+      endpoint: 'https://slow.example.com',
+      task: () => { started.push('slow'); return slow.promise; }
+    });
+    const queuedJob = webhookDispatcher.dispatch({
+      instanceId: 'instance-1',
+      endpoint: 'https://slow.example.com',
+      task: () => { started.push('slow-2'); return 'slow-2'; }
+    });
+    const fastResult = await webhookDispatcher.dispatch({
+      instanceId: 'instance-1',
+      endpoint: 'https://fast.example.com',
+      task: () => { started.push('fast'); return 'fast'; }
+    });
+
+    expect(fastResult).toBe('fast');
+    expect(started).toEqual(['slow', 'fast']);
+    expect(webhookDispatcher.getStats('instance-1')).toEqual({ pending: 1, active: 1 });
+
+    slow.resolve('slow');
+    await expect(slowJob).resolves.toBe('slow');
+    await expect(queuedJob).resolves.toBe('slow-2');
+    expect(webhookDispatcher.getStats('instance-1')).toEqual({ pending: 0, active: 0 });
+  });
+
+  test('Failing task resolves with null and releases its slot', async () => {
+    const result = await webhookDispatcher.dispatch({
+      instanceId: 'instance-2',
+      endpoint: 'https://broken.example.com',
+      task: () => { throw new Error('boom'); }
+    });
+
+    expect(result).toBeNull();
+    expect(webhookDispatcher.getStats('instance-2')).toEqual({ pending: 0, active: 0 });
+  });
+});
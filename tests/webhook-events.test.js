@@ -0,0 +1,35 @@
+const eventsConfig = require('../src/config/events.config');
+
+describe('Webhook Event Tests', () => {
+  test('Known events, groups and wildcard are valid patterns', () => {
+    expect(eventsConfig.isValidEventPattern('message.received')).toBe(true);
+    expect(eventsConfig.isValidEventPattern('message.status')).toBe(true);
+    expect(eventsConfig.isValidEventPattern('message.revoked')).toBe(true);
+    expect(eventsConfig.isValidEventPattern('message.*')).toBe(true);
+    expect(eventsConfig.isValidEventPattern('*')).toBe(true);
+  });
+
+  test('Unknown events and groups are rejected', () => {
+    expect(eventsConfig.isValidEventPattern('message.deleted')).toBe(false);
+    expect(eventsConfig.isValidEventPattern('unknown.*')).toBe(false);
+    expect(eventsConfig.isValidEventPattern('')).toBe(false);
+    expect(eventsConfig.isValidEventPattern(null)).toBe(false);
+  });
+
+  test('Patterns match emitted events', () => {
+    expect(eventsConfig.matchesEvent('*', 'connection.update')).toBe(true);
+    expect(eventsConfig.matchesEvent('message.*', 'message.sent')).toBe(true);
+    expect(eventsConfig.matchesEvent('message.*', 'connection.update')).toBe(false);
+    expect(eventsConfig.matchesEvent('message.sent', 'message.received')).toBe(false);
+  });
+
+  test('Webhooks subscribe through events or the legacy event field', () => {
+    const multiEvent = { events: ['message.*', 'connection.update'] };
+    const legacy = { event: 'message.received', events: [] };
+
+    expect(eventsConfig.isSubscribed(multiEvent, 'message.received')).toBe(true);
+    expect(eventsConfig.isSubscribed(multiEvent, 'connection.update')).toBe(true);
+    expect(eventsConfig.isSubscribed(legacy, 'message.received')).toBe(true);
+    expect(eventsConfig.isSubscribed(legacy, 'message.sent')).toBe(false);
+  });
+});
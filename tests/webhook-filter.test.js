@@ -0,0 +1,60 @@
+const webhookFilter = require('../src/utils/webhookFilter');
+
+describe('Webhook Filter Tests', () => {
+  const incoming = (remoteJid, content) => ({
+    message: { key: { remoteJid, id: 'ABC' }, message: content }
+  });
+
+  const privateText = incoming('6281234567890@s.whatsapp.net', { conversation: 'Order #123 shipped' });
+  const groupImage = incoming('120363000000000000@g.us', { imageMessage: { caption: 'photo' } });
+
+  test('Webhooks without filters receive every event', () => {
+    expect(webhookFilter.evaluate(null, privateText).passed).toBe(true);
+    expect(webhookFilter.evaluate({}, groupImage).passed).toBe(true);
+  });
+
+  test('Chat allow and deny lists accept JIDs or phone numbers', () => {
+    expect(webhookFilter.evaluate({ allowChats: ['6281234567890'] }, privateText).passed).toBe(true);
+    expect(webhookFilter.evaluate({ allowChats: ['6281234567890'] }, groupImage).passed).toBe(false);
+    expect(webhookFilter.evaluate({ denyChats: ['6281234567890@s.whatsapp.net'] }, privateText).passed).toBe(false);
+  });
+
+  test('Chat type, message type and text pattern are applied', () => {
+    expect(webhookFilter.evaluate({ chatType: 'group' }, privateText).passed).toBe(false);
+    expect(webhookFilter.evaluate({ chatType: 'private' }, privateText).passed).toBe(true);
+    expect(webhookFilter.evaluate({ messageTypes: ['image'] }, groupImage).passed).toBe(true);
+    expect(webhookFilter.evaluate({ messageTypes: ['image'] }, privateText).passed).toBe(false);
+    expect(webhookFilter.evaluate({ textPattern: 'order #\\d+', textPatternFlags: 'i' }, privateText).passed).toBe(true);
+
+    const result = webhookFilter.evaluate({ textPattern: 'refund' }, privateText);
+    expect(result.passed).toBe(false);
+    expect(result.reason).toMatch(/textPattern/);
+  });
+
+  test('Outgoing stored messages and non-message events are handled', () => {
+    const sent = { message: { direction: 'outgoing', to: '6281234567890', type: 'text', message: { content: 'hi' } } };
+
+    expect(webhookFilter.evaluate({ allowChats: ['6281234567890'], messageTypes: ['text'] }, sent).passed).toBe(true);
+    expect(webhookFilter.evaluate({ chatType: 'group' }, { status: 'connected' }).passed).toBe(true);
+  });
+
+  test('Invalid filters are reported', () => {
+    expect(webhookFilter.validate({ chatType: 'channel' })).toHaveLength(1);
+    expect(webhookFilter.validate({ textPattern: '(' })).toHaveLength(1);
+    expect(webhookFilter.validate({ allowChats: 'not-a-list' })).toHaveLength(1);
+    expect(webhookFilter.validate({ allowChats: ['628123'], chatType: 'private' })).toEqual([]);
+  });
+
+  test('Text patterns run in linear time', () => {
+    expect(webhookFilter.validate({ textPattern: '(a)\\1' })).toHaveLength(1);
+    expect(webhookFilter.validate({ textPattern: 'x'.repeat(201) })).toHaveLength(1);
+    expect(webhookFilter.validate({ textPattern: 'order', textPatternFlags: 'g' })).toHaveLength(1);
+    expect(webhookFilter.validate({ textPattern: '^(a|a)*$' })).toEqual([]);
+
+    const started = Date.now();
+    const text = incoming('6281234567890@s.whatsapp.net', { conversation: 'a'.repeat(5000) + '!' });
+    expect(webhookFilter.evaluate({ textPattern: '^(a|a)*$' }, text).passed).toBe(false);
+    expect(webhookFilter.evaluate({ textPattern: '(a+)+!$' }, text).passed).toBe(true);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
@@ -0,0 +1,37 @@
+const webhookSignature = require('../src/utils/webhookSignature');
+
+describe('Webhook Signature Tests', () => {
+  const secret = webhookSignature.generateSecret();
+  const body = JSON.stringify({ event: 'message.received', data: { text: 'hello' } });
+
+  test('Generated secrets are unique and prefixed', () => {
+    expect(secret.startsWith('whsec_')).toBe(true);
+    expect(webhookSignature.generateSecret()).not.toBe(secret);
+  });
+
+  test('Signed headers verify against the same body', () => {
+    const headers = webhookSignature.buildHeaders(secret, body);
+    const signature = headers[webhookSignature.SIGNATURE_HEADER];
+    const timestamp = headers[webhookSignature.TIMESTAMP_HEADER];
+
+    expect(signature.startsWith('sha256=')).toBe(true);
+    expect(webhookSignature.verify(secret, body, signature, timestamp)).toBe(true);
+  });
+
+  test('Tampered body or wrong secret is rejected', () => {
+    const headers = webhookSignature.buildHeaders(secret, body);
+    const signature = headers[webhookSignature.SIGNATURE_HEADER];
+    const timestamp = headers[webhookSignature.TIMESTAMP_HEADER];
+
+    expect(webhookSignature.verify(secret, `${body} `, signature, timestamp)).toBe(false);
+    expect(webhookSignature.verify('whsec_other', body, signature, timestamp)).toBe(false);
+  });
+
+  test('Stale timestamp is rejected', () => {
+    const timestamp = Math.floor(Date.now() / 1000) - 3600;
+    const signature = webhookSignature.sign(secret, timestamp, body);
+
+    expect(webhookSignature.verify(secret, body, signature, timestamp)).toBe(false);
+    expect(webhookSignature.verify(secret, body, signature, timestamp, 7200)).toBe(true);
+  });
+});